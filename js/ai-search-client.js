@@ -0,0 +1,171 @@
+/**
+ * Puzzle2048 AI探索ワーカークライアント
+ *
+ * DemoAIの手選択をWeb Worker（js/ai-worker.js）で実行し、
+ * 先読み中もアニメーションや入力がメインスレッドで止まらないようにします。
+ *
+ * メッセージ仕様:
+ *   送信 { type: 'search', requestId, size, cells, blocked, spawns, ruleVariant, targetTile, difficulty, strategy, searchDepth, timeBudget }
+ *   受信 { type: 'result', requestId, bestMove, evaluations, depth, elapsed }
+ *        { type: 'error', requestId, message }
+ */
+
+class AISearchClient {
+    /**
+     * @param {Object} options - オプション
+     * @param {string} [options.workerUrl] - ワーカースクリプトのURL
+     */
+    constructor(options = {}) {
+        this.workerUrl = options.workerUrl || 'js/ai-worker.js';
+        this.worker = null;
+        this.pending = null; // 応答待ちのリクエスト { requestId, resolve, reject }
+        this.nextRequestId = 1;
+        this.disabled = typeof Worker === 'undefined';
+    }
+
+    /**
+     * ワーカーで探索できる環境かどうか
+     */
+    isAvailable() {
+        return !this.disabled;
+    }
+
+    /**
+     * ワーカーを起動（起動済みならそのまま返す）
+     */
+    ensureWorker() {
+        if (this.worker) return this.worker;
+
+        try {
+            this.worker = new Worker(this.workerUrl);
+        } catch (error) {
+            // file://で開いた場合などはワーカーを作成できない
+            this.disable(error);
+            throw error;
+        }
+
+        this.worker.onmessage = (event) => this.handleMessage(event.data);
+        this.worker.onerror = (event) => {
+            event.preventDefault();
+            this.disable(new Error(event.message || 'AIワーカーの読み込みに失敗しました'));
+        };
+
+        return this.worker;
+    }
+
+    /**
+     * 盤面の探索を依頼
+     * 前の依頼が残っている場合はキャンセルしてから送信する
+     * @param {GameEngine} gameEngine - 探索対象のゲームエンジン
+     * @param {Object} options - strategy, searchDepth, timeBudget（ミリ秒）
+     * @returns {Promise<Object|null>} { bestMove, evaluations, depth, elapsed }、キャンセル時はnull
+     */
+    search(gameEngine, options = {}) {
+        if (this.disabled) {
+            return Promise.reject(new Error('AIワーカーは利用できません'));
+        }
+
+        this.cancel();
+
+        let worker;
+        try {
+            worker = this.ensureWorker();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const requestId = this.nextRequestId++;
+
+        return new Promise((resolve, reject) => {
+            this.pending = { requestId, resolve, reject };
+
+            worker.postMessage({
+                type: 'search',
+                requestId,
+                size: gameEngine.gridSize,
+                cells: gameEngine.grid.map(row => row.map(tile => tile ? tile.value : 0)),
+                blocked: gameEngine.getBlockedCells(),
+                spawns: gameEngine.getSpawnDistribution(),
+                ruleVariant: gameEngine.ruleVariant,
+                targetTile: gameEngine.targetTile,
+                difficulty: gameEngine.difficulty,
+                strategy: options.strategy,
+                searchDepth: options.searchDepth,
+                timeBudget: options.timeBudget || 0
+            });
+        });
+    }
+
+    /**
+     * ワーカーからの応答処理（古いリクエストへの応答は無視）
+     */
+    handleMessage(data) {
+        const pending = this.pending;
+        if (!pending || !data || data.requestId !== pending.requestId) return;
+
+        this.pending = null;
+
+        if (data.type === 'result') {
+            pending.resolve({
+                bestMove: data.bestMove,
+                evaluations: data.evaluations,
+                depth: data.depth,
+                elapsed: data.elapsed
+            });
+        } else {
+            pending.reject(new Error(data.message || 'AIワーカーでエラーが発生しました'));
+        }
+    }
+
+    /**
+     * 実行中の探索をキャンセル
+     * 探索はワーカー内で同期的に走るため、ワーカーごと停止して次回の依頼時に作り直す
+     */
+    cancel() {
+        if (!this.pending) return;
+
+        const pending = this.pending;
+        this.pending = null;
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        pending.resolve(null);
+    }
+
+    /**
+     * ワーカーを使用不可にする（以降はメインスレッドで探索）
+     */
+    disable(error) {
+        console.warn('⚠️ AIワーカーを利用できないためメインスレッドで探索します:', error);
+        this.disabled = true;
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        if (this.pending) {
+            const pending = this.pending;
+            this.pending = null;
+            pending.reject(error);
+        }
+    }
+
+    /**
+     * ワーカーを終了
+     */
+    terminate() {
+        this.cancel();
+
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+}
+
+// グローバルで利用可能にする
+window.AISearchClient = AISearchClient;
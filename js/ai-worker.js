@@ -0,0 +1,56 @@
+/**
+ * Puzzle2048 AI探索ワーカー
+ *
+ * AISearchClientから受け取った盤面をDemoAIで評価し、推奨手と評価内訳を返します。
+ * 盤面はタイル値の2次元配列で受け取り、GameEngineの代わりに探索用の軽量な状態を組み立てます。
+ */
+
+// 各スクリプトは window.X = X でクラスを公開するため、ワーカーのグローバルを window として扱う
+self.window = self;
+
+importScripts('rule-variants.js', 'fast-board.js', 'demo-ai.js');
+
+/**
+ * 探索用のゲーム状態（DemoAIが参照する項目のみ）
+ */
+function createSearchState(request) {
+    return {
+        grid: request.cells.map(row => row.map(value => value ? { value } : null)),
+        gridSize: request.size,
+        targetTile: request.targetTile,
+        difficulty: request.difficulty,
+        gameOver: false,
+        rules: RuleVariants.get(request.ruleVariant),
+        getBlockedCells: () => request.blocked || null,
+        getSpawnDistribution: () => request.spawns
+    };
+}
+
+self.onmessage = (event) => {
+    const request = event.data;
+    if (!request || request.type !== 'search') return;
+
+    try {
+        const ai = new DemoAI(createSearchState(request), { verbose: false, timeBudget: request.timeBudget });
+        if (request.strategy) ai.setStrategy(request.strategy);
+        if (request.searchDepth) ai.setSearchDepth(request.searchDepth);
+
+        const startTime = performance.now();
+        const analysis = ai.analyzeMoves();
+
+        self.postMessage({
+            type: 'result',
+            requestId: request.requestId,
+            bestMove: analysis.bestMove,
+            evaluations: analysis.evaluations,
+            depth: ai.lastSearchDepth,
+            elapsed: Math.round(performance.now() - startTime)
+        });
+    } catch (error) {
+        self.postMessage({
+            type: 'error',
+            requestId: request.requestId,
+            message: error.message
+        });
+    }
+};
@@ -6,11 +6,15 @@
  */
 
 class AnimationController {
-    constructor() {
+    /**
+     * @param {HTMLElement} gridElement - 対象のグリッド要素（省略時は#game-grid）
+     */
+    constructor(gridElement = document.getElementById('game-grid')) {
         this.animationQueue = [];
+        this.pendingAnimations = new Set(); // 完了待ちのアニメーション（早送り用）
         this.isAnimating = false;
         this.animationSpeed = 1; // 1-3の速度設定
-        this.gridElement = document.getElementById('game-grid');
+        this.gridElement = gridElement;
     }
 
     /**
@@ -29,6 +33,35 @@ class AnimationController {
         return baseDuration / this.animationSpeed;
     }
 
+    /**
+     * 完了待ちのアニメーションを登録
+     * duration経過後か早送り（fastForward）された時点でfinishを呼んで最終状態にし、Promiseを解決する
+     * @param {number} duration - 継続時間（ms）
+     * @param {Function} [finish] - 最終状態にする処理
+     * @returns {Promise} アニメーション完了Promise
+     */
+    track(duration, finish = () => {}) {
+        return new Promise(resolve => {
+            const animation = {
+                complete: () => {
+                    clearTimeout(animation.timer);
+                    this.pendingAnimations.delete(animation);
+                    finish();
+                    resolve();
+                }
+            };
+            animation.timer = setTimeout(animation.complete, duration);
+            this.pendingAnimations.add(animation);
+        });
+    }
+
+    /**
+     * 実行中のアニメーションを全て最終状態まで早送りする（先行入力があるとき用）
+     */
+    fastForward() {
+        [...this.pendingAnimations].forEach(animation => animation.complete());
+    }
+
     /**
      * タイル移動アニメーション
      * @param {HTMLElement} tileElement - タイル要素
@@ -37,24 +70,24 @@ class AnimationController {
      * @returns {Promise} アニメーション完了Promise
      */
     animateMove(tileElement, fromPos, toPos) {
-        return new Promise(resolve => {
-            const duration = this.getBaseDuration();
-            
-            // 開始位置を設定
-            tileElement.style.left = `${fromPos.x}px`;
-            tileElement.style.top = `${fromPos.y}px`;
-            
-            // アニメーション設定
-            tileElement.style.transition = `all ${duration}ms ease-in-out`;
-            
-            // 少し遅延してから移動開始（レンダリング確保）
-            requestAnimationFrame(() => {
-                tileElement.style.left = `${toPos.x}px`;
-                tileElement.style.top = `${toPos.y}px`;
-            });
+        const duration = this.getBaseDuration();
+        
+        // 開始位置を設定（位置はtranslateで指定し、合体・出現のtransformアニメーションと重ならないようにする）
+        tileElement.style.translate = `${fromPos.x}px ${fromPos.y}px`;
+        
+        // アニメーション設定
+        tileElement.style.transition = `translate ${duration}ms ease-in-out`;
+        
+        // 少し遅延してから移動開始（レンダリング確保）
+        const frameId = requestAnimationFrame(() => {
+            tileElement.style.translate = `${toPos.x}px ${toPos.y}px`;
+        });
 
-            // アニメーション完了を待機
-            setTimeout(resolve, duration);
+        // アニメーション完了を待機（早送り時は移動先に直接置き、次の手の位置を上書きしないよう移動開始も取り消す）
+        return this.track(duration, () => {
+            cancelAnimationFrame(frameId);
+            tileElement.style.transition = '';
+            tileElement.style.translate = `${toPos.x}px ${toPos.y}px`;
         });
     }
 
@@ -64,20 +97,17 @@ class AnimationController {
      * @returns {Promise} アニメーション完了Promise
      */
     animateMerge(tileElement) {
-        return new Promise(resolve => {
-            const duration = this.getBaseDuration() * 0.8; // 少し短めに
-            
-            // 合体アニメーションクラスを追加
-            tileElement.classList.add('tile-merged');
-            
-            // スケール・回転アニメーション
-            tileElement.style.animation = `tile-merge ${duration}ms ease-out`;
-            
-            setTimeout(() => {
-                tileElement.classList.remove('tile-merged');
-                tileElement.style.animation = '';
-                resolve();
-            }, duration);
+        const duration = this.getBaseDuration() * 0.8; // 少し短めに
+        
+        // 合体アニメーションクラスを追加
+        tileElement.classList.add('tile-merged');
+        
+        // スケール・回転アニメーション
+        tileElement.style.animation = `tile-merge ${duration}ms ease-out`;
+        
+        return this.track(duration, () => {
+            tileElement.classList.remove('tile-merged');
+            tileElement.style.animation = '';
         });
     }
 
@@ -87,20 +117,17 @@ class AnimationController {
      * @returns {Promise} アニメーション完了Promise
      */
     animateAppear(tileElement) {
-        return new Promise(resolve => {
-            const duration = this.getBaseDuration() * 0.6; // 短めに
-            
-            // 出現アニメーションクラスを追加
-            tileElement.classList.add('tile-new');
-            
-            // 回転・スケールアニメーション
-            tileElement.style.animation = `tile-appear ${duration}ms ease-out`;
-            
-            setTimeout(() => {
-                tileElement.classList.remove('tile-new');
-                tileElement.style.animation = '';
-                resolve();
-            }, duration);
+        const duration = this.getBaseDuration() * 0.6; // 短めに
+        
+        // 出現アニメーションクラスを追加
+        tileElement.classList.add('tile-new');
+        
+        // 回転・スケールアニメーション
+        tileElement.style.animation = `tile-appear ${duration}ms ease-out`;
+        
+        return this.track(duration, () => {
+            tileElement.classList.remove('tile-new');
+            tileElement.style.animation = '';
         });
     }
 
@@ -111,43 +138,40 @@ class AnimationController {
      * @returns {Promise} アニメーション完了Promise
      */
     animateScoreIncrease(points, position) {
-        return new Promise(resolve => {
-            // スコア増加表示要素を作成
-            const scoreElement = document.createElement('div');
-            scoreElement.className = 'score-popup';
-            scoreElement.textContent = `+${points}`;
-            
-            // 位置とスタイル設定
-            scoreElement.style.cssText = `
-                position: absolute;
-                left: ${position.x}px;
-                top: ${position.y}px;
-                font-size: 24px;
-                font-weight: 900;
-                color: #00b894;
-                z-index: 100;
-                pointer-events: none;
-                text-shadow: 0 2px 4px rgba(0, 0, 0, 0.3);
-            `;
+        // スコア増加表示要素を作成
+        const scoreElement = document.createElement('div');
+        scoreElement.className = 'score-popup';
+        scoreElement.textContent = `+${points}`;
+        
+        // 位置とスタイル設定
+        scoreElement.style.cssText = `
+            position: absolute;
+            left: ${position.x}px;
+            top: ${position.y}px;
+            font-size: 24px;
+            font-weight: 900;
+            color: #00b894;
+            z-index: 100;
+            pointer-events: none;
+            text-shadow: 0 2px 4px rgba(0, 0, 0, 0.3);
+        `;
 
-            this.gridElement.appendChild(scoreElement);
+        this.gridElement.appendChild(scoreElement);
 
-            // アニメーション実行
-            const duration = this.getBaseDuration();
-            scoreElement.style.transition = `all ${duration}ms ease-out`;
-            
-            requestAnimationFrame(() => {
-                scoreElement.style.transform = 'translateY(-50px) scale(1.5)';
-                scoreElement.style.opacity = '0';
-            });
+        // アニメーション実行
+        const duration = this.getBaseDuration();
+        scoreElement.style.transition = `all ${duration}ms ease-out`;
+        
+        requestAnimationFrame(() => {
+            scoreElement.style.transform = 'translateY(-50px) scale(1.5)';
+            scoreElement.style.opacity = '0';
+        });
 
-            // 要素削除
-            setTimeout(() => {
-                if (scoreElement.parentNode) {
-                    scoreElement.parentNode.removeChild(scoreElement);
-                }
-                resolve();
-            }, duration);
+        // 要素削除
+        return this.track(duration, () => {
+            if (scoreElement.parentNode) {
+                scoreElement.parentNode.removeChild(scoreElement);
+            }
         });
     }
 
@@ -186,15 +210,12 @@ class AnimationController {
      * @returns {Promise} アニメーション完了Promise
      */
     animateShake() {
-        return new Promise(resolve => {
-            const duration = 300;
-            
-            this.gridElement.style.animation = `grid-shake ${duration}ms ease-in-out`;
-            
-            setTimeout(() => {
-                this.gridElement.style.animation = '';
-                resolve();
-            }, duration);
+        const duration = 300;
+        
+        this.gridElement.style.animation = `grid-shake ${duration}ms ease-in-out`;
+        
+        return this.track(duration, () => {
+            this.gridElement.style.animation = '';
         });
     }
 
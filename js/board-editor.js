@@ -0,0 +1,417 @@
+/**
+ * Puzzle2048 盤面エディタ（サンドボックス）画面制御
+ *
+ * マスをクリックして任意の局面を作り、その局面からのプレイ・DemoAIの推奨手の確認・
+ * GameEngine.printGrid()と同じ形式のテキストでの書き出し／読み込みを行います。
+ */
+
+class BoardEditor {
+    /**
+     * @param {Object} options - オプション
+     * @param {string} [options.storageKey] - プレイ開始時に局面を渡す保存先のキー
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'puzzle2048_sandbox_position';
+        this.size = 4;
+        this.board = BoardEditor.createEmptyBoard(this.size);
+        this.score = 0;
+        this.turn = 'move'; // move: 移動の手番, spawn: タイル出現の手番
+        this.selectedValue = 2; // パレットで選択中の値（0は消去、'#'は障害物）
+        this.engine = null; // 表示用エンジン（盤面サイズごとに作り直す）
+        this.ui = null;
+        this.ai = null; // 推奨手の確認用AI（初回使用時に生成）
+        this.isAnalyzing = false;
+
+        // DOM要素の参照
+        this.gridElement = document.getElementById('editor-grid');
+        this.sizeSelect = document.getElementById('board-size');
+        this.scoreInput = document.getElementById('position-score');
+        this.paletteElement = document.getElementById('tile-palette');
+        this.textElement = document.getElementById('position-text');
+        this.messageElement = document.getElementById('editor-message');
+        this.analysisElement = document.getElementById('analysis-panel');
+    }
+
+    /**
+     * 空の盤面を作成
+     * @param {number} size - 盤面サイズ
+     * @returns {Array[]} 全マス0の2次元配列
+     */
+    static createEmptyBoard(size) {
+        return Array.from({ length: size }, () => new Array(size).fill(0));
+    }
+
+    /**
+     * 初期化処理
+     */
+    initialize() {
+        this.renderPalette();
+        this.initializeEventListeners();
+
+        // 前回プレイした局面があれば続きから編集する
+        const saved = this.loadPosition();
+        if (saved) {
+            this.applyPosition(saved);
+        } else {
+            this.setupBoard();
+        }
+    }
+
+    /**
+     * イベントリスナー初期化
+     */
+    initializeEventListeners() {
+        this.sizeSelect.addEventListener('change', () => {
+            this.changeSize(parseInt(this.sizeSelect.value));
+        });
+
+        document.querySelectorAll('input[name="turn"]').forEach(radio => {
+            radio.addEventListener('change', () => {
+                this.turn = radio.value;
+                this.clearAnalysis();
+            });
+        });
+
+        this.scoreInput.addEventListener('change', () => {
+            this.score = Math.max(0, parseInt(this.scoreInput.value) || 0);
+            this.scoreInput.value = this.score;
+        });
+
+        // 左クリックで選択中の値を置き、右クリックで消す
+        this.gridElement.addEventListener('click', event => this.handleCellClick(event, this.selectedValue));
+        this.gridElement.addEventListener('contextmenu', event => {
+            event.preventDefault();
+            this.handleCellClick(event, 0);
+        });
+
+        document.getElementById('clear-board').addEventListener('click', () => {
+            this.board = BoardEditor.createEmptyBoard(this.size);
+            this.renderBoard();
+        });
+        document.getElementById('ask-ai').addEventListener('click', () => this.askAI());
+        document.getElementById('play-position').addEventListener('click', () => this.playPosition());
+        document.getElementById('export-position').addEventListener('click', () => this.exportPosition());
+        document.getElementById('import-position').addEventListener('click', () => this.importPosition());
+        document.getElementById('copy-position').addEventListener('click', () => this.copyPosition());
+        document.getElementById('back-to-game').addEventListener('click', () => {
+            window.location.href = 'index.html';
+        });
+    }
+
+    /**
+     * 値を選ぶパレット
+     */
+    renderPalette() {
+        const values = [0, 2, 4, 8, 16, 32, 64, 128, 256, 512, 1024, 2048, 4096, 8192, '#'];
+        this.paletteElement.innerHTML = '';
+
+        values.forEach(value => {
+            const button = document.createElement('button');
+            button.className = 'palette-btn';
+            button.dataset.value = value;
+            button.textContent = value === 0 ? '消す' : value === '#' ? '🪨' : value;
+            button.title = value === 0 ? '空きマスにする（右クリックでも消せます）' : value === '#' ? '障害物' : `${value}のタイル`;
+            button.addEventListener('click', () => this.selectValue(value));
+            this.paletteElement.appendChild(button);
+        });
+
+        this.selectValue(this.selectedValue);
+    }
+
+    /**
+     * パレットの値を選択
+     */
+    selectValue(value) {
+        this.selectedValue = value;
+        this.paletteElement.querySelectorAll('.palette-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.value === String(value));
+        });
+    }
+
+    /**
+     * 盤面サイズを変更（重なる範囲のマスは引き継ぐ）
+     */
+    changeSize(size) {
+        this.board = Array.from({ length: size }, (_, row) =>
+            Array.from({ length: size }, (_, col) => (this.board[row] && this.board[row][col]) || 0));
+        this.size = size;
+        this.setupBoard();
+    }
+
+    /**
+     * 盤面サイズに合わせて表示用のエンジンとグリッドを作り直す
+     */
+    setupBoard() {
+        this.sizeSelect.value = this.size;
+        this.engine = new GameEngine('custom', {
+            customConfig: { size: this.size },
+            persistent: false,
+            historyLimit: 0
+        });
+        this.ui = new UIController(this.engine, {
+            gridElementId: 'editor-grid',
+            interactive: false,
+            containerSize: Math.min(480, window.innerWidth - 60)
+        });
+        this.renderBoard();
+    }
+
+    /**
+     * 編集中の盤面を描画
+     */
+    renderBoard() {
+        const obstacles = [];
+        this.board.forEach((line, row) => line.forEach((value, col) => {
+            if (value === '#') obstacles.push([row, col]);
+        }));
+
+        this.engine.clearGrid();
+        this.engine.setObstacles(obstacles);
+        this.engine.placeBoardTiles(this.board);
+        // 編集のたびに全タイルの出現アニメーションが再生されないようにする
+        this.engine.getTileList().forEach(([row, col]) => {
+            this.engine.grid[row][col].isNew = false;
+        });
+        this.ui.render();
+        this.clearAnalysis();
+    }
+
+    /**
+     * クリックされたマスに値を置く
+     * @param {MouseEvent} event - グリッド上のクリック
+     * @param {number|string} value - 置く値（0は空きマス、'#'は障害物）
+     */
+    handleCellClick(event, value) {
+        const rect = this.gridElement.getBoundingClientRect();
+        const step = this.ui.cellSize + this.ui.gap;
+        const col = Math.floor((event.clientX - rect.left - this.ui.padding) / step);
+        const row = Math.floor((event.clientY - rect.top - this.ui.padding) / step);
+
+        if (row < 0 || row >= this.size || col < 0 || col >= this.size) {
+            return;
+        }
+
+        this.board[row][col] = value;
+        this.renderBoard();
+    }
+
+    /**
+     * 現在の局面（GameEngineのpositionオプションの形式）
+     */
+    getPosition() {
+        return {
+            board: this.board.map(line => line.slice()),
+            score: this.score,
+            turn: this.turn
+        };
+    }
+
+    /**
+     * 局面を編集画面に反映
+     * @param {Object} position - { board, score, turn }（turn省略時は移動の手番）
+     */
+    applyPosition(position) {
+        this.size = position.board.length;
+        this.board = position.board.map(line => line.slice());
+        this.score = position.score || 0;
+        this.turn = position.turn === 'spawn' ? 'spawn' : 'move';
+
+        this.scoreInput.value = this.score;
+        document.querySelectorAll('input[name="turn"]').forEach(radio => {
+            radio.checked = radio.value === this.turn;
+        });
+        this.setupBoard();
+    }
+
+    /**
+     * 前回プレイした局面を読み込み
+     * @returns {Object|null}
+     */
+    loadPosition() {
+        try {
+            const position = JSON.parse(localStorage.getItem(this.storageKey));
+            return position && Array.isArray(position.board) ? position : null;
+        } catch (error) {
+            console.warn('⚠️ サンドボックスの局面の読み込みに失敗:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 局面が遊べる状態か確認
+     * @returns {string|null} 遊べない場合の理由
+     */
+    validatePosition() {
+        const cells = this.board.flat();
+        if (cells.every(value => value === '#')) {
+            return '全マスが障害物の盤面では遊べません';
+        }
+        if (this.turn === 'spawn' && !cells.includes(0)) {
+            return 'タイルを出現させる空きマスがありません';
+        }
+        if (this.turn === 'move' && !cells.some(value => typeof value === 'number' && value > 0)) {
+            return 'タイルが1枚もありません（出現の手番にするとタイルを1枚出してから始めます）';
+        }
+        return null;
+    }
+
+    /**
+     * この局面からゲーム画面でプレイ
+     */
+    playPosition() {
+        const error = this.validatePosition();
+        if (error) {
+            this.showMessage(error);
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(this.getPosition()));
+        window.location.href = 'index.html?sandbox=true&newGame=true';
+    }
+
+    /**
+     * DemoAIにこの局面での推奨手を聞く
+     */
+    async askAI() {
+        if (this.isAnalyzing) {
+            return;
+        }
+        if (this.turn === 'spawn') {
+            this.showMessage('AIは移動の手番の局面で使えます（出現の手番ではタイルがランダムに出現します）');
+            return;
+        }
+
+        // 編集中の局面から移動の手番で始まるエンジンを作り、その局面を探索させる
+        const engine = new GameEngine('custom', {
+            customConfig: { size: this.size },
+            position: this.getPosition(),
+            persistent: false,
+            historyLimit: 0
+        });
+        if (!this.ai) {
+            this.ai = new DemoAI(engine, { verbose: false });
+            this.ai.strategy = 'expectimax';
+        }
+        this.ai.gameEngine = engine;
+
+        const boardKey = JSON.stringify(this.board);
+        this.isAnalyzing = true;
+        this.hideMessage();
+        let analysis;
+        try {
+            analysis = await this.ai.requestAnalysis();
+        } finally {
+            this.isAnalyzing = false;
+        }
+
+        // 探索中に盤面が編集された場合は古い結果を表示しない
+        if (!analysis || boardKey !== JSON.stringify(this.board)) {
+            return;
+        }
+        if (!analysis.bestMove) {
+            this.showMessage('動かせる方向がありません（ゲームオーバーの局面です）');
+            return;
+        }
+
+        this.displayAnalysis(analysis);
+        console.log(`🤖 推奨手: ${analysis.bestMove}`, analysis.evaluations);
+    }
+
+    /**
+     * AIの推奨手と方向別の評価内訳を表示（ゲーム画面のヒントと同じ形式）
+     */
+    displayAnalysis(analysis) {
+        const labels = { up: '↑', down: '↓', left: '←', right: '→' };
+        this.analysisElement.innerHTML = '';
+
+        Object.entries(analysis.evaluations).forEach(([direction, evaluation]) => {
+            const row = document.createElement('div');
+            row.className = 'hint-row';
+            if (direction === analysis.bestMove) row.classList.add('best');
+            if (!evaluation.valid) row.classList.add('invalid');
+
+            row.textContent = evaluation.valid
+                ? `${labels[direction]} スコア+${evaluation.scoreGain} / 空き${evaluation.emptyTiles} / 単調性${Math.round(evaluation.monotonicity)}`
+                : `${labels[direction]} 移動不可`;
+            this.analysisElement.appendChild(row);
+        });
+
+        this.analysisElement.classList.add('show');
+    }
+
+    /**
+     * AIの結果表示を消去
+     */
+    clearAnalysis() {
+        this.analysisElement.classList.remove('show');
+        this.analysisElement.innerHTML = '';
+    }
+
+    /**
+     * 局面をテキストに書き出し（GameEngine.printGrid()と同じ形式、読み込んだロックタイルは'2L'のように書き出す）
+     */
+    exportPosition() {
+        const engine = new GameEngine('custom', {
+            customConfig: { size: this.size },
+            position: { ...this.getPosition(), turn: 'move' },
+            persistent: false,
+            historyLimit: 0
+        });
+        this.textElement.value = engine.formatGrid();
+        this.hideMessage();
+    }
+
+    /**
+     * テキストから局面を読み込み
+     */
+    importPosition() {
+        try {
+            const { board, score } = GameEngine.parseGrid(this.textElement.value);
+            this.applyPosition({ board, score, turn: this.turn });
+            this.hideMessage();
+        } catch (error) {
+            this.showMessage(`盤面を読み込めませんでした。\n${error.message}`);
+        }
+    }
+
+    /**
+     * 書き出したテキストをクリップボードにコピー
+     */
+    async copyPosition() {
+        if (!this.textElement.value) {
+            this.exportPosition();
+        }
+
+        try {
+            if (navigator.clipboard) {
+                await navigator.clipboard.writeText(this.textElement.value);
+            } else {
+                // フォールバック: テキストエリアを選択してコピー
+                this.textElement.select();
+                document.execCommand('copy');
+            }
+            this.showMessage('クリップボードにコピーしました');
+        } catch (error) {
+            console.error('コピーエラー:', error);
+            this.showMessage('コピーに失敗しました');
+        }
+    }
+
+    /**
+     * メッセージ表示（読み込みエラーなど）
+     */
+    showMessage(message) {
+        this.messageElement.textContent = message;
+        this.messageElement.style.display = '';
+    }
+
+    /**
+     * メッセージを非表示
+     */
+    hideMessage() {
+        this.messageElement.style.display = 'none';
+    }
+}
+
+// グローバルで利用可能にする
+window.BoardEditor = BoardEditor;
@@ -0,0 +1,251 @@
+/**
+ * Puzzle2048 デイリーチャレンジ
+ *
+ * 日付から乱数シードを決め、同じ日にプレイした全員が同じ初期配置・同じ出現順のゲームに挑戦できるようにします。
+ * 各日の結果は最初に終えた1回だけをLocalStorageに記録し、連続参加日数とカレンダー表示用のデータを提供します。
+ * 最初の1回は1手目から途中経過を保存しておき、リスタート・別の日への持ち越しで途中のまま終わった場合はその時点の結果を記録します
+ * （同じ盤面をやり直して良かった回だけを記録できないようにするため）。
+ */
+
+class DailyChallenge {
+    /**
+     * @param {Object} options - オプション
+     * @param {string} [options.storageKey] - 保存先のキー
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'puzzle2048_daily';
+    }
+
+    /**
+     * 日付キー（ローカル時刻のYYYY-MM-DD）
+     * @param {Date} [date] - 省略時は今日
+     */
+    static getDateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * 日付キーを指定日数ずらす
+     * @param {string} dateKey - YYYY-MM-DD
+     * @param {number} days - ずらす日数（負の値で過去）
+     */
+    static shiftDate(dateKey, days) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return DailyChallenge.getDateKey(new Date(year, month - 1, day + days));
+    }
+
+    /**
+     * 日付キーから乱数シードを生成（FNV-1aハッシュ、環境によらず同じ値）
+     * @param {string} dateKey - YYYY-MM-DD
+     * @returns {number} 32bit符号なし整数
+     */
+    static getSeed(dateKey) {
+        const text = `puzzle2048-daily-${dateKey}`;
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * 最終盤面を絵文字のグリッドに変換（シェア用、数字を伏せてタイルの大きさだけを表す）
+     * @param {number[][]} grid - タイル値の2次元配列（空きマスは0）
+     * @returns {string}
+     */
+    static formatGrid(grid) {
+        const toEmoji = value => {
+            if (!value) return '⬜';
+            if (value < 16) return '🟦';
+            if (value < 128) return '🟩';
+            if (value < 1024) return '🟨';
+            if (value < 2048) return '🟧';
+            return '🟥';
+        };
+        return grid.map(row => row.map(toEmoji).join('')).join('\n');
+    }
+
+    /**
+     * 保存データを取得
+     * @returns {Object} { results: 日付キー -> 結果, attempts: 日付キー -> 途中経過 }
+     */
+    loadData() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return {
+                results: data.results && typeof data.results === 'object' ? data.results : {},
+                attempts: data.attempts && typeof data.attempts === 'object' ? data.attempts : {}
+            };
+        } catch (error) {
+            console.warn('⚠️ デイリーチャレンジの記録の読み込みに失敗:', error);
+            return { results: {}, attempts: {} };
+        }
+    }
+
+    /**
+     * 保存データを書き込む
+     * @returns {boolean} 保存できた場合true
+     */
+    saveData(data) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+            return true;
+        } catch (error) {
+            console.warn('⚠️ デイリーチャレンジの記録の保存に失敗:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 保存済みの全結果を取得
+     * @returns {Object} 日付キー -> 結果
+     */
+    loadResults() {
+        return this.loadData().results;
+    }
+
+    /**
+     * 指定日の結果を取得
+     * @returns {Object|null}
+     */
+    getResult(dateKey) {
+        return this.loadResults()[dateKey] || null;
+    }
+
+    /**
+     * 指定日の結果を記録（その日の2回目以降は記録しない）
+     * @param {string} dateKey - YYYY-MM-DD
+     * @param {Object} result - { finalScore, maxTile, moves, isVictory, isAssisted, grid, abandoned }
+     *   abandonedは途中のまま終わった挑戦をその時点で記録した場合true
+     * @returns {boolean} 記録した場合true
+     */
+    recordResult(dateKey, result) {
+        const data = this.loadData();
+        if (data.results[dateKey]) {
+            return false;
+        }
+
+        data.results[dateKey] = {
+            finalScore: result.finalScore,
+            maxTile: result.maxTile,
+            moves: result.moves,
+            isVictory: result.isVictory,
+            isAssisted: result.isAssisted,
+            grid: result.grid,
+            abandoned: Boolean(result.abandoned),
+            endTime: Date.now()
+        };
+        delete data.attempts[dateKey];
+
+        if (!this.saveData(data)) {
+            return false;
+        }
+
+        console.log(`📅 デイリーチャレンジを記録しました (${dateKey}: ${result.finalScore}点${result.abandoned ? '・途中終了' : ''})`);
+        return true;
+    }
+
+    /**
+     * 記録対象のプレイの途中経過を取得
+     * @returns {Object|null} 挑戦中でない（未挑戦・記録済み）場合はnull
+     */
+    getAttempt(dateKey) {
+        return this.loadData().attempts[dateKey] || null;
+    }
+
+    /**
+     * 記録対象のプレイの途中経過を保存（1手ごと）
+     * その日の結果が記録済みの場合は練習プレイなので保存しない
+     * @param {string} dateKey - YYYY-MM-DD
+     * @param {Object} progress - recordResultと同じ形式
+     * @returns {boolean} 保存した場合true
+     */
+    updateAttempt(dateKey, progress) {
+        this.settleAttempts(dateKey);
+
+        const data = this.loadData();
+        if (data.results[dateKey]) {
+            return false;
+        }
+
+        data.attempts[dateKey] = { ...progress, updatedAt: Date.now() };
+        return this.saveData(data);
+    }
+
+    /**
+     * 途中のまま終わった挑戦をその時点の結果として記録（リスタート・新しい盤面で始め直した場合）
+     * @returns {boolean} 記録した場合true
+     */
+    abandonAttempt(dateKey) {
+        const attempt = this.getAttempt(dateKey);
+        return attempt ? this.recordResult(dateKey, { ...attempt, abandoned: true }) : false;
+    }
+
+    /**
+     * 前日以前の途中のままの挑戦を記録（日付が変わるとその日の盤面には戻れないため）
+     * @param {string} [today] - 基準日（省略時は今日）
+     */
+    settleAttempts(today = DailyChallenge.getDateKey()) {
+        Object.keys(this.loadData().attempts)
+            .filter(date => date < today)
+            .forEach(date => this.abandonAttempt(date));
+    }
+
+    /**
+     * 連続参加日数
+     * 今日がまだ未プレイの場合は昨日までの連続を現在の記録とする
+     * @param {string} [today] - 基準日（省略時は今日）
+     * @returns {Object} { currentStreak, bestStreak, totalDays }
+     */
+    getStreak(today = DailyChallenge.getDateKey()) {
+        const results = this.loadResults();
+        const dates = Object.keys(results).sort();
+
+        // 日付順に並べて連続している区間の最長を数える
+        let bestStreak = 0;
+        let streak = 0;
+        dates.forEach((date, index) => {
+            streak = index > 0 && DailyChallenge.shiftDate(dates[index - 1], 1) === date ? streak + 1 : 1;
+            bestStreak = Math.max(bestStreak, streak);
+        });
+
+        let currentStreak = 0;
+        let date = results[today] ? today : DailyChallenge.shiftDate(today, -1);
+        while (results[date]) {
+            currentStreak++;
+            date = DailyChallenge.shiftDate(date, -1);
+        }
+
+        return { currentStreak, bestStreak, totalDays: dates.length };
+    }
+
+    /**
+     * カレンダー表示用の1か月分のデータ
+     * @param {number} year - 年
+     * @param {number} month - 月（1-12）
+     * @returns {Object} { year, month, firstWeekday, days: [{ date, day, result }] }
+     */
+    getMonth(year, month) {
+        const results = this.loadResults();
+        const daysInMonth = new Date(year, month, 0).getDate();
+        const days = [];
+
+        for (let day = 1; day <= daysInMonth; day++) {
+            const date = DailyChallenge.getDateKey(new Date(year, month - 1, day));
+            days.push({ date, day, result: results[date] || null });
+        }
+
+        return { year, month, firstWeekday: new Date(year, month - 1, 1).getDay(), days };
+    }
+}
+
+/**
+ * デイリーチャレンジの難易度（全員同じ条件で競うため固定）
+ */
+DailyChallenge.DIFFICULTY = 'easy';
+
+// グローバルで利用可能にする
+window.DailyChallenge = DailyChallenge;
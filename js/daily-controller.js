@@ -0,0 +1,169 @@
+/**
+ * Puzzle2048 デイリーチャレンジ画面制御
+ *
+ * 今日のチャレンジへの導線、連続参加日数、月ごとの結果カレンダーを表示します。
+ */
+
+class DailyController {
+    constructor() {
+        this.daily = new DailyChallenge();
+        this.today = DailyChallenge.getDateKey();
+
+        // 表示中の月（初期表示は今月）
+        const now = new Date();
+        this.viewYear = now.getFullYear();
+        this.viewMonth = now.getMonth() + 1;
+
+        // DOM要素の参照
+        this.todayDateElement = document.getElementById('daily-today-date');
+        this.todayStatusElement = document.getElementById('daily-today-status');
+        this.playButton = document.getElementById('daily-play');
+        this.currentStreakElement = document.getElementById('daily-current-streak');
+        this.bestStreakElement = document.getElementById('daily-best-streak');
+        this.totalDaysElement = document.getElementById('daily-total-days');
+        this.calendarTitleElement = document.getElementById('calendar-title');
+        this.calendarGridElement = document.getElementById('calendar-grid');
+        this.prevButton = document.getElementById('calendar-prev');
+        this.nextButton = document.getElementById('calendar-next');
+    }
+
+    /**
+     * 初期化処理
+     */
+    initialize() {
+        this.initializeEventListeners();
+        // 前日以前に途中のまま終わった挑戦を記録してから表示
+        this.daily.settleAttempts(this.today);
+        this.render();
+    }
+
+    /**
+     * イベントリスナー初期化
+     */
+    initializeEventListeners() {
+        this.playButton.addEventListener('click', () => {
+            window.location.href = 'index.html?daily=true';
+        });
+
+        this.prevButton.addEventListener('click', () => this.changeMonth(-1));
+        this.nextButton.addEventListener('click', () => this.changeMonth(1));
+
+        document.getElementById('back-to-game').addEventListener('click', () => {
+            window.location.href = 'index.html';
+        });
+    }
+
+    /**
+     * 表示する月を前後に移動
+     */
+    changeMonth(offset) {
+        const date = new Date(this.viewYear, this.viewMonth - 1 + offset, 1);
+        this.viewYear = date.getFullYear();
+        this.viewMonth = date.getMonth() + 1;
+        this.renderCalendar();
+    }
+
+    /**
+     * 画面全体を描画
+     */
+    render() {
+        this.renderToday();
+        this.renderStreak();
+        this.renderCalendar();
+    }
+
+    /**
+     * 今日のチャレンジ
+     */
+    renderToday() {
+        const result = this.daily.getResult(this.today);
+        const attempt = this.daily.getAttempt(this.today);
+
+        this.todayDateElement.textContent = this.today;
+
+        if (result) {
+            const status = result.isVictory ? '🏆 勝利' : result.abandoned ? '途中で記録' : '記録済み';
+            this.todayStatusElement.textContent = `${status} ${result.finalScore.toLocaleString()}点（最高タイル ${result.maxTile}）\n明日また挑戦しましょう`;
+            this.playButton.textContent = '練習する';
+        } else if (attempt) {
+            this.todayStatusElement.textContent = `挑戦中 ${attempt.finalScore.toLocaleString()}点（${attempt.moves}手）\nリスタートするとこの時点の結果が記録されます`;
+            this.playButton.textContent = '続きから';
+        } else {
+            this.todayStatusElement.textContent = 'まだ挑戦していません';
+            this.playButton.textContent = '挑戦する';
+        }
+    }
+
+    /**
+     * 連続記録
+     */
+    renderStreak() {
+        const { currentStreak, bestStreak, totalDays } = this.daily.getStreak(this.today);
+
+        this.currentStreakElement.textContent = `${currentStreak}日`;
+        this.bestStreakElement.textContent = `${bestStreak}日`;
+        this.totalDaysElement.textContent = `${totalDays}日`;
+    }
+
+    /**
+     * 結果カレンダー
+     */
+    renderCalendar() {
+        const month = this.daily.getMonth(this.viewYear, this.viewMonth);
+        const [todayYear, todayMonth] = this.today.split('-').map(Number);
+
+        this.calendarTitleElement.textContent = `${month.year}年${month.month}月`;
+        // 未来の月には移動しない
+        this.nextButton.disabled = month.year * 12 + month.month >= todayYear * 12 + todayMonth;
+
+        this.calendarGridElement.innerHTML = '';
+
+        ['日', '月', '火', '水', '木', '金', '土'].forEach(weekday => {
+            const header = document.createElement('div');
+            header.className = 'calendar-weekday';
+            header.textContent = weekday;
+            this.calendarGridElement.appendChild(header);
+        });
+
+        for (let i = 0; i < month.firstWeekday; i++) {
+            const blank = document.createElement('div');
+            blank.className = 'calendar-day empty';
+            this.calendarGridElement.appendChild(blank);
+        }
+
+        month.days.forEach(({ date, day, result }) => {
+            this.calendarGridElement.appendChild(this.createDayElement(date, day, result));
+        });
+    }
+
+    /**
+     * カレンダーの1日分の要素
+     */
+    createDayElement(date, day, result) {
+        const cell = document.createElement('div');
+        cell.className = 'calendar-day';
+        // YYYY-MM-DD形式は文字列比較で日付の前後を判定できる
+        if (date === this.today) cell.classList.add('today');
+        if (date > this.today) cell.classList.add('future');
+
+        const number = document.createElement('div');
+        number.className = 'calendar-day-number';
+        number.textContent = day;
+        cell.appendChild(number);
+
+        if (result) {
+            cell.classList.add(result.isVictory ? 'won' : 'played');
+            cell.title = `${date}: ${result.finalScore.toLocaleString()}点 / 最高タイル ${result.maxTile} / ${result.moves}手`;
+
+            const score = document.createElement('div');
+            score.className = 'calendar-day-score';
+            score.textContent = `${result.isVictory ? '🏆' : ''}${result.finalScore.toLocaleString()}`;
+            cell.appendChild(score);
+        }
+
+        return cell;
+    }
+}
+
+// グローバルで利用可能にする
+window.DailyController = DailyController;
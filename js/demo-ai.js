@@ -6,13 +6,38 @@
  */
 
 class DemoAI {
-    constructor(gameEngine) {
+    /**
+     * @param {GameEngine} gameEngine - 操作対象のゲームエンジン
+     * @param {Object} options - オプション
+     * @param {boolean} [options.verbose] - 思考ログをコンソールに出力するか（デフォルトtrue）
+     * @param {number} [options.timeBudget] - 1手あたりの探索時間の上限（ミリ秒、0は無制限）
+     * @param {boolean} [options.useWorker] - AISearchClientが読み込まれていればWeb Workerで探索するか（デフォルトtrue）
+     */
+    constructor(gameEngine, options = {}) {
         this.gameEngine = gameEngine;
+        this.verbose = options.verbose !== false;
         this.isRunning = false;
         this.isPaused = false;
         this.speed = 1000; // ミリ秒（1秒間隔）
         this.moveCount = 0;
-        this.strategy = 'corner'; // corner, aggressive, balanced
+        this.strategy = 'corner'; // corner, aggressive, balanced, expectimax
+        
+        // expectimax探索設定
+        this.searchDepth = 3; // 4×4・5×5での探索手数（6×6以上は自動で浅くする）
+        this.minProbability = 0.0001; // これ未満の確率の分岐は打ち切って評価
+        this.searchCache = new Map();
+        this.timeBudget = options.timeBudget || 0;
+        this.searchDeadline = 0; // 探索打ち切り時刻（performance.now()基準、0は無制限）
+        this.searchAborted = false;
+        this.searchNodes = 0;
+        this.lastSearchDepth = 0; // 直前の探索で読み切った深さ
+        this.useWorker = options.useWorker !== false;
+        this.searchClient = null; // Web Worker探索（初回使用時に生成）
+        this.evaluationWeights = {
+            empty: 500,
+            monotonicity: 5,
+            smoothness: 1
+        };
         
         this.moves = ['left', 'right', 'up', 'down'];
         this.preferredOrder = ['left', 'down', 'up', 'right']; // コーナー戦略用
@@ -28,7 +53,7 @@ class DemoAI {
         this.isPaused = false;
         this.moveCount = 0;
         
-        console.log('🤖 デモプレイ開始！', {
+        this.log('🤖 デモプレイ開始！', {
             strategy: this.strategy,
             speed: this.speed,
             difficulty: this.gameEngine.difficulty,
@@ -39,7 +64,7 @@ class DemoAI {
         
         // ゲーム状態をチェック
         if (this.gameEngine.gameOver) {
-            console.log('❌ ゲームが既に終了しています - 新しいゲームを開始してください');
+            this.log('❌ ゲームが既に終了しています - 新しいゲームを開始してください');
             this.stopDemo();
             return;
         }
@@ -53,7 +78,8 @@ class DemoAI {
     stopDemo() {
         this.isRunning = false;
         this.isPaused = false;
-        console.log('🛑 デモプレイ停止');
+        this.cancelSearch();
+        this.log('🛑 デモプレイ停止');
     }
 
     /**
@@ -63,10 +89,11 @@ class DemoAI {
         if (!this.isRunning) return;
         
         this.isPaused = !this.isPaused;
-        console.log(this.isPaused ? '⏸️ デモ一時停止' : '▶️ デモ再開');
+        this.log(this.isPaused ? '⏸️ デモ一時停止' : '▶️ デモ再開');
         
-        if (!this.isPaused) {
-            this.playLoop();
+        // 一時停止中もプレイループは待機し続けるため、再開時にループを新しく起動しない
+        if (this.isPaused) {
+            this.cancelSearch();
         }
     }
 
@@ -74,45 +101,40 @@ class DemoAI {
      * メインのプレイループ
      */
     async playLoop() {
-        console.log('🔄 プレイループ開始');
+        this.log('🔄 プレイループ開始');
         
         while (this.isRunning && !this.gameEngine.gameOver) {
-            console.log(`📊 ループ中 - isRunning: ${this.isRunning}, isPaused: ${this.isPaused}, gameOver: ${this.gameEngine.gameOver}`);
+            this.log(`📊 ループ中 - isRunning: ${this.isRunning}, isPaused: ${this.isPaused}, gameOver: ${this.gameEngine.gameOver}`);
             
             if (this.isPaused) {
                 await this.sleep(100);
                 continue;
             }
 
-            // 最適な手を選択
-            const bestMove = this.selectBestMove();
-            console.log(`🎯 選択された手: ${bestMove}`);
+            // 最適な手を選択（Web Worker利用時は探索中もメインスレッドを止めない）
+            const analysis = await this.requestAnalysis();
+
+            // 探索中に停止・一時停止された場合は結果を破棄
+            if (!analysis || !this.isRunning || this.isPaused || this.gameEngine.gameOver) {
+                continue;
+            }
+
+            const bestMove = analysis.bestMove;
+            this.log(`🎯 選択された手: ${bestMove}`);
             
             if (!bestMove) {
-                console.log('❌ 有効な手がありません - ゲーム終了');
+                this.log('❌ 有効な手がありません - ゲーム終了');
                 this.stopDemo();
                 break;
             }
 
             // 手を実行
-            console.log(`🤖 手${this.moveCount + 1}: ${bestMove}を実行`);
+            this.log(`🤖 手${this.moveCount + 1}: ${bestMove}を実行`);
             
             // UIController経由で移動実行（画面更新付き）
-            if (window.ui && window.ui.handleKeyPress) {
-                const keyMap = {
-                    'left': 'ArrowLeft',
-                    'right': 'ArrowRight', 
-                    'up': 'ArrowUp',
-                    'down': 'ArrowDown'
-                };
-                
-                // キー押下をシミュレート
-                const keyEvent = new KeyboardEvent('keydown', {
-                    key: keyMap[bestMove],
-                    code: keyMap[bestMove]
-                });
-                
-                window.ui.handleKeyPress(keyEvent);
+            if (window.ui && window.ui.handleAction) {
+                // キー割り当てに関係なく方向を直接指定する
+                window.ui.handleAction(bestMove);
                 this.moveCount++;
                 this.lastMove = bestMove;
                 
@@ -121,12 +143,12 @@ class DemoAI {
                 
                 // 勝利判定
                 if (this.gameEngine.hasWon()) {
-                    console.log('🎉 デモプレイで2048達成！');
+                    this.log(`🎉 デモプレイで${this.gameEngine.targetTile}達成！`);
                     this.stopDemo();
                     break;
                 }
             } else {
-                console.log('❌ UIController が見つかりません');
+                this.log('❌ UIController が見つかりません');
                 this.stopDemo();
                 break;
             }
@@ -136,7 +158,7 @@ class DemoAI {
         }
 
         if (this.gameEngine.gameOver) {
-            console.log('💀 デモプレイ失敗 - ゲームオーバー');
+            this.log('💀 デモプレイ失敗 - ゲームオーバー');
             this.stopDemo();
         }
     }
@@ -197,11 +219,83 @@ class DemoAI {
                 return this.selectAggressiveMove(validMoves);
             case 'balanced':
                 return this.selectBalancedMove(validMoves);
+            case 'expectimax':
+                return this.selectExpectimaxMove(validMoves);
             default:
                 return this.selectCornerStrategyMove(validMoves);
         }
     }
 
+    /**
+     * 全方向の評価内訳と推奨手を取得（ヒント表示用）
+     * @returns {Object} { bestMove, evaluations: { 方向: { valid, scoreGain, emptyTiles, monotonicity } } }
+     */
+    analyzeMoves() {
+        const validMoves = this.getValidMoves();
+        const evaluations = {};
+
+        for (const move of this.moves) {
+            if (validMoves.includes(move)) {
+                const { scoreGain, emptyTiles, monotonicity } = this.evaluateMove(move);
+                evaluations[move] = { valid: true, scoreGain, emptyTiles, monotonicity };
+            } else {
+                evaluations[move] = { valid: false, scoreGain: 0, emptyTiles: 0, monotonicity: 0 };
+            }
+        }
+
+        return { bestMove: this.selectBestMove(), evaluations };
+    }
+
+    /**
+     * 推奨手と評価内訳を非同期で取得
+     * Web Workerが使えればワーカーで探索し、使えない場合はメインスレッドのanalyzeMoves()で代替する
+     * @returns {Promise<Object|null>} analyzeMoves()と同じ形式、キャンセルされた場合はnull
+     */
+    async requestAnalysis() {
+        const client = this.getSearchClient();
+
+        if (client && client.isAvailable()) {
+            try {
+                const result = await client.search(this.gameEngine, {
+                    strategy: this.strategy,
+                    searchDepth: this.searchDepth,
+                    timeBudget: this.timeBudget
+                });
+                if (result) {
+                    this.log(`🧵 ワーカー探索: ${result.bestMove} (深さ${result.depth}, ${result.elapsed}ms)`);
+                }
+                return result;
+            } catch (error) {
+                this.log('⚠️ ワーカー探索に失敗 - メインスレッドで探索します', error);
+            }
+        }
+
+        return this.analyzeMoves();
+    }
+
+    /**
+     * Web Worker探索クライアントを取得（利用できない環境ではnull）
+     */
+    getSearchClient() {
+        if (!this.useWorker || typeof AISearchClient === 'undefined') {
+            return null;
+        }
+
+        if (!this.searchClient) {
+            this.searchClient = new AISearchClient();
+        }
+        return this.searchClient;
+    }
+
+    /**
+     * 実行中のワーカー探索をキャンセル
+     */
+    cancelSearch() {
+        if (this.searchClient) {
+            this.searchClient.cancel();
+        }
+    }
+
     /**
      * 有効な手（実際にタイルが動く手）を取得
      */
@@ -214,7 +308,7 @@ class DemoAI {
             }
         }
         
-        console.log('🔍 有効な手一覧:', validMoves);
+        this.log('🔍 有効な手一覧:', validMoves);
         return validMoves;
     }
 
@@ -222,6 +316,11 @@ class DemoAI {
      * 指定した手が有効かどうかチェック（修正版）
      */
     isValidMove(direction) {
+        // ルールバリアントや障害物のある盤面はルールに従って移動をシミュレーション
+        if (!this.usesFastBoard()) {
+            return this.simulateVariantMove(direction).moved;
+        }
+
         // 現在のグリッドで実際に移動シミュレーション
         const originalGrid = this.gameEngine.grid;
         
@@ -359,7 +458,7 @@ class DemoAI {
                 totalScore -= 2000;
             }
             
-            console.log(`📊 ${move}: ${totalScore}点 (スコア:${evaluation.scoreGain} 空き:${evaluation.emptyTiles})`);
+            this.log(`📊 ${move}: ${totalScore}点 (スコア:${evaluation.scoreGain} 空き:${evaluation.emptyTiles})`);
             
             if (totalScore > bestScore) {
                 bestScore = totalScore;
@@ -385,6 +484,273 @@ class DemoAI {
         return safeMove || this.selectBestScoreMove(validMoves);
     }
 
+    /**
+     * expectimax戦略（タイル出現を確率ノードとして先読み）
+     */
+    selectExpectimaxMove(validMoves) {
+        // FastBoardは通常ルール・障害物なし専用のため、それ以外は1手先の評価で代替
+        if (!this.usesFastBoard()) {
+            this.log('🧩 ルールバリアント・障害物ありでは先読みせずバランス戦略で評価');
+            this.lastSearchDepth = 1;
+            return this.selectBalancedMove(validMoves);
+        }
+
+        const maxDepth = this.getExpectimaxDepth();
+        const rootBoard = FastBoard.fromGrid(this.gameEngine.grid);
+
+        // 時間制限なしは指定深さで1回だけ探索
+        if (!this.timeBudget) {
+            this.lastSearchDepth = maxDepth;
+            return this.searchExpectimaxRoot(rootBoard, validMoves, maxDepth) || validMoves[0];
+        }
+
+        // 時間制限ありは反復深化し、時間内に読み切った最も深い結果を採用
+        this.searchDeadline = performance.now() + this.timeBudget;
+        this.lastSearchDepth = 0;
+        let bestMove = null;
+
+        for (let depth = 1; depth <= maxDepth; depth++) {
+            const move = this.searchExpectimaxRoot(rootBoard, validMoves, depth);
+            if (this.searchAborted) break;
+
+            bestMove = move;
+            this.lastSearchDepth = depth;
+        }
+
+        this.searchDeadline = 0;
+        this.searchAborted = false;
+        return bestMove || validMoves[0];
+    }
+
+    /**
+     * 指定深さでルートの各手を評価し最善手を返す
+     */
+    searchExpectimaxRoot(rootBoard, validMoves, depth) {
+        let bestMove = null;
+        let bestValue = -Infinity;
+
+        this.searchCache.clear();
+
+        for (const move of validMoves) {
+            const { board, moved } = FastBoard.simulateMove(rootBoard, move);
+            if (!moved) continue;
+
+            const value = this.expectimaxChanceNode(board, depth - 1, 1);
+            if (this.searchAborted) break;
+
+            this.log(`📊 ${move}: 期待値 ${Math.round(value)} (深さ${depth})`);
+
+            if (value > bestValue) {
+                bestValue = value;
+                bestMove = move;
+            }
+        }
+
+        this.searchCache.clear();
+        return bestMove;
+    }
+
+    /**
+     * 盤面サイズに応じた探索深さ（大きい盤面ほど分岐が多いため浅くする）
+     */
+    getExpectimaxDepth() {
+        const size = this.gameEngine.gridSize;
+        if (size >= 8) return 1;
+        if (size >= 6) return Math.max(1, this.searchDepth - 1);
+        return this.searchDepth;
+    }
+
+    /**
+     * 探索深さを設定
+     * @param {number} depth - 4×4での先読み手数（1以上）
+     */
+    setSearchDepth(depth) {
+        this.searchDepth = Math.max(1, Math.floor(depth));
+        this.log(`🔭 探索深さ設定: ${this.searchDepth}`);
+    }
+
+    /**
+     * 手番ノード（プレイヤーが最善手を選ぶ）
+     */
+    expectimaxMaxNode(board, depth, probability) {
+        let bestValue = -Infinity;
+
+        for (const move of this.moves) {
+            const { board: nextBoard, moved } = FastBoard.simulateMove(board, move);
+            if (!moved) continue;
+
+            const value = this.expectimaxChanceNode(nextBoard, depth - 1, probability);
+            if (value > bestValue) {
+                bestValue = value;
+            }
+        }
+
+        // 動かせない盤面はゲームオーバーとして大きく減点
+        return bestValue === -Infinity ? this.evaluateBoard(board) - 1000000 : bestValue;
+    }
+
+    /**
+     * 確率ノード（全空きマス×出現タイルの期待値）
+     */
+    expectimaxChanceNode(board, depth, probability) {
+        // 制限時間を過ぎたら打ち切り（時刻の取得は1024ノードごと）
+        if (this.searchDeadline && (++this.searchNodes & 1023) === 0 && performance.now() > this.searchDeadline) {
+            this.searchAborted = true;
+        }
+        if (this.searchAborted) {
+            return 0;
+        }
+
+        if (depth <= 0 || probability < this.minProbability) {
+            return this.evaluateBoard(board);
+        }
+
+        const cacheKey = `${depth}:${FastBoard.getKey(board)}`;
+        if (this.searchCache.has(cacheKey)) {
+            return this.searchCache.get(cacheKey);
+        }
+
+        const emptyCells = FastBoard.getEmptyCells(board);
+        if (emptyCells.length === 0) {
+            return this.evaluateBoard(board);
+        }
+
+        const spawns = this.gameEngine.getSpawnDistribution();
+        let expectedValue = 0;
+
+        for (const index of emptyCells) {
+            const row = Math.floor(index / board.size);
+            const col = index % board.size;
+
+            for (const { value, chance } of spawns) {
+                const branchChance = chance / emptyCells.length;
+                const spawnedBoard = FastBoard.setCell(board, row, col, Math.log2(value));
+                expectedValue += branchChance * this.expectimaxMaxNode(spawnedBoard, depth, probability * branchChance);
+            }
+        }
+
+        this.searchCache.set(cacheKey, expectedValue);
+        return expectedValue;
+    }
+
+    /**
+     * 葉ノードの盤面評価（空きマス・単調性・スムーズさの重み付き和）
+     * calculateAdvancedMonotonicity / calculateSmoothness と同じ値を指数の盤面から計算する
+     */
+    evaluateBoard(board) {
+        const weights = this.evaluationWeights;
+        const { emptyTiles, monotonicity, smoothness } = board.cells
+            ? this.measureCellsBoard(board)
+            : this.measureBitboard(board);
+
+        return emptyTiles * weights.empty +
+            monotonicity * weights.monotonicity +
+            smoothness * weights.smoothness;
+    }
+
+    /**
+     * 4×4ビットボードの評価指標（行ごとの早見表を合計）
+     */
+    measureBitboard(board) {
+        const tables = DemoAI.getRowHeuristicTables();
+        let emptyTiles = 0;
+        let monotonicity = 0;
+        let smoothness = 0;
+
+        for (let line = 0; line < 4; line++) {
+            const row = FastBoard.readRow(board.hi, board.lo, line);
+            const column = FastBoard.readColumn(board.hi, board.lo, line);
+
+            emptyTiles += tables.empty[row];
+            // 位置の重み (4 - row) + (4 - col) を列方向の分と行方向の分に分けて加算
+            monotonicity += tables.columnWeightedLog[row] + (4 - line) * tables.logSum[row];
+            smoothness += tables.smoothness[row] + tables.smoothness[column];
+        }
+
+        return { emptyTiles, monotonicity, smoothness };
+    }
+
+    /**
+     * 1byte表現の盤面の評価指標
+     */
+    measureCellsBoard(board) {
+        const { values, logs } = DemoAI.getExponentTables();
+        const { size, cells } = board;
+        let emptyTiles = 0;
+        let monotonicity = 0;
+        let smoothness = 0;
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const exponent = cells[row * size + col];
+                const value = values[exponent];
+
+                if (exponent === 0) emptyTiles++;
+                monotonicity += logs[exponent] * ((size - row) + (size - col));
+
+                if (col < size - 1) {
+                    smoothness -= Math.abs(value - values[cells[row * size + col + 1]]);
+                }
+                if (row < size - 1) {
+                    smoothness -= Math.abs(value - values[cells[(row + 1) * size + col]]);
+                }
+            }
+        }
+
+        return { emptyTiles, monotonicity, smoothness };
+    }
+
+    /**
+     * 指数→タイル値・log2(値+1)の早見表
+     */
+    static getExponentTables() {
+        if (!DemoAI.exponentTables) {
+            const values = new Float64Array(32);
+            const logs = new Float64Array(32);
+            for (let exponent = 1; exponent < 32; exponent++) {
+                values[exponent] = Math.pow(2, exponent);
+                logs[exponent] = Math.log2(values[exponent] + 1);
+            }
+            DemoAI.exponentTables = { values, logs };
+        }
+        return DemoAI.exponentTables;
+    }
+
+    /**
+     * 4マスの行（16bit）ごとの評価指標の早見表（初回のみ計算）
+     * empty: 空きマス数, columnWeightedLog: Σlog2(値+1)×(4-col), logSum: Σlog2(値+1), smoothness: 隣接差の合計（負値）
+     */
+    static getRowHeuristicTables() {
+        if (DemoAI.rowHeuristicTables) {
+            return DemoAI.rowHeuristicTables;
+        }
+
+        const { values, logs } = DemoAI.getExponentTables();
+        const tables = {
+            empty: new Uint8Array(65536),
+            columnWeightedLog: new Float64Array(65536),
+            logSum: new Float64Array(65536),
+            smoothness: new Float64Array(65536)
+        };
+
+        for (let row = 0; row < 65536; row++) {
+            for (let col = 0; col < 4; col++) {
+                const exponent = (row >>> (col * 4)) & 0xF;
+                if (exponent === 0) tables.empty[row]++;
+                tables.columnWeightedLog[row] += logs[exponent] * (4 - col);
+                tables.logSum[row] += logs[exponent];
+
+                if (col < 3) {
+                    const next = (row >>> ((col + 1) * 4)) & 0xF;
+                    tables.smoothness[row] -= Math.abs(values[exponent] - values[next]);
+                }
+            }
+        }
+
+        DemoAI.rowHeuristicTables = tables;
+        return tables;
+    }
+
     /**
      * スコアが最も上がる手を選択
      */
@@ -425,23 +791,23 @@ class DemoAI {
      * 手の評価を行う（高度な評価関数）
      */
     evaluateMove(direction) {
-        const originalGrid = this.cloneGrid(this.gameEngine.grid);
-        const originalScore = this.gameEngine.score;
-        
-        // 仮想実行
-        const testEngine = new GameEngine(this.gameEngine.difficulty);
-        testEngine.grid = this.cloneGrid(originalGrid);
-        testEngine.score = originalScore;
-        
-        const result = testEngine.move(direction, false);
+        // 仮想実行（タイル出現なし・ゲーム状態を変更しない純粋な盤面計算）
+        let grid;
+        let scoreGain;
+        if (this.usesFastBoard()) {
+            const simulated = FastBoard.simulateMove(FastBoard.fromGrid(this.gameEngine.grid), direction);
+            grid = FastBoard.toGrid(simulated.board);
+            scoreGain = simulated.scoreGain;
+        } else {
+            ({ grid, scoreGain } = this.simulateVariantMove(direction));
+        }
         
         // 評価指標を計算
-        const scoreGain = testEngine.score - originalScore;
-        const emptyTiles = this.countEmptyTiles(testEngine.grid);
-        const monotonicity = this.calculateAdvancedMonotonicity(testEngine.grid);
-        const smoothness = this.calculateSmoothness(testEngine.grid);
-        const cornerWeight = this.calculateCornerWeight(testEngine.grid);
-        const maxTilePosition = this.evaluateMaxTilePosition(testEngine.grid);
+        const emptyTiles = this.countEmptyTiles(grid);
+        const monotonicity = this.calculateAdvancedMonotonicity(grid);
+        const smoothness = this.calculateSmoothness(grid);
+        const cornerWeight = this.calculateCornerWeight(grid);
+        const maxTilePosition = this.evaluateMaxTilePosition(grid);
         
         return {
             scoreGain,
@@ -454,6 +820,38 @@ class DemoAI {
         };
     }
 
+    /**
+     * FastBoardで計算できる盤面か（FastBoardとcanMoveLeft等の判定は通常ルール・障害物なし専用）
+     */
+    usesFastBoard() {
+        const rules = this.gameEngine.rules;
+        return (!rules || rules.id === 'classic') && !this.getBlockedCells();
+    }
+
+    /**
+     * 移動を遮るマス（障害物・ロックタイル）、ない場合はnull
+     */
+    getBlockedCells() {
+        return this.gameEngine.getBlockedCells ? this.gameEngine.getBlockedCells() : null;
+    }
+
+    /**
+     * ルールバリアント・障害物ありの盤面での仮想移動
+     * 評価関数は2の累乗の値を前提とするため、移動後のタイルは同じ段階の通常タイルの値に換算して返す
+     * @returns {Object} { grid, moved, scoreGain }
+     */
+    simulateVariantMove(direction) {
+        const rules = this.gameEngine.rules;
+        const values = this.gameEngine.grid.map(row => row.map(tile => tile ? tile.value : 0));
+        const { grid, moved, scoreGain } = RuleVariants.simulateGridMove(values, direction, rules, this.getBlockedCells());
+
+        return {
+            grid: grid.map(row => row.map(value => value !== 0 ? { value: Math.pow(2, rules.tileLevel(value)) } : null)),
+            moved,
+            scoreGain
+        };
+    }
+
     /**
      * 高度な単調性評価（グラデーション評価）
      */
@@ -638,7 +1036,7 @@ class DemoAI {
      */
     setSpeed(speedMultiplier) {
         this.speed = 1000 / speedMultiplier;
-        console.log(`⚡ デモ速度設定: ${speedMultiplier}倍速 (${this.speed}ms間隔)`);
+        this.log(`⚡ デモ速度設定: ${speedMultiplier}倍速 (${this.speed}ms間隔)`);
     }
 
     /**
@@ -646,7 +1044,16 @@ class DemoAI {
      */
     setStrategy(strategy) {
         this.strategy = strategy;
-        console.log(`🎯 デモ戦略変更: ${strategy}`);
+        this.log(`🎯 デモ戦略変更: ${strategy}`);
+    }
+
+    /**
+     * 思考ログ出力（verbose無効時は出力しない）
+     */
+    log(...args) {
+        if (this.verbose) {
+            console.log(...args);
+        }
     }
 
     /**
@@ -668,4 +1075,7 @@ class DemoAI {
             speed: this.speed
         };
     }
-}
\ No newline at end of file
+}
+
+// グローバルで利用可能にする
+window.DemoAI = DemoAI;
@@ -0,0 +1,378 @@
+/**
+ * Puzzle2048 高速盤面エンジン
+ *
+ * AI探索用にタイルを指数（2→1, 4→2, …, 空き→0）だけで表すコンパクトな盤面と、
+ * 行単位の移動結果を引くルックアップテーブルを提供します。
+ * 盤面は値として扱い、simulateMove()は元の盤面を変更せず新しい盤面を返します。
+ *
+ * - 4×4: 1マス4bitのビットボード（32bitワード2つ: hiが0-1行目、loが2-3行目）
+ *        65536通りの行の移動結果を初回使用時に一括計算
+ * - その他のサイズ・32768を超えるタイルを含む4×4: 1マス1byteのUint8Array
+ *        行の移動結果をサイズごとのMapに記録して再利用
+ */
+
+class FastBoard {
+    /**
+     * GameEngineのグリッド（タイルオブジェクトまたは{ value }の2次元配列）から盤面を作成
+     * @returns {Object} 盤面
+     */
+    static fromGrid(grid) {
+        const size = grid.length;
+        const cells = new Uint8Array(size * size);
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const tile = grid[row][col];
+                cells[row * size + col] = tile ? Math.log2(tile.value) : 0;
+            }
+        }
+
+        return FastBoard.fromCells(size, cells);
+    }
+
+    /**
+     * 指数の配列から盤面を作成（4×4で収まる場合はビットボード）
+     * @param {number} size - 盤面サイズ
+     * @param {Uint8Array} cells - 行優先の指数配列
+     */
+    static fromCells(size, cells) {
+        if (size !== 4 || cells.some(exponent => exponent > 15)) {
+            return { size, cells };
+        }
+
+        let hi = 0;
+        let lo = 0;
+        for (let i = 0; i < 8; i++) {
+            hi += cells[i] * Math.pow(16, i);
+            lo += cells[i + 8] * Math.pow(16, i);
+        }
+        return { size, hi, lo };
+    }
+
+    /**
+     * 盤面を行優先の指数配列に展開
+     * @returns {Uint8Array}
+     */
+    static toCells(board) {
+        if (board.cells) {
+            return board.cells;
+        }
+
+        const cells = new Uint8Array(16);
+        for (let i = 0; i < 8; i++) {
+            cells[i] = (board.hi >>> (i * 4)) & 0xF;
+            cells[i + 8] = (board.lo >>> (i * 4)) & 0xF;
+        }
+        return cells;
+    }
+
+    /**
+     * 盤面を{ value }の2次元配列に変換（既存の評価関数用）
+     */
+    static toGrid(board) {
+        const cells = FastBoard.toCells(board);
+        const grid = [];
+        for (let row = 0; row < board.size; row++) {
+            const line = [];
+            for (let col = 0; col < board.size; col++) {
+                const exponent = cells[row * board.size + col];
+                line.push(exponent ? { value: Math.pow(2, exponent) } : null);
+            }
+            grid.push(line);
+        }
+        return grid;
+    }
+
+    /**
+     * 指定マスの指数を取得（空きは0）
+     */
+    static getCell(board, row, col) {
+        if (board.cells) {
+            return board.cells[row * board.size + col];
+        }
+
+        const word = row < 2 ? board.hi : board.lo;
+        return (word >>> ((row & 1) * 16 + col * 4)) & 0xF;
+    }
+
+    /**
+     * 指定マスに指数を置いた新しい盤面を取得
+     */
+    static setCell(board, row, col, exponent) {
+        if (board.cells) {
+            const cells = board.cells.slice();
+            cells[row * board.size + col] = exponent;
+            return { size: board.size, cells };
+        }
+
+        if (exponent > 15) {
+            const cells = FastBoard.toCells(board).slice();
+            cells[row * 4 + col] = exponent;
+            return { size: 4, cells };
+        }
+
+        const shift = (row & 1) * 16 + col * 4;
+        const mask = ~(0xF << shift);
+        if (row < 2) {
+            return { size: 4, hi: ((board.hi & mask) | (exponent << shift)) >>> 0, lo: board.lo };
+        }
+        return { size: 4, hi: board.hi, lo: ((board.lo & mask) | (exponent << shift)) >>> 0 };
+    }
+
+    /**
+     * 空きマスの一覧を取得
+     * @returns {number[]} 行優先のマス番号（row * size + col）
+     */
+    static getEmptyCells(board) {
+        const cells = FastBoard.toCells(board);
+        const empty = [];
+        for (let i = 0; i < cells.length; i++) {
+            if (cells[i] === 0) empty.push(i);
+        }
+        return empty;
+    }
+
+    /**
+     * 探索キャッシュ用の盤面キー
+     * @returns {string}
+     */
+    static getKey(board) {
+        if (board.cells) {
+            return String.fromCharCode.apply(null, board.cells);
+        }
+        return `${board.hi},${board.lo}`;
+    }
+
+    /**
+     * 指定方向への移動をシミュレート（元の盤面は変更しない）
+     * @param {Object} board - fromGrid()/fromCells()で作成した盤面
+     * @param {string} direction - 'left' | 'right' | 'up' | 'down'
+     * @returns {Object} { board, moved, scoreGain }
+     */
+    static simulateMove(board, direction) {
+        if (board.cells) {
+            return FastBoard.simulateCellsMove(board, direction);
+        }
+        return FastBoard.simulateBitboardMove(board, direction);
+    }
+
+    /**
+     * いずれかの方向に移動できるか
+     */
+    static canMove(board) {
+        return ['left', 'right', 'up', 'down'].some(direction => FastBoard.simulateMove(board, direction).moved);
+    }
+
+    /**
+     * 4×4ビットボードの移動（行・列を16bitの行としてテーブル参照）
+     */
+    static simulateBitboardMove(board, direction) {
+        const tables = FastBoard.getRowTables();
+        const reverse = direction === 'right' || direction === 'down';
+        const moveTable = reverse ? tables.right : tables.left;
+        const scoreTable = reverse ? tables.rightScore : tables.leftScore;
+        const vertical = direction === 'up' || direction === 'down';
+
+        let hi = board.hi;
+        let lo = board.lo;
+        let scoreGain = 0;
+
+        for (let line = 0; line < 4; line++) {
+            const row = vertical ? FastBoard.readColumn(hi, lo, line) : FastBoard.readRow(hi, lo, line);
+
+            // 32768同士の合体は4bitに収まらないため1byte表現で計算し直す
+            if (tables.overflow[row]) {
+                return FastBoard.simulateCellsMove({ size: 4, cells: FastBoard.toCells(board) }, direction);
+            }
+
+            const result = moveTable[row];
+            if (result === row) continue;
+
+            scoreGain += scoreTable[row];
+            if (vertical) {
+                ({ hi, lo } = FastBoard.writeColumn(hi, lo, line, result));
+            } else if (line < 2) {
+                const shift = line * 16;
+                hi = ((hi & ~(0xFFFF << shift)) | (result << shift)) >>> 0;
+            } else {
+                const shift = (line - 2) * 16;
+                lo = ((lo & ~(0xFFFF << shift)) | (result << shift)) >>> 0;
+            }
+        }
+
+        const moved = hi !== board.hi || lo !== board.lo;
+        return { board: { size: 4, hi, lo }, moved, scoreGain };
+    }
+
+    /**
+     * ビットボードの指定行を16bit値で取得（0列目が下位4bit）
+     */
+    static readRow(hi, lo, row) {
+        const word = row < 2 ? hi : lo;
+        return (word >>> ((row & 1) * 16)) & 0xFFFF;
+    }
+
+    /**
+     * ビットボードの指定列を16bit値で取得（0行目が下位4bit）
+     */
+    static readColumn(hi, lo, col) {
+        const shift = col * 4;
+        return ((hi >>> shift) & 0xF) |
+            (((hi >>> (16 + shift)) & 0xF) << 4) |
+            (((lo >>> shift) & 0xF) << 8) |
+            (((lo >>> (16 + shift)) & 0xF) << 12);
+    }
+
+    /**
+     * ビットボードの指定列を16bit値で置き換え
+     */
+    static writeColumn(hi, lo, col, value) {
+        const shift = col * 4;
+        const mask = ~((0xF << shift) | (0xF << (16 + shift)));
+        return {
+            hi: ((hi & mask) | ((value & 0xF) << shift) | (((value >>> 4) & 0xF) << (16 + shift))) >>> 0,
+            lo: ((lo & mask) | (((value >>> 8) & 0xF) << shift) | (((value >>> 12) & 0xF) << (16 + shift))) >>> 0
+        };
+    }
+
+    /**
+     * 4マスの行の移動結果テーブルを取得（初回のみ65536通りを計算）
+     * left/right: 移動後の行, leftScore/rightScore: 獲得スコア, overflow: 4bitを超える合体を含む行
+     */
+    static getRowTables() {
+        if (FastBoard.rowTables) {
+            return FastBoard.rowTables;
+        }
+
+        const tables = {
+            left: new Uint16Array(65536),
+            right: new Uint16Array(65536),
+            leftScore: new Uint32Array(65536),
+            rightScore: new Uint32Array(65536),
+            overflow: new Uint8Array(65536)
+        };
+        const line = new Uint8Array(4);
+
+        for (let row = 0; row < 65536; row++) {
+            for (let i = 0; i < 4; i++) {
+                line[i] = (row >>> (i * 4)) & 0xF;
+            }
+
+            const left = FastBoard.slideLine(line);
+            const right = FastBoard.slideLine(line.slice().reverse());
+            right.line.reverse();
+
+            if (left.line.some(exponent => exponent > 15)) {
+                tables.overflow[row] = 1;
+                continue;
+            }
+
+            tables.left[row] = left.line.reduce((packed, exponent, i) => packed | (exponent << (i * 4)), 0);
+            tables.right[row] = right.line.reduce((packed, exponent, i) => packed | (exponent << (i * 4)), 0);
+            tables.leftScore[row] = left.scoreGain;
+            tables.rightScore[row] = right.scoreGain;
+        }
+
+        FastBoard.rowTables = tables;
+        return tables;
+    }
+
+    /**
+     * 1byte表現の盤面の移動（行の結果をサイズ別のMapに記録して再利用）
+     */
+    static simulateCellsMove(board, direction) {
+        const size = board.size;
+        const cells = board.cells;
+        const next = new Uint8Array(cells.length);
+        const cache = FastBoard.getLineCache(size);
+        const line = new Uint8Array(size);
+        const indexes = new Array(size);
+        let moved = false;
+        let scoreGain = 0;
+
+        for (let lineIndex = 0; lineIndex < size; lineIndex++) {
+            // 移動方向の先頭から順にマス番号を並べる
+            for (let i = 0; i < size; i++) {
+                switch (direction) {
+                    case 'left': indexes[i] = lineIndex * size + i; break;
+                    case 'right': indexes[i] = lineIndex * size + (size - 1 - i); break;
+                    case 'up': indexes[i] = i * size + lineIndex; break;
+                    case 'down': indexes[i] = (size - 1 - i) * size + lineIndex; break;
+                    default: return { board, moved: false, scoreGain: 0 };
+                }
+            }
+
+            // 1マス5bitで行をまとめた数値をキーにする（10マスでも50bitで安全な整数に収まる）
+            let key = 0;
+            for (let i = 0; i < size; i++) {
+                line[i] = cells[indexes[i]];
+                key = key * 32 + line[i];
+            }
+
+            let result = cache.get(key);
+            if (!result) {
+                result = FastBoard.slideLine(line);
+                if (cache.size >= FastBoard.MAX_LINE_CACHE) {
+                    cache.clear(); // 大きな盤面で際限なく増えないよう上限で破棄
+                }
+                cache.set(key, result);
+            }
+
+            for (let i = 0; i < size; i++) {
+                next[indexes[i]] = result.line[i];
+                if (result.line[i] !== line[i]) moved = true;
+            }
+            scoreGain += result.scoreGain;
+        }
+
+        return { board: { size, cells: next }, moved, scoreGain };
+    }
+
+    /**
+     * 盤面サイズごとの行の移動結果キャッシュ
+     */
+    static getLineCache(size) {
+        if (!FastBoard.lineCaches) {
+            FastBoard.lineCaches = new Map();
+        }
+        if (!FastBoard.lineCaches.has(size)) {
+            FastBoard.lineCaches.set(size, new Map());
+        }
+        return FastBoard.lineCaches.get(size);
+    }
+
+    /**
+     * 1行を先頭方向に詰めて合体（GameEngine.processRowと同じ規則）
+     * @param {Uint8Array} line - 指数の配列（先頭が移動方向）
+     * @returns {Object} { line, scoreGain }
+     */
+    static slideLine(line) {
+        const result = new Uint8Array(line.length);
+        let target = 0;
+        let previous = 0;
+        let scoreGain = 0;
+
+        for (let i = 0; i < line.length; i++) {
+            const exponent = line[i];
+            if (exponent === 0) continue;
+
+            if (previous === exponent) {
+                // 直前のタイルと合体（1回の移動で合体は1度まで）
+                result[target - 1] = exponent + 1;
+                scoreGain += Math.pow(2, exponent + 1);
+                previous = 0;
+            } else {
+                result[target++] = exponent;
+                previous = exponent;
+            }
+        }
+
+        return { line: result, scoreGain };
+    }
+}
+
+// 盤面サイズごとの行キャッシュの上限件数
+FastBoard.MAX_LINE_CACHE = 200000;
+
+// グローバルで利用可能にする
+window.FastBoard = FastBoard;
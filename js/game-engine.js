@@ -6,27 +6,182 @@
  */
 
 class GameEngine {
-    constructor(difficulty = 'easy') {
+    /**
+     * @param {string} difficulty - 難易度
+     * @param {Object} options - オプション
+     * @param {number} [options.seed] - 乱数シード（同じシードで同じゲームを再現）
+     * @param {Object} [options.randomSource] - next()を持つ乱数ソース（seedより優先）
+     * @param {number} [options.historyLimit] - アンドゥ履歴の最大保持数（0で無効）
+     * @param {boolean} [options.persistent] - ベストスコアをLocalStorageに読み書きするか（シミュレーション用はfalse）
+     * @param {Object} [options.customConfig] - 難易度'custom'の盤面設定（normalizeCustomConfig参照）
+     * @param {string} [options.ruleVariant] - 合体・出現ルール（RuleVariantsのID、省略時は通常ルール）
+     * @param {Object} [options.obstacleConfig] - 障害物・ロックタイルの配置設定（normalizeObstacleConfig参照）
+     * @param {Object} [options.challenge] - タイムアタック・手数制限の設定（normalizeChallenge参照）
+     * @param {string} [options.dailyDate] - デイリーチャレンジの日付（YYYY-MM-DD、seedと合わせて指定）
+     * @param {Object} [options.puzzle] - パズルモードのレベル（PuzzleLevelStore.normalizeLevel参照、難易度は'puzzle'）
+     * @param {Object} [options.spawnSource] - nextSpawn(emptyCells)で出現タイルを決めるソース（指定時は出現ポリシーより優先）
+     * @param {string} [options.spawnPolicy] - 出現タイルの決め方（SpawnPoliciesのID、省略時は乱数で決定）
+     * @param {Object} [options.position] - サンドボックスの開始局面 { board, score, turn }（GameEngine.parseGrid参照）
+     *   turnが'spawn'の場合は開始時にタイルを1枚出現させてから移動の手番になる
+     * @param {boolean} [options.versus] - 対戦モード（相手から送られたお邪魔タイルを受け取る、addJunkTiles参照）
+     */
+    constructor(difficulty = 'easy', options = {}) {
         // 難易度設定
         this.difficulty = difficulty;
-        this.gridSize = this.getDifficultyConfig(difficulty).size;
-        this.targetTile = this.getDifficultyConfig(difficulty).target;
+        this.puzzle = difficulty === 'puzzle' ? options.puzzle || null : null;
+        this.position = options.position || null;
+        this.versus = Boolean(options.versus);
+        this.customConfig = difficulty === 'custom' ? GameEngine.normalizeCustomConfig(options.customConfig) : null;
+        this.rules = RuleVariants.get(options.ruleVariant);
+        this.ruleVariant = this.rules.id;
+        this.spawnPolicy = SpawnPolicies.get(options.spawnPolicy);
+        const config = this.getDifficultyConfig(difficulty);
+        this.gridSize = config.size;
+        this.challenge = GameEngine.normalizeChallenge(options.challenge);
+        // デイリーチャレンジはリスタートしても同じシードで始める
+        this.dailyDate = options.dailyDate || null;
+        this.dailySeed = this.dailyDate ? options.seed : undefined;
+        // 手数制限モードはチャレンジの目標、それ以外は難易度の目標（ルールのタイル値に合わせる）
+        const target = this.challenge && this.challenge.type === 'moveLimit' ? this.challenge.target : config.target;
+        this.targetTile = this.rules.adjustTarget(target);
+        this.fourProbability = config.fourProbability;   // 4が出現する確率
+        this.eightProbability = config.eightProbability; // 8が出現する確率
+        this.startTiles = config.startTiles;             // 開始時のタイル数
+        // パズルモード・サンドボックスの障害物は盤面で決まる
+        const obstacleConfig = this.puzzle ? this.puzzle.obstacleConfig
+            : this.position ? GameEngine.getBoardObstacleConfig(this.position.board) : options.obstacleConfig;
+        this.obstacleConfig = GameEngine.normalizeObstacleConfig(obstacleConfig, this.gridSize);
         
+        // 障害物（石ブロック）の位置。タイルとは別に管理し、gridの該当マスは常にnull
+        this.obstacles = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(false));
         this.grid = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(null));
         this.score = 0;
-        this.bestScore = parseInt(localStorage.getItem(`puzzle2048_best_score_${difficulty}`) || '0');
+        this.persistent = options.persistent !== false;
+        this.bestScore = this.persistent
+            ? parseInt(localStorage.getItem(`puzzle2048_best_score_${this.getRecordKey()}`) || '0')
+            : 0;
         this.moves = 0;
         this.gameStarted = false;
         this.gameOver = false;
         this.status = 'playing';
         this.startTime = 0;
+        this.pausedAt = 0; // 一時停止した時刻（一時停止中の時間は経過時間に含めない）
         this.mergeCount = 0;
         this.maxTile = 0;
         this.lastMoveValid = false;
         
+        // 乱数ソース（タイル生成・タイルIDは全てここを経由する）
+        // 外部から渡された乱数ソースはリスタート後も使い続ける
+        this.randomSource = options.randomSource || null;
+        this.random = this.randomSource || new SeededRandom(options.seed);
+        this.spawnSource = options.spawnSource || null;
+        this.tileIdCounter = 0;
+        
+        // アンドゥ・リドゥ履歴
+        this.historyLimit = options.historyLimit !== undefined ? options.historyLimit : 50;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.undoCount = 0;
+        this.hintCount = 0; // ヒント使用回数
+        
+        // リプレイ記録（初期配置と各手の方向・出現タイル）
+        this.initialTiles = [];
+        this.moveLog = [];
+
+        // イベントリスナー（イベント種類 -> リスナーのSet）
+        this.listeners = new Map();
+        
         this.initializeGame();
     }
 
+    /**
+     * イベントを購読
+     * @param {string} type - イベントの種類（GameEngine.EVENT_TYPES）
+     * @param {Function} listener - { type, payload, timestamp } を受け取る関数
+     * @returns {Function} 購読解除用の関数
+     */
+    on(type, listener) {
+        if (!GameEngine.EVENT_TYPES.includes(type)) {
+            throw new Error(`未知のイベントです: ${type}`);
+        }
+
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * イベントの購読を解除
+     */
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * イベントを発行（リスナーの例外はゲーム処理に影響させない）
+     * @param {string} type - イベントの種類
+     * @param {Object} payload - イベントの内容
+     */
+    emit(type, payload = {}) {
+        const listeners = this.listeners.get(type);
+        if (!listeners || listeners.size === 0) {
+            return;
+        }
+
+        const event = { type, payload, timestamp: Date.now() };
+
+        // 処理中に購読解除されても全リスナーに届くよう複製してから呼び出す
+        for (const listener of [...listeners]) {
+            try {
+                listener(event);
+            } catch (error) {
+                console.warn(`⚠️ イベントリスナーでエラー (${type}):`, error);
+            }
+        }
+    }
+
+    /**
+     * 乱数ソースを差し替え（以降のタイル生成に適用）
+     * @param {Object} randomSource - next()で0以上1未満を返すオブジェクト
+     */
+    setRandomSource(randomSource) {
+        if (!randomSource || typeof randomSource.next !== 'function') {
+            throw new Error('乱数ソースにはnext()が必要です');
+        }
+        this.randomSource = randomSource;
+        this.random = randomSource;
+    }
+
+    /**
+     * 現在のゲームのシード値を取得
+     * @returns {number|null} シード値（シードを持たない乱数ソースの場合はnull）
+     */
+    getSeed() {
+        return this.random.seed !== undefined ? this.random.seed : null;
+    }
+
+    /**
+     * 乱数ソースから0以上max未満の整数を取得
+     */
+    randomInt(max) {
+        return Math.floor(this.random.next() * max);
+    }
+
+    /**
+     * タイルIDを生成（乱数ソース経由で再現可能）
+     * @param {string} prefix - IDの接頭辞
+     */
+    createTileId(prefix) {
+        this.tileIdCounter++;
+        return `${prefix}_${this.tileIdCounter}_${this.randomInt(0x100000000).toString(36)}`;
+    }
+
     /**
      * 難易度設定を取得
      */
@@ -38,7 +193,408 @@ class GameEngine {
             expert: { size: 8, target: 16384, name: 'Expert' }
         };
         
-        return configs[difficulty] || configs.easy;
+        if (difficulty === 'custom' && this.customConfig) {
+            return { ...this.customConfig, name: 'Custom' };
+        }
+
+        // パズルモードはレベルの盤面をそのまま使うため初期タイルを出さない
+        if (difficulty === 'puzzle' && this.puzzle) {
+            const goal = this.puzzle.goal;
+            return {
+                size: this.puzzle.size,
+                target: goal.type === 'tile' ? goal.value : 2048,
+                name: 'Puzzle',
+                fourProbability: 0.1,
+                eightProbability: 0,
+                startTiles: 0
+            };
+        }
+        
+        // プリセットは標準の出現ルール（90%で2、10%で4、初期2枚）
+        return { fourProbability: 0.1, eightProbability: 0, startTiles: 2, ...(configs[difficulty] || configs.easy) };
+    }
+
+    /**
+     * カスタム盤面設定を有効な範囲に補正
+     * @param {Object} config - { size, target, fourProbability, eightProbability, startTiles }
+     * @returns {Object} 補正後の設定
+     */
+    static normalizeCustomConfig(config = {}) {
+        const size = Math.round(GameEngine.clamp(config.size, 3, 10, 4));
+        // 目標タイルは出現タイルより大きい2の累乗に丸める
+        const target = Math.pow(2, Math.round(Math.log2(GameEngine.clamp(config.target, 16, 131072, 2048))));
+        const eightProbability = GameEngine.clamp(config.eightProbability, 0, 0.5, 0);
+        const fourProbability = GameEngine.clamp(config.fourProbability, 0, 1 - eightProbability, 0.1);
+        const startTiles = Math.round(GameEngine.clamp(config.startTiles, 1, size * size - 1, 2));
+
+        return { size, target, fourProbability, eightProbability, startTiles };
+    }
+
+    /**
+     * 数値を範囲内に丸める（数値でない場合はfallback）
+     */
+    static clamp(value, min, max, fallback) {
+        const number = Number(value);
+        return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+    }
+
+    /**
+     * 障害物設定を有効な範囲に補正
+     * @param {Object} config - { mode: 'none'|'random'|'pattern', count, pattern, lockedTiles }
+     *   pattern はGameEngine.OBSTACLE_PATTERNSの名前、または'#'を障害物とする行文字列の配列
+     * @param {number} size - 盤面サイズ
+     * @returns {Object|null} 補正後の設定（障害物もロックタイルもない場合はnull）
+     */
+    static normalizeObstacleConfig(config, size) {
+        if (!config) {
+            return null;
+        }
+
+        let mode = ['random', 'pattern'].includes(config.mode) ? config.mode : 'none';
+        let pattern = null;
+
+        if (mode === 'pattern') {
+            if (Array.isArray(config.pattern)) {
+                pattern = config.pattern.map(line => String(line));
+            } else if (GameEngine.OBSTACLE_PATTERNS[config.pattern]) {
+                pattern = config.pattern;
+            } else {
+                mode = 'none';
+            }
+        }
+
+        // 障害物は盤面の1/4まで、ロックタイルは1辺の枚数まで
+        const count = mode === 'random' ? Math.round(GameEngine.clamp(config.count, 1, Math.floor(size * size / 4), 2)) : 0;
+        const lockedTiles = Math.round(GameEngine.clamp(config.lockedTiles, 0, size, 0));
+
+        if (mode === 'none' && lockedTiles === 0) {
+            return null;
+        }
+
+        return { mode, count, pattern, lockedTiles };
+    }
+
+    /**
+     * チャレンジモード設定を有効な範囲に補正
+     * @param {Object} config - { type: 'none'|'timeAttack'|'moveLimit', minutes, moveLimit, target }
+     * @returns {Object|null} タイムアタック { type, minutes }、手数制限 { type, moveLimit, target }、通常はnull
+     */
+    static normalizeChallenge(config) {
+        if (!config) {
+            return null;
+        }
+
+        if (config.type === 'timeAttack') {
+            return { type: 'timeAttack', minutes: Math.round(GameEngine.clamp(config.minutes, 1, 60, 3)) };
+        }
+
+        if (config.type === 'moveLimit') {
+            return {
+                type: 'moveLimit',
+                moveLimit: Math.round(GameEngine.clamp(config.moveLimit, 10, 5000, 200)),
+                target: Math.pow(2, Math.round(Math.log2(GameEngine.clamp(config.target, 16, 131072, 512))))
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * ベストスコア・前回スコアの保存キーに使う識別子
+     * プリセットは難易度名、カスタムは設定内容ごとに別の記録になる
+     */
+    getRecordKey() {
+        // パズルはレベルごとの記録
+        if (this.puzzle) {
+            return `puzzle_${this.puzzle.packId}_${this.puzzle.id}`;
+        }
+
+        // サンドボックスは盤面サイズごとの記録（局面の内容によらない）
+        if (this.position) {
+            return `sandbox_${this.gridSize}x${this.gridSize}`;
+        }
+
+        const suffix = this.getModeKeySuffix();
+
+        if (!this.customConfig) {
+            return `${this.difficulty}${suffix}`;
+        }
+
+        const { size, target, fourProbability, eightProbability, startTiles } = this.customConfig;
+        return `custom_${size}x${size}_${target}_${Math.round(fourProbability * 100)}_${Math.round(eightProbability * 100)}_${startTiles}${suffix}`;
+    }
+
+    /**
+     * 記録キーのうち遊び方を表す接尾辞
+     * 通常ルール以外・ランダム以外の出現・障害物あり・チャレンジ・デイリー・対戦は設定ごとに別の記録になる
+     */
+    getModeKeySuffix() {
+        return (this.ruleVariant !== 'classic' ? `_${this.ruleVariant}` : '') +
+            (this.spawnPolicy.id !== 'random' ? `_${this.spawnPolicy.id}` : '') +
+            this.getObstacleKeySuffix() + this.getChallengeKeySuffix() + (this.dailyDate ? '_daily' : '') +
+            (this.versus ? '_versus' : '');
+    }
+
+    /**
+     * 難易度どおりの通常のゲームか（統計の難易度別の集計に含める）
+     */
+    isStandardMode() {
+        return !this.puzzle && !this.position && this.getModeKeySuffix() === '';
+    }
+
+    /**
+     * 表示用のモード名（カスタムは設定内容を含む）
+     */
+    getModeLabel() {
+        if (this.puzzle) {
+            return `パズル ${this.puzzle.name}`;
+        }
+
+        if (this.position) {
+            return `サンドボックス ${this.gridSize}×${this.gridSize}`;
+        }
+
+        const variantLabel = (this.ruleVariant !== 'classic' ? `・${this.rules.name}` : '') +
+            (this.spawnPolicy.id !== 'random' ? `・${this.spawnPolicy.name}出現` : '') +
+            this.getObstacleLabel() + this.getChallengeLabel() + (this.dailyDate ? `・デイリー ${this.dailyDate}` : '') +
+            (this.versus ? '・対戦' : '');
+
+        if (!this.customConfig) {
+            return `${this.getDifficultyConfig(this.difficulty).name}${variantLabel}`;
+        }
+
+        const rates = [`4: ${Math.round(this.fourProbability * 100)}%`];
+        if (this.eightProbability > 0) {
+            rates.push(`8: ${Math.round(this.eightProbability * 100)}%`);
+        }
+        return `Custom ${this.gridSize}×${this.gridSize}・目標${this.targetTile}・${rates.join(' ')}・初期${this.startTiles}枚${variantLabel}`;
+    }
+
+    /**
+     * 障害物設定の記録キー用の接尾辞
+     */
+    getObstacleKeySuffix() {
+        const config = this.obstacleConfig;
+        if (!config) {
+            return '';
+        }
+
+        let suffix = '';
+        if (config.mode === 'random') {
+            suffix += `_obs${config.count}`;
+        } else if (config.mode === 'pattern') {
+            suffix += `_obs-${Array.isArray(config.pattern) ? `custom-${config.pattern.join('/')}` : config.pattern}`;
+        }
+        if (config.lockedTiles > 0) {
+            suffix += `_lock${config.lockedTiles}`;
+        }
+        return suffix;
+    }
+
+    /**
+     * 障害物設定の表示名
+     */
+    getObstacleLabel() {
+        const config = this.obstacleConfig;
+        if (!config) {
+            return '';
+        }
+
+        let label = '';
+        if (config.mode === 'random') {
+            label += `・障害物${config.count}個`;
+        } else if (config.mode === 'pattern') {
+            label += `・障害物(${Array.isArray(config.pattern) ? 'カスタム' : GameEngine.OBSTACLE_PATTERNS[config.pattern].name})`;
+        }
+        if (config.lockedTiles > 0) {
+            label += `・ロック${config.lockedTiles}枚`;
+        }
+        return label;
+    }
+
+    /**
+     * チャレンジモードの記録キー用の接尾辞
+     */
+    getChallengeKeySuffix() {
+        if (!this.challenge) {
+            return '';
+        }
+        return this.challenge.type === 'timeAttack'
+            ? `_time${this.challenge.minutes}`
+            : `_moves${this.challenge.moveLimit}to${this.challenge.target}`;
+    }
+
+    /**
+     * チャレンジモードの表示名
+     */
+    getChallengeLabel() {
+        if (!this.challenge) {
+            return '';
+        }
+        return this.challenge.type === 'timeAttack'
+            ? `・タイムアタック${this.challenge.minutes}分`
+            : `・${this.challenge.moveLimit}手で${this.targetTile}`;
+    }
+
+    /**
+     * タイムアタックモードか
+     */
+    isTimeAttack() {
+        return Boolean(this.challenge && this.challenge.type === 'timeAttack');
+    }
+
+    /**
+     * ゲーム開始からの経過時間（ミリ秒、一時停止中の時間は含めない）
+     */
+    getElapsedMs() {
+        const now = this.status === 'paused' && this.pausedAt ? this.pausedAt : Date.now();
+        return now - this.startTime;
+    }
+
+    /**
+     * タイムアタックの残り時間（ミリ秒）
+     * @returns {number|null} タイムアタック以外はnull
+     */
+    getRemainingTime() {
+        if (!this.isTimeAttack()) {
+            return null;
+        }
+        return Math.max(0, this.challenge.minutes * 60000 - this.getElapsedMs());
+    }
+
+    /**
+     * 手数制限の残り手数（パズルはレベルの手数制限）
+     * @returns {number|null} 手数制限以外はnull
+     */
+    getRemainingMoves() {
+        const moveLimit = this.puzzle
+            ? this.puzzle.goal.moves
+            : this.challenge && this.challenge.type === 'moveLimit' ? this.challenge.moveLimit : null;
+        if (!moveLimit) {
+            return null;
+        }
+        return Math.max(0, moveLimit - this.moves);
+    }
+
+    /**
+     * タイムアタックの制限時間を確認し、過ぎていればゲームを終了
+     * 時間切れは手を打たなくても起こるため、UIのタイマーからも呼び出す
+     * @returns {boolean} この呼び出しで時間切れになった場合true
+     */
+    checkTimeLimit() {
+        if (!this.isTimeAttack() || this.gameOver || this.getRemainingTime() > 0) {
+            return false;
+        }
+
+        this.gameOver = true;
+        this.status = 'time_up';
+        this.emit('game_end', { status: this.status, result: this.getGameResult() });
+        return true;
+    }
+
+    /**
+     * 手数制限の終了判定（目標達成でクリア、手数を使い切ると失敗）
+     * 目標達成は詰み・手数切れより優先する
+     */
+    checkMoveLimit() {
+        if (!this.challenge || this.challenge.type !== 'moveLimit') {
+            return;
+        }
+
+        if (this.hasWon()) {
+            this.status = 'won';
+            this.gameOver = true;
+        } else if (!this.gameOver && this.moves >= this.challenge.moveLimit) {
+            this.status = 'out_of_moves';
+            this.gameOver = true;
+        }
+    }
+
+    /**
+     * パズルの終了判定（目標達成でクリア、レベルの手数を使い切ると失敗）
+     * 目標達成は詰み・手数切れより優先する
+     */
+    checkPuzzleGoal() {
+        if (!this.puzzle) {
+            return;
+        }
+
+        if (this.isPuzzleGoalMet()) {
+            this.status = 'won';
+            this.gameOver = true;
+        } else if (!this.gameOver && this.puzzle.goal.moves && this.moves >= this.puzzle.goal.moves) {
+            this.status = 'out_of_moves';
+            this.gameOver = true;
+        }
+    }
+
+    /**
+     * パズルの目標を満たしているか
+     * tile: 目標タイルを作る / clear: タイルを指定枚数以下に減らす / score: 目標スコアに届く
+     */
+    isPuzzleGoalMet() {
+        const goal = this.puzzle.goal;
+        switch (goal.type) {
+            case 'clear':
+                return this.getTileList().length <= goal.tiles;
+            case 'score':
+                return this.score >= goal.value;
+            default:
+                return this.hasWon();
+        }
+    }
+
+    /**
+     * 一時停止（経過時間の計測も止める）
+     * @returns {boolean} 一時停止した場合true
+     */
+    pause() {
+        if (this.status !== 'playing') {
+            return false;
+        }
+        this.status = 'paused';
+        this.pausedAt = Date.now();
+        return true;
+    }
+
+    /**
+     * 一時停止から再開
+     * @returns {boolean} 再開した場合true
+     */
+    resume() {
+        if (this.status !== 'paused') {
+            return false;
+        }
+        this.startTime += Date.now() - this.pausedAt;
+        this.pausedAt = 0;
+        this.status = 'playing';
+        return true;
+    }
+
+    /**
+     * 新しいタイルの値と出現確率の一覧（AIの期待値計算用）
+     * @returns {Object[]} [{ value, chance }]
+     */
+    getSpawnDistribution() {
+        return this.rules.spawnDistribution(this);
+    }
+
+    /**
+     * 出現確率の設定に従って新しいタイルの値を決定
+     * ※ 乱数は1回だけ使用（プリセットでは従来どおり90%で2、10%で4）
+     */
+    pickSpawnValue() {
+        const spawns = this.getSpawnDistribution();
+        const roll = this.random.next();
+        let threshold = 0;
+
+        for (let i = 0; i < spawns.length - 1; i++) {
+            threshold += spawns[i].chance;
+            if (roll < threshold) {
+                return spawns[i].value;
+            }
+        }
+        return spawns[spawns.length - 1].value;
     }
 
     /**
@@ -46,11 +602,277 @@ class GameEngine {
      */
     initializeGame() {
         this.clearGrid();
-        this.addRandomTile();
-        this.addRandomTile();
+        this.placeObstacles();
+        // パズル・サンドボックスは決められた盤面から始める
+        const board = this.puzzle ? this.puzzle.board : this.position ? this.position.board : null;
+        if (board) {
+            this.placeBoardTiles(board);
+        } else {
+            for (let i = 0; i < this.startTiles; i++) {
+                this.addRandomTile();
+            }
+        }
+        if (this.position) {
+            this.score = this.position.score || 0;
+            if (this.position.turn === 'spawn') {
+                this.addRandomTile();
+            }
+        }
+        this.placeLockedTiles();
+        this.initialTiles = this.getTileList();
+        this.moveLog = [];
         this.gameStarted = true;
         this.startTime = Date.now();
         this.status = 'playing';
+
+        this.emit('game_start', {
+            difficulty: this.difficulty,
+            recordKey: this.getRecordKey(),
+            gridSize: this.gridSize,
+            targetTile: this.targetTile,
+            seed: this.getSeed()
+        });
+    }
+
+    /**
+     * 盤面上のタイルを[row, col, value]の配列で取得（ロックタイルは4番目の要素がtrue）
+     */
+    getTileList() {
+        const tiles = [];
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                const tile = this.grid[row][col];
+                if (tile) {
+                    tiles.push(tile.locked ? [row, col, tile.value, true] : [row, col, tile.value]);
+                }
+            }
+        }
+        return tiles;
+    }
+
+    /**
+     * 設定に従って障害物を配置（ランダム配置は乱数ソースを使うため同じシードで再現可能）
+     * 障害物の設定がない場合は乱数を消費しない
+     */
+    placeObstacles() {
+        this.setObstacles([]);
+
+        const config = this.obstacleConfig;
+        if (!config || config.mode === 'none') {
+            return;
+        }
+
+        let cells;
+        if (config.mode === 'pattern') {
+            cells = this.getObstaclePatternCells(config.pattern);
+        } else {
+            const candidates = [];
+            for (let row = 0; row < this.gridSize; row++) {
+                for (let col = 0; col < this.gridSize; col++) {
+                    candidates.push([row, col]);
+                }
+            }
+
+            cells = [];
+            while (cells.length < config.count && candidates.length > 0) {
+                cells.push(candidates.splice(this.randomInt(candidates.length), 1)[0]);
+            }
+        }
+
+        // 初期タイル・ロックタイルと、最初の出現先になる空きマスは必ず残す
+        const limit = this.gridSize * this.gridSize - this.startTiles - config.lockedTiles - 1;
+        this.setObstacles(cells.slice(0, Math.max(0, limit)));
+    }
+
+    /**
+     * 障害物パターンのマス一覧
+     * @param {string|string[]} pattern - パターン名、または'#'を障害物とする行文字列の配列
+     * @returns {number[][]} [[row, col], ...]
+     */
+    getObstaclePatternCells(pattern) {
+        if (!Array.isArray(pattern)) {
+            return GameEngine.OBSTACLE_PATTERNS[pattern].cells(this.gridSize);
+        }
+
+        // 盤面からはみ出した部分は無視
+        const cells = [];
+        pattern.slice(0, this.gridSize).forEach((line, row) => {
+            [...line].slice(0, this.gridSize).forEach((char, col) => {
+                if (char === '#') {
+                    cells.push([row, col]);
+                }
+            });
+        });
+        return cells;
+    }
+
+    /**
+     * 障害物の位置を設定
+     * @param {number[][]} cells - [[row, col], ...]
+     */
+    setObstacles(cells) {
+        this.obstacles = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(false));
+        cells.forEach(([row, col]) => {
+            if (row >= 0 && row < this.gridSize && col >= 0 && col < this.gridSize) {
+                this.obstacles[row][col] = true;
+                this.grid[row][col] = null;
+            }
+        });
+    }
+
+    /**
+     * 障害物の位置を[row, col]の配列で取得
+     */
+    getObstacleList() {
+        const cells = [];
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                if (this.obstacles[row][col]) {
+                    cells.push([row, col]);
+                }
+            }
+        }
+        return cells;
+    }
+
+    /**
+     * 決められた初期配置を置く（パズルのレベル・サンドボックスの局面）
+     * @param {Array[]} board - タイル値の2次元配列（0は空きマス、障害物の'#'は配置済みのため無視、
+     *   { value, locked: true } はロックタイル）
+     */
+    placeBoardTiles(board) {
+        board.forEach((line, row) => {
+            line.forEach((cell, col) => {
+                const locked = Boolean(cell && cell.locked);
+                const value = locked ? cell.value : cell;
+                if (typeof value === 'number' && value > 0 && !this.obstacles[row][col]) {
+                    this.grid[row][col] = {
+                        value,
+                        row,
+                        col,
+                        isNew: true,
+                        justMerged: false,
+                        id: this.createTileId('tile')
+                    };
+                    if (locked) {
+                        this.grid[row][col].locked = true;
+                    }
+                    this.updateMaxTile(value);
+                }
+            });
+        });
+    }
+
+    /**
+     * 設定された枚数のロックタイルを配置
+     * ロックタイルは動かず合体もできないが、隣で合体が起きると通常のタイルに戻る
+     */
+    placeLockedTiles() {
+        const count = this.obstacleConfig ? this.obstacleConfig.lockedTiles : 0;
+        for (let i = 0; i < count; i++) {
+            const tile = this.addRandomTile();
+            if (!tile) {
+                break;
+            }
+            tile.locked = true;
+        }
+    }
+
+    /**
+     * 移動を遮るマス（障害物とロックタイル）の2次元配列
+     * @returns {boolean[][]|null} 遮るマスが1つもない場合はnull
+     */
+    getBlockedCells() {
+        // 対戦ではお邪魔タイル（ロックタイル）が後から置かれる、サンドボックスの局面にはロックタイルを含められる
+        if (!this.obstacleConfig && !this.versus && !this.position) {
+            return null;
+        }
+
+        let hasBlocked = false;
+        const blocked = this.grid.map((row, rowIndex) => row.map((tile, colIndex) => {
+            const isBlocked = this.obstacles[rowIndex][colIndex] || Boolean(tile && tile.locked);
+            hasBlocked = hasBlocked || isBlocked;
+            return isBlocked;
+        }));
+
+        return hasBlocked ? blocked : null;
+    }
+
+    /**
+     * 合体したタイルの上下左右にあるロックタイルを解除
+     * @param {Object[]} mergedTiles - 合体後のタイル（row, colは移動後の位置）
+     * @returns {Object[]} 解除されたタイル
+     */
+    unlockAdjacentTiles(mergedTiles) {
+        const unlockedTiles = [];
+
+        mergedTiles.forEach(({ row, col }) => {
+            [[row - 1, col], [row + 1, col], [row, col - 1], [row, col + 1]].forEach(([r, c]) => {
+                const tile = r >= 0 && r < this.gridSize && c >= 0 && c < this.gridSize ? this.grid[r][c] : null;
+                if (tile && tile.locked) {
+                    tile.locked = false;
+                    unlockedTiles.push(tile);
+                }
+            });
+        });
+
+        return unlockedTiles;
+    }
+
+    /**
+     * 対戦相手から送られたお邪魔タイルを空きマスに置く
+     * お邪魔タイルは2のロックタイルで、隣で合体が起きると通常のタイルに戻る
+     * 置いた結果動かせなくなった場合はゲームオーバー
+     * @param {number} count - 置く枚数（空きマスが足りない分は置かない）
+     * @param {Object} random - 置く位置を決める乱数ソース（タイル出現の乱数列をずらさないよう別のものを渡す）
+     * @returns {Object[]} 置いたタイル
+     */
+    addJunkTiles(count, random) {
+        if (this.gameOver) {
+            return [];
+        }
+
+        const emptyCells = [];
+        for (let row = 0; row < this.gridSize; row++) {
+            for (let col = 0; col < this.gridSize; col++) {
+                if (this.grid[row][col] === null && !this.obstacles[row][col]) {
+                    emptyCells.push({ row, col });
+                }
+            }
+        }
+
+        const tiles = [];
+        while (tiles.length < count && emptyCells.length > 0) {
+            const { row, col } = emptyCells.splice(Math.floor(random.next() * emptyCells.length), 1)[0];
+            const tile = {
+                value: 2,
+                row,
+                col,
+                isNew: true,
+                justMerged: false,
+                locked: true,
+                // createTileId()はエンジンの乱数を使うため、IDも渡された乱数ソースで作る
+                id: `junk_${++this.tileIdCounter}_${Math.floor(random.next() * 0x100000000).toString(36)}`
+            };
+            this.grid[row][col] = tile;
+            tiles.push(tile);
+        }
+
+        if (tiles.length === 0) {
+            return tiles;
+        }
+
+        this.emit('junk_received', {
+            tiles: tiles.map(tile => ({ id: tile.id, row: tile.row, col: tile.col, value: tile.value }))
+        });
+
+        if (this.checkGameOver()) {
+            this.gameOver = true;
+            this.status = 'lost';
+            this.emit('game_end', { status: this.status, result: this.getGameResult() });
+        }
+
+        return tiles;
     }
 
     /**
@@ -65,7 +887,21 @@ class GameEngine {
     }
 
     /**
-     * ランダムな空きマスに新しいタイル（2または4）を追加
+     * 新しいタイルの位置と値を決定
+     * 出現ソースが指定されていればそれに従い、なければ出現ポリシー（通常はランダム）で決める
+     * @param {Object[]} emptyCells - 空きマス [{ row, col }]（1つ以上）
+     * @returns {Object|null} { row, col, value }、出現させない場合はnull
+     */
+    pickSpawn(emptyCells) {
+        if (this.spawnSource) {
+            return this.spawnSource.nextSpawn(emptyCells);
+        }
+
+        return this.spawnPolicy.pickSpawn(this, emptyCells);
+    }
+
+    /**
+     * 空きマスに新しいタイルを追加（位置と値はpickSpawnで決定）
      * @returns {Object|null} 追加されたタイルの情報、追加できない場合はnull
      */
     addRandomTile() {
@@ -74,30 +910,26 @@ class GameEngine {
         // 空きマスを探す
         for (let row = 0; row < this.gridSize; row++) {
             for (let col = 0; col < this.gridSize; col++) {
-                if (this.grid[row][col] === null) {
+                if (this.grid[row][col] === null && !this.obstacles[row][col]) {
                     emptyCells.push({ row, col });
                 }
             }
         }
 
-        if (emptyCells.length === 0) {
-            return null; // 空きマスなし
+        // 空きマスなし、または出現ソースがこの手は出さないと決めた場合
+        const spawn = emptyCells.length > 0 ? this.pickSpawn(emptyCells) : null;
+        if (!spawn) {
+            return null;
         }
 
-        // ランダムな空きマスを選択
-        const randomIndex = Math.floor(Math.random() * emptyCells.length);
-        const { row, col } = emptyCells[randomIndex];
-        
-        // 90%の確率で2、10%の確率で4を生成
-        const value = Math.random() < 0.9 ? 2 : 4;
-        
+        const { row, col, value } = spawn;
         const tile = {
             value: value,
             row: row,
             col: col,
             isNew: true,
             justMerged: false,
-            id: `tile_${Date.now()}_${Math.random()}`
+            id: this.createTileId('tile')
         };
 
         this.grid[row][col] = tile;
@@ -110,20 +942,25 @@ class GameEngine {
      * 指定方向にタイルを移動
      * @param {string} direction - 移動方向 ('left', 'right', 'up', 'down')
      * @param {boolean} updateUI - UIを更新するかどうか（デモモード用）
-     * @returns {Object} 移動結果 { moved, scoreIncrease, mergeOccurred, mergedTiles }
+     * @returns {Object} 移動結果 { moved, scoreIncrease, mergeOccurred, mergedTiles, spawnedTile, unlockedTiles }
      */
     move(direction, updateUI = true) {
-        if (this.gameOver) {
+        if (this.gameOver || this.checkTimeLimit()) {
             return { moved: false, scoreIncrease: 0, mergeOccurred: false, mergedTiles: [] };
         }
 
         // 前のターンのフラグをクリア
         this.clearPreviousFlags();
 
+        // 移動前の状態を記録（有効な移動だった場合のみ履歴に積む）
+        const snapshot = this.historyLimit > 0 ? this.createSnapshot() : null;
+
         let moved = false;
         let scoreIncrease = 0;
         let mergeOccurred = false;
         let mergedTiles = [];
+        let spawnedTile = null;
+        let unlockedTiles = [];
 
         // 方向に応じて処理
         switch (direction) {
@@ -144,29 +981,41 @@ class GameEngine {
         }
 
         if (moved) {
+            if (snapshot) {
+                this.pushHistory(snapshot);
+            }
+
+            const previousStatus = this.status;
+            const previousBestScore = this.bestScore;
+
             this.score += scoreIncrease;
             this.moves++;
             this.lastMoveValid = true;
             
             if (mergeOccurred) {
                 this.mergeCount++;
+                unlockedTiles = this.unlockAdjacentTiles(mergedTiles);
             }
 
             // ベストスコア更新
             if (this.score > this.bestScore) {
                 this.bestScore = this.score;
-                localStorage.setItem(`puzzle2048_best_score_${this.difficulty}`, this.bestScore.toString());
+                if (this.persistent) {
+                    localStorage.setItem(`puzzle2048_best_score_${this.getRecordKey()}`, this.bestScore.toString());
+                }
             }
 
             // 新しいタイルを追加（デモモード時はUIなし）
-            if (updateUI) {
-                this.addRandomTile();
-            } else {
-                this.addRandomTileForDemo();
-            }
+            spawnedTile = updateUI ? this.addRandomTile() : this.addRandomTileForDemo();
+
+            // リプレイ用に記録
+            this.moveLog.push({
+                direction,
+                spawn: spawnedTile ? [spawnedTile.row, spawnedTile.col, spawnedTile.value] : null
+            });
 
-            // 勝利判定
-            if (this.checkVictory()) {
+            // 勝利判定（タイムアタックはスコアを競うため目標タイルで勝利にしない、パズルはレベルの目標で判定）
+            if (!this.isTimeAttack() && !this.puzzle && this.checkVictory()) {
                 this.status = 'won';
             }
 
@@ -175,11 +1024,191 @@ class GameEngine {
                 this.gameOver = true;
                 this.status = 'lost';
             }
+
+            // 手数制限・パズルの目標の判定
+            this.checkMoveLimit();
+            this.checkPuzzleGoal();
+
+            this.emitMoveEvents({
+                direction, scoreIncrease, mergeOccurred, mergedTiles, spawnedTile, previousStatus, previousBestScore
+            });
         } else {
             this.lastMoveValid = false;
         }
 
-        return { moved, scoreIncrease, mergeOccurred, mergedTiles };
+        return { moved, scoreIncrease, mergeOccurred, mergedTiles, spawnedTile, unlockedTiles };
+    }
+
+    /**
+     * 1手の結果をイベントとして発行（盤面・スコア・状態の更新が済んでから呼ぶ）
+     */
+    emitMoveEvents({ direction, scoreIncrease, mergeOccurred, mergedTiles, spawnedTile, previousStatus, previousBestScore }) {
+        const toTileInfo = tile => ({ id: tile.id, row: tile.row, col: tile.col, value: tile.value });
+
+        this.emit('tile_move', {
+            direction,
+            moves: this.moves,
+            spawnedTile: spawnedTile ? toTileInfo(spawnedTile) : null
+        });
+
+        if (mergeOccurred) {
+            this.emit('tile_merge', {
+                direction,
+                mergedTiles: mergedTiles.map(toTileInfo),
+                maxValue: Math.max(...mergedTiles.map(tile => tile.value))
+            });
+        }
+
+        if (scoreIncrease > 0) {
+            this.emit('score_update', { score: this.score, scoreIncrease });
+        }
+
+        if (this.bestScore > previousBestScore) {
+            this.emit('best_score_update', { bestScore: this.bestScore, previousBestScore });
+        }
+
+        // 目標達成後に続行した場合は再度発行しない
+        if (this.status === 'won' && previousStatus !== 'won') {
+            this.emit('victory_achieved', {
+                targetTile: this.targetTile,
+                maxTile: this.maxTile,
+                score: this.score,
+                moves: this.moves
+            });
+        }
+
+        if (this.gameOver) {
+            this.emit('game_end', { status: this.status, result: this.getGameResult() });
+        }
+    }
+
+    /**
+     * 現在の盤面・統計・乱数状態のスナップショットを作成
+     * リプレイ記録は長さだけを持ち、戻すときに切り詰める（手ごとに記録全体を複製しない）
+     */
+    createSnapshot() {
+        return {
+            grid: this.grid.map(row => row.map(tile => tile ? { ...tile, isNew: false, justMerged: false } : null)),
+            score: this.score,
+            moves: this.moves,
+            mergeCount: this.mergeCount,
+            maxTile: this.maxTile,
+            status: this.status,
+            gameOver: this.gameOver,
+            randomState: this.random.getState ? this.random.getState() : null,
+            spawnState: this.getSpawnState(),
+            tileIdCounter: this.tileIdCounter,
+            moveLogLength: this.moveLog.length
+        };
+    }
+
+    /**
+     * スナップショットから状態を復元
+     * リドゥ用のスナップショットはアンドゥで切り詰めた記録（moveLogTail）を持ち、それを戻す
+     */
+    restoreSnapshot(snapshot) {
+        this.grid = snapshot.grid.map(row => row.map(tile => tile ? { ...tile } : null));
+        this.score = snapshot.score;
+        this.moves = snapshot.moves;
+        this.mergeCount = snapshot.mergeCount;
+        this.maxTile = snapshot.maxTile;
+        this.status = snapshot.status;
+        this.gameOver = snapshot.gameOver;
+        this.tileIdCounter = snapshot.tileIdCounter;
+        const tail = snapshot.moveLogTail || [];
+        this.moveLog.length = snapshot.moveLogLength - tail.length;
+        this.moveLog.push(...tail);
+        if (snapshot.randomState !== null && this.random.setState) {
+            this.random.setState(snapshot.randomState);
+        }
+        this.setSpawnState(snapshot.spawnState);
+    }
+
+    /**
+     * 出現ソースの進行状態を取得（出現ソースがない、または状態を持たない場合はnull）
+     */
+    getSpawnState() {
+        return this.spawnSource && this.spawnSource.getState ? this.spawnSource.getState() : null;
+    }
+
+    /**
+     * 出現ソースの進行状態を復元
+     */
+    setSpawnState(state) {
+        if (state !== null && state !== undefined && this.spawnSource && this.spawnSource.setState) {
+            this.spawnSource.setState(state);
+        }
+    }
+
+    /**
+     * アンドゥ履歴に追加（新しい手を打つとリドゥ履歴は破棄）
+     */
+    pushHistory(snapshot) {
+        this.undoStack.push(snapshot);
+        if (this.undoStack.length > this.historyLimit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * アンドゥ可能かどうか
+     */
+    canUndo() {
+        // タイムアタックの時間切れ後は戻せない
+        return this.undoStack.length > 0 && this.status !== 'time_up';
+    }
+
+    /**
+     * リドゥ可能かどうか
+     */
+    canRedo() {
+        return this.redoStack.length > 0 && this.status !== 'time_up';
+    }
+
+    /**
+     * 1手戻す
+     * @returns {boolean} 戻せた場合true
+     */
+    undo() {
+        if (!this.canUndo()) {
+            return false;
+        }
+
+        const previousScore = this.score;
+        const snapshot = this.undoStack.pop();
+        const redoSnapshot = this.createSnapshot();
+        redoSnapshot.moveLogTail = this.moveLog.slice(snapshot.moveLogLength);
+        this.redoStack.push(redoSnapshot);
+        this.restoreSnapshot(snapshot);
+        this.undoCount++;
+        this.lastMoveValid = false;
+        this.emit('score_update', { score: this.score, scoreIncrease: this.score - previousScore });
+        return true;
+    }
+
+    /**
+     * 戻した手をやり直す
+     * @returns {boolean} やり直せた場合true
+     */
+    redo() {
+        if (!this.canRedo()) {
+            return false;
+        }
+
+        const previousScore = this.score;
+        this.undoStack.push(this.createSnapshot());
+        this.restoreSnapshot(this.redoStack.pop());
+        this.lastMoveValid = false;
+        this.emit('score_update', { score: this.score, scoreIncrease: this.score - previousScore });
+        return true;
+    }
+
+    /**
+     * ヒント使用を記録
+     */
+    recordHint() {
+        this.hintCount++;
     }
 
     /**
@@ -190,9 +1219,10 @@ class GameEngine {
         let scoreIncrease = 0;
         let mergeOccurred = false;
         let mergedTiles = [];
+        const blocked = this.getBlockedCells();
 
         for (let row = 0; row < this.gridSize; row++) {
-            const { newRow, rowMoved, rowScore, rowMerged } = this.processRow(this.getRow(row));
+            const { newRow, rowMoved, rowScore, rowMerged } = this.processRow(this.getRow(row), blocked && blocked[row]);
             
             if (rowMoved) {
                 moved = true;
@@ -217,11 +1247,12 @@ class GameEngine {
         let scoreIncrease = 0;
         let mergeOccurred = false;
         let mergedTiles = [];
+        const blocked = this.getBlockedCells();
 
         for (let row = 0; row < this.gridSize; row++) {
             const originalRow = this.getRow(row);
             const reversedRow = [...originalRow].reverse();
-            const { newRow, rowMoved, rowScore, rowMerged } = this.processRow(reversedRow);
+            const { newRow, rowMoved, rowScore, rowMerged } = this.processRow(reversedRow, blocked && [...blocked[row]].reverse());
             
             if (rowMoved) {
                 moved = true;
@@ -246,9 +1277,10 @@ class GameEngine {
         let scoreIncrease = 0;
         let mergeOccurred = false;
         let mergedTiles = [];
+        const blocked = this.getBlockedCells();
 
         for (let col = 0; col < this.gridSize; col++) {
-            const { newRow, rowMoved, rowScore, rowMerged } = this.processRow(this.getColumn(col));
+            const { newRow, rowMoved, rowScore, rowMerged } = this.processRow(this.getColumn(col), blocked && blocked.map(row => row[col]));
             
             if (rowMoved) {
                 moved = true;
@@ -273,11 +1305,12 @@ class GameEngine {
         let scoreIncrease = 0;
         let mergeOccurred = false;
         let mergedTiles = [];
+        const blocked = this.getBlockedCells();
 
         for (let col = 0; col < this.gridSize; col++) {
             const originalCol = this.getColumn(col);
             const reversedCol = [...originalCol].reverse();
-            const { newRow, rowMoved, rowScore, rowMerged } = this.processRow(reversedCol);
+            const { newRow, rowMoved, rowScore, rowMerged } = this.processRow(reversedCol, blocked && blocked.map(row => row[col]).reverse());
             
             if (rowMoved) {
                 moved = true;
@@ -296,48 +1329,98 @@ class GameEngine {
 
     /**
      * 1行のタイル処理（移動・合体）
+     * 障害物・ロックタイルのマスで行を区間に分け、区間ごとに寄せる（タイルは遮るマスを越えない）
      * @param {Array} row - 処理する行のタイル配列
+     * @param {boolean[]|null} [blocked] - 移動を遮るマス（行と同じ並び）
+     * @returns {Object} 処理結果
+     */
+    processRow(row, blocked = null) {
+        if (!blocked || !blocked.includes(true)) {
+            return this.processSegment(row);
+        }
+
+        const newRow = Array(row.length).fill(null);
+        let rowMoved = false;
+        let rowScore = 0;
+        let rowMerged = [];
+        let start = 0;
+
+        for (let i = 0; i <= row.length; i++) {
+            if (i < row.length && !blocked[i]) {
+                continue;
+            }
+
+            if (i > start) {
+                const segment = this.processSegment(row.slice(start, i));
+                segment.newRow.forEach((tile, offset) => {
+                    newRow[start + offset] = tile;
+                });
+                rowMoved = rowMoved || segment.rowMoved;
+                rowScore += segment.rowScore;
+                rowMerged.push(...segment.rowMerged);
+            }
+
+            // 遮るマス自体はそのまま（障害物はnull、ロックタイルは動かない）
+            if (i < row.length) {
+                newRow[i] = row[i];
+            }
+            start = i + 1;
+        }
+
+        return { newRow, rowMoved, rowScore, rowMerged };
+    }
+
+    /**
+     * 遮るマスのない1区間のタイル処理（移動・合体）
+     * @param {Array} row - 処理する区間のタイル配列
      * @returns {Object} 処理結果
      */
-    processRow(row) {
+    processSegment(row) {
         // nullを除いた有効なタイルを抽出
         const tiles = row.filter(tile => tile !== null);
-        const newRow = Array(4).fill(null);
+        const newRow = Array(row.length).fill(null);
         let rowMoved = false;
         let rowScore = 0;
         let rowMerged = [];
 
         let targetIndex = 0;
 
+        const mergeSize = this.rules.mergeSize;
+
         for (let i = 0; i < tiles.length; i++) {
             const currentTile = tiles[i];
+            const group = tiles.slice(i, i + mergeSize);
+            const values = group.map(tile => tile.value);
             
-            // 次のタイルと合体可能かチェック
-            if (i < tiles.length - 1 && 
-                tiles[i + 1] && 
-                currentTile.value === tiles[i + 1].value &&
-                !currentTile.justMerged && 
-                !tiles[i + 1].justMerged) {
+            // 続くタイルと合体可能かチェック（ルールバリアントで判定）
+            if (group.length === mergeSize &&
+                group.every(tile => !tile.justMerged) &&
+                this.rules.canMerge(...values)) {
                 
                 // 合体処理
-                const mergedValue = currentTile.value * 2;
-                const mergedTile = {
-                    value: mergedValue,
-                    row: currentTile.row,
-                    col: targetIndex,
-                    isNew: false,
-                    justMerged: true,
-                    id: `merged_${Date.now()}_${Math.random()}`
-                };
+                const mergedValue = this.rules.mergeValue(...values);
+                rowScore += this.rules.scoreFor({ values, value: mergedValue });
 
-                newRow[targetIndex] = mergedTile;
-                rowScore += mergedValue;
-                rowMerged.push(mergedTile);
-                this.updateMaxTile(mergedValue);
+                // 値が0になる合体（打ち消し）はタイルが消滅する
+                if (mergedValue !== 0) {
+                    const mergedTile = {
+                        value: mergedValue,
+                        row: currentTile.row,
+                        col: targetIndex,
+                        isNew: false,
+                        justMerged: true,
+                        id: this.createTileId('merged'),
+                        mergedFrom: group.map(tile => tile.id) // 合体元のタイルID（描画で合体元を合体先へ動かす）
+                    };
+
+                    newRow[targetIndex] = mergedTile;
+                    rowMerged.push(mergedTile);
+                    this.updateMaxTile(mergedValue);
+                    targetIndex++;
+                }
                 
-                // 次のタイルをスキップ
-                i++;
-                targetIndex++;
+                // 合体したタイルをスキップ
+                i += mergeSize - 1;
                 rowMoved = true;
             } else {
                 // 通常移動
@@ -349,18 +1432,14 @@ class GameEngine {
                 };
 
                 newRow[targetIndex] = movedTile;
-                
-                if (targetIndex !== currentTile.col) {
-                    rowMoved = true;
-                }
-                
                 targetIndex++;
             }
         }
 
         // 元の行と比較して移動があったかチェック
+        // ※ 右・下移動では反転した行が渡されるため、タイルのcolではなく並びそのものを比較する
         if (!rowMoved) {
-            for (let i = 0; i < this.gridSize; i++) {
+            for (let i = 0; i < row.length; i++) {
                 if ((row[i] === null) !== (newRow[i] === null) ||
                     (row[i] && newRow[i] && row[i].value !== newRow[i].value)) {
                     rowMoved = true;
@@ -440,12 +1519,12 @@ class GameEngine {
     }
 
     /**
-     * 勝利判定（2048達成）
+     * 勝利判定（目標タイル達成、判定はルールバリアントに従う）
      */
     checkVictory() {
         for (let row = 0; row < this.gridSize; row++) {
             for (let col = 0; col < this.gridSize; col++) {
-                if (this.grid[row][col] && this.grid[row][col].value >= this.targetTile) {
+                if (this.grid[row][col] && this.rules.isVictory(this.grid[row][col].value, this.targetTile)) {
                     return true;
                 }
             }
@@ -454,58 +1533,38 @@ class GameEngine {
     }
 
     /**
-     * ゲームオーバー判定
+     * ゲームオーバー判定（どの方向にも動かせない）
      */
     checkGameOver() {
-        // 空きマスがある場合は継続可能
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                if (this.grid[row][col] === null) {
-                    return false;
-                }
-            }
-        }
-
-        // 隣接するタイルで合体可能なペアがあるかチェック
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                const currentTile = this.grid[row][col];
-                
-                // 右隣をチェック
-                if (col < this.gridSize - 1) {
-                    const rightTile = this.grid[row][col + 1];
-                    if (rightTile && currentTile.value === rightTile.value) {
-                        return false;
-                    }
-                }
-                
-                // 下隣をチェック
-                if (row < this.gridSize - 1) {
-                    const bottomTile = this.grid[row + 1][col];
-                    if (bottomTile && currentTile.value === bottomTile.value) {
-                        return false;
-                    }
-                }
-            }
-        }
-
-        return true; // 移動不可
+        return !this.hasAvailableMoves();
     }
 
     /**
      * ゲームリセット
+     * @param {number} [seed] - 新しいゲームのシード（省略時は自動生成、デイリーチャレンジはその日のシード）
+     *   randomSource・setRandomSourceで乱数ソースを渡している場合は使わず、そのソースの続きで始める
      */
-    resetGame() {
-        this.grid = Array(4).fill().map(() => Array(4).fill(null));
+    resetGame(seed = this.dailySeed) {
+        this.grid = Array(this.gridSize).fill().map(() => Array(this.gridSize).fill(null));
         this.score = 0;
         this.moves = 0;
         this.gameStarted = false;
         this.gameOver = false;
         this.status = 'playing';
         this.startTime = 0;
+        this.pausedAt = 0;
         this.mergeCount = 0;
         this.maxTile = 0;
         this.lastMoveValid = false;
+        this.random = this.randomSource || new SeededRandom(seed);
+        if (this.spawnSource && this.spawnSource.reset) {
+            this.spawnSource.reset();
+        }
+        this.tileIdCounter = 0;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.undoCount = 0;
+        this.hintCount = 0;
         
         this.initializeGame();
     }
@@ -525,7 +1584,14 @@ class GameEngine {
             startTime: this.startTime,
             mergeCount: this.mergeCount,
             maxTile: this.maxTile,
-            lastMoveValid: this.lastMoveValid
+            lastMoveValid: this.lastMoveValid,
+            seed: this.getSeed(),
+            undoCount: this.undoCount,
+            hintCount: this.hintCount,
+            canUndo: this.canUndo(),
+            canRedo: this.canRedo(),
+            remainingTime: this.getRemainingTime(),
+            remainingMoves: this.getRemainingMoves()
         };
     }
 
@@ -533,7 +1599,9 @@ class GameEngine {
      * プレイ結果データを生成
      */
     getGameResult() {
-        const playTimeMs = Date.now() - this.startTime;
+        // タイムアタックのプレイ時間は制限時間まで
+        const elapsedMs = this.getElapsedMs();
+        const playTimeMs = this.isTimeAttack() ? Math.min(elapsedMs, this.challenge.minutes * 60000) : elapsedMs;
         const playTime = this.formatPlayTime(playTimeMs);
         const efficiency = this.moves > 0 ? Math.round((this.score / this.moves) * 10) / 10 : 0;
         const avgMoveTime = this.moves > 0 ? Math.round(playTimeMs / this.moves / 1000 * 10) / 10 : 0;
@@ -550,7 +1618,200 @@ class GameEngine {
             avgMoveTime: avgMoveTime,
             endTime: Date.now(),
             isBestScore: this.score === this.bestScore,
-            scoreImprovement: this.score - parseInt(localStorage.getItem('puzzle2048_previous_score') || '0')
+            scoreImprovement: this.score - parseInt(localStorage.getItem('puzzle2048_previous_score') || '0'),
+            seed: this.getSeed(),
+            undoCount: this.undoCount,
+            hintCount: this.hintCount,
+            isAssisted: this.undoCount > 0 || this.hintCount > 0,
+            challenge: this.challenge,
+            dailyDate: this.dailyDate,
+            puzzle: this.puzzle ? { packId: this.puzzle.packId, levelId: this.puzzle.id, name: this.puzzle.name } : null,
+            targetTile: this.targetTile,
+            remainingMoves: this.getRemainingMoves()
+        };
+    }
+
+    /**
+     * ゲーム全体をJSON化可能なオブジェクトに変換
+     * ※ アンドゥ・リドゥの履歴スタックは容量節約のため含めない（使用回数のみ保存）
+     */
+    serialize() {
+        return {
+            version: 1,
+            difficulty: this.difficulty,
+            customConfig: this.customConfig,
+            ruleVariant: this.ruleVariant,
+            spawnPolicy: this.spawnPolicy.id,
+            obstacleConfig: this.obstacleConfig,
+            challenge: this.challenge,
+            dailyDate: this.dailyDate,
+            recordKey: this.getRecordKey(),
+            gridSize: this.gridSize,
+            grid: this.grid.map(row => row.map(tile => {
+                if (!tile) return null;
+                return tile.locked ? { value: tile.value, id: tile.id, locked: true } : { value: tile.value, id: tile.id };
+            })),
+            obstacles: this.getObstacleList(),
+            score: this.score,
+            moves: this.moves,
+            mergeCount: this.mergeCount,
+            maxTile: this.maxTile,
+            status: this.status === 'paused' ? 'playing' : this.status,
+            gameOver: this.gameOver,
+            elapsedMs: this.getElapsedMs(),
+            seed: this.getSeed(),
+            randomState: this.random.getState ? this.random.getState() : null,
+            spawnState: this.getSpawnState(),
+            tileIdCounter: this.tileIdCounter,
+            undoCount: this.undoCount,
+            hintCount: this.hintCount,
+            initialTiles: this.initialTiles,
+            moveLog: this.moveLog,
+            savedAt: Date.now()
+        };
+    }
+
+    /**
+     * serialize()の出力からゲームを復元
+     * @param {Object} data - 保存データ
+     * @returns {boolean} 復元できた場合true
+     */
+    deserialize(data) {
+        if (!data || data.version !== 1 || data.gridSize !== this.gridSize ||
+            !Array.isArray(data.grid) || data.grid.length !== this.gridSize) {
+            return false;
+        }
+
+        this.grid = data.grid.map((row, rowIndex) => row.map((tile, colIndex) => {
+            if (!tile) return null;
+
+            const restored = {
+                value: tile.value,
+                row: rowIndex,
+                col: colIndex,
+                isNew: false,
+                justMerged: false,
+                id: tile.id
+            };
+            if (tile.locked) {
+                restored.locked = true;
+            }
+            return restored;
+        }));
+        this.setObstacles(data.obstacles || []);
+        this.score = data.score;
+        this.moves = data.moves;
+        this.mergeCount = data.mergeCount;
+        this.maxTile = data.maxTile;
+        this.status = data.status;
+        this.gameOver = data.gameOver;
+        this.gameStarted = true;
+        this.lastMoveValid = false;
+        this.startTime = Date.now() - (data.elapsedMs || 0);
+        this.pausedAt = 0;
+        this.tileIdCounter = data.tileIdCounter || 0;
+        this.undoCount = data.undoCount || 0;
+        this.hintCount = data.hintCount || 0;
+        this.initialTiles = data.initialTiles || null; // 記録のない古い保存データはリプレイ不可
+        this.moveLog = data.moveLog || [];
+        this.undoStack = [];
+        this.redoStack = [];
+
+        // 乱数ソースを保存時点の状態に戻す
+        if (data.seed !== null && data.seed !== undefined) {
+            this.random = new SeededRandom(data.seed);
+            if (data.randomState !== null && data.randomState !== undefined) {
+                this.random.setState(data.randomState);
+            }
+        }
+        this.setSpawnState(data.spawnState);
+
+        return true;
+    }
+
+    /**
+     * 中断したゲームの保存先のキー（モードごとに別にして、デイリー・パズルなどが通常のゲームを上書きしないようにする）
+     */
+    getSaveKey() {
+        return `${GameEngine.SAVE_KEY_PREFIX}_${this.getRecordKey()}`;
+    }
+
+    /**
+     * 現在のゲームをLocalStorageに保存
+     */
+    saveState() {
+        try {
+            localStorage.setItem(this.getSaveKey(), JSON.stringify(this.serialize()));
+        } catch (error) {
+            console.warn('ゲーム保存エラー:', error);
+        }
+    }
+
+    /**
+     * LocalStorageから同じ難易度の保存ゲームを復元
+     * @returns {Object|null} 復元後のゲーム状態、復元できなかった場合はnull
+     */
+    loadState() {
+        try {
+            // モードごとに分ける前の保存データも同じモードなら再開する
+            const key = localStorage.getItem(this.getSaveKey()) !== null ? this.getSaveKey() : GameEngine.SAVE_KEY_PREFIX;
+            const saved = localStorage.getItem(key);
+            if (!saved) {
+                return null;
+            }
+
+            const data = JSON.parse(saved);
+            // カスタム盤面は設定内容まで一致する場合のみ再開
+            const recordKey = data.recordKey || data.difficulty;
+            // デイリーチャレンジは同じ日付のゲームのみ再開
+            if (recordKey !== this.getRecordKey() || (data.dailyDate || null) !== this.dailyDate ||
+                data.gameOver || !this.deserialize(data)) {
+                return null;
+            }
+
+            if (key === GameEngine.SAVE_KEY_PREFIX) {
+                localStorage.removeItem(key);
+            }
+            return this.getGameState();
+        } catch (error) {
+            console.warn('ゲーム復元エラー:', error);
+            return null;
+        }
+    }
+
+    /**
+     * 保存されたゲームを削除
+     */
+    clearSavedState() {
+        localStorage.removeItem(this.getSaveKey());
+    }
+
+    /**
+     * リプレイ用のコンパクトな手順記録を取得
+     * moves: 方向の頭文字（L/R/U/D）を連結した文字列
+     * spawns: 各手の後に出現したタイル [row, col, value]
+     * @returns {Object|null} 記録が不完全な場合はnull
+     */
+    getReplayData() {
+        if (!this.initialTiles) {
+            return null;
+        }
+
+        return {
+            version: 1,
+            difficulty: this.difficulty,
+            customConfig: this.customConfig,
+            ruleVariant: this.ruleVariant,
+            spawnPolicy: this.spawnPolicy.id,
+            obstacleConfig: this.obstacleConfig,
+            obstacles: this.getObstacleList(),
+            puzzle: this.puzzle,
+            position: this.position,
+            gridSize: this.gridSize,
+            seed: this.getSeed(),
+            initialTiles: this.initialTiles,
+            moves: this.moveLog.map(entry => entry.direction[0].toUpperCase()).join(''),
+            spawns: this.moveLog.map(entry => entry.spawn)
         };
     }
 
@@ -568,14 +1829,78 @@ class GameEngine {
      * グリッドの文字列表現（デバッグ用）
      */
     printGrid() {
-        console.log('=== Current Grid ===');
+        console.log(this.formatGrid());
+    }
+
+    /**
+     * グリッドを文字列に変換（printGrid()の表示内容、GameEngine.parseGrid()で読み込める）
+     * 空きマスは'.'、障害物は'#'、ロックタイルは値の後ろに'L'（'2L'）
+     * @returns {string}
+     */
+    formatGrid() {
+        const lines = ['=== Current Grid ==='];
         for (let row = 0; row < this.gridSize; row++) {
-            const rowStr = this.grid[row].map(tile => 
-                tile ? tile.value.toString().padStart(4, ' ') : '   .'
-            ).join(' ');
-            console.log(rowStr);
+            const rowStr = this.grid[row].map((tile, col) => {
+                const text = tile ? `${tile.value}${tile.locked ? 'L' : ''}` : this.obstacles[row][col] ? '#' : '.';
+                return text.padStart(4, ' ');
+            }).join(' ');
+            lines.push(rowStr);
+        }
+        lines.push(`Score: ${this.score}, Moves: ${this.moves}, Status: ${this.status}`);
+        return lines.join('\n');
+    }
+
+    /**
+     * printGrid()・formatGrid()の形式の文字列から局面を読み込む
+     * '==='で始まる見出し行は無視し、'Score:'の行があればスコアも読み込む
+     * @param {string} text - 盤面の文字列（数値はタイル、'.'は空きマス、'#'は障害物、'2L'のように'L'の付いた数値はロックタイル）
+     * @returns {Object} { size, board, score }（boardの空きマスは0、障害物は'#'、ロックタイルは { value, locked: true }）
+     * @throws {Error} 盤面として読み込めない場合
+     */
+    static parseGrid(text) {
+        const board = [];
+        let score = 0;
+
+        String(text).split(/\r?\n/).forEach(line => {
+            const trimmed = line.trim();
+            if (trimmed === '' || trimmed.startsWith('===')) {
+                return;
+            }
+
+            const scoreMatch = trimmed.match(/^Score:\s*(\d+)/);
+            if (scoreMatch) {
+                score = parseInt(scoreMatch[1]);
+                return;
+            }
+
+            board.push(trimmed.split(/\s+/).map(token => {
+                if (token === '.') return 0;
+                if (token === '#') return '#';
+                const locked = /^\d+L$/i.test(token);
+                const value = Number(locked ? token.slice(0, -1) : token);
+                if (!Number.isInteger(value) || value < 2 || !Number.isInteger(Math.log2(value))) {
+                    throw new Error(`盤面に読み込めない値があります (${token})`);
+                }
+                return locked ? { value, locked: true } : value;
+            }));
+        });
+
+        const size = board.length;
+        if (size < 3 || size > 10 || board.some(line => line.length !== size)) {
+            throw new Error('盤面は3×3〜10×10の正方形にしてください');
         }
-        console.log(`Score: ${this.score}, Moves: ${this.moves}, Status: ${this.status}`);
+
+        return { size, board, score };
+    }
+
+    /**
+     * 盤面の'#'から障害物設定を作成
+     * @param {Array[]} board - タイル値の2次元配列（'#'は障害物）
+     * @returns {Object|null} 障害物がない場合はnull
+     */
+    static getBoardObstacleConfig(board) {
+        const pattern = board.map(line => line.map(cell => cell === '#' ? '#' : '.').join(''));
+        return pattern.some(line => line.includes('#')) ? { mode: 'pattern', pattern } : null;
     }
 
     /**
@@ -587,30 +1912,25 @@ class GameEngine {
         // 空きマスを探す
         for (let row = 0; row < this.gridSize; row++) {
             for (let col = 0; col < this.gridSize; col++) {
-                if (this.grid[row][col] === null) {
+                if (this.grid[row][col] === null && !this.obstacles[row][col]) {
                     emptyCells.push({ row, col });
                 }
             }
         }
 
-        if (emptyCells.length === 0) {
+        const spawn = emptyCells.length > 0 ? this.pickSpawn(emptyCells) : null;
+        if (!spawn) {
             return null;
         }
 
-        // ランダムな空きマスを選択
-        const randomIndex = Math.floor(Math.random() * emptyCells.length);
-        const { row, col } = emptyCells[randomIndex];
-        
-        // 90%の確率で2、10%の確率で4を生成
-        const value = Math.random() < 0.9 ? 2 : 4;
-        
+        const { row, col, value } = spawn;
         const tile = {
             value: value,
             row: row,
             col: col,
             isNew: false, // デモモードではアニメーションなし
             justMerged: false,
-            id: `demo_tile_${Date.now()}_${Math.random()}`
+            id: this.createTileId('demo_tile')
         };
 
         this.grid[row][col] = tile;
@@ -626,7 +1946,7 @@ class GameEngine {
         for (let row = 0; row < this.gridSize; row++) {
             for (let col = 0; col < this.gridSize; col++) {
                 const tile = this.grid[row][col];
-                if (tile && tile.value >= this.targetTile) {
+                if (tile && this.rules.isVictory(tile.value, this.targetTile)) {
                     return true;
                 }
             }
@@ -638,6 +1958,14 @@ class GameEngine {
      * 移動可能な手があるかチェック
      */
     hasAvailableMoves() {
+        // 障害物・ロックタイルがある場合は、空きマスがあってもタイルが届くとは限らないため各方向の移動を試す
+        const blocked = this.getBlockedCells();
+        if (blocked) {
+            const values = this.grid.map(row => row.map(tile => tile ? tile.value : 0));
+            return ['left', 'right', 'up', 'down'].some(direction =>
+                RuleVariants.simulateGridMove(values, direction, this.rules, blocked).moved);
+        }
+
         // 空きマスがある
         for (let row = 0; row < this.gridSize; row++) {
             for (let col = 0; col < this.gridSize; col++) {
@@ -647,28 +1975,58 @@ class GameEngine {
             }
         }
 
-        // 合体可能なペアがある
-        for (let row = 0; row < this.gridSize; row++) {
-            for (let col = 0; col < this.gridSize; col++) {
-                const current = this.grid[row][col];
-                
-                // 右隣チェック
-                if (col < this.gridSize - 1 && this.grid[row][col + 1] && 
-                    current.value === this.grid[row][col + 1].value) {
-                    return true;
-                }
-                
-                // 下隣チェック
-                if (row < this.gridSize - 1 && this.grid[row + 1][col] && 
-                    current.value === this.grid[row + 1][col].value) {
-                    return true;
-                }
+        // 合体可能な組がある
+        return RuleVariants.hasMergeableGroup(this.grid, this.rules);
+    }
+}
+
+/**
+ * 障害物の配置パターン（cellsは盤面サイズから[[row, col], ...]を返す）
+ */
+GameEngine.OBSTACLE_PATTERNS = {
+    center: {
+        name: '中央',
+        cells: size => {
+            const middle = Math.floor(size / 2);
+            // 偶数サイズは中央の2×2のうち斜めの2マス
+            return size % 2 === 1 ? [[middle, middle]] : [[middle - 1, middle - 1], [middle, middle]];
+        }
+    },
+    corners: {
+        name: '四隅',
+        cells: size => [[0, 0], [0, size - 1], [size - 1, 0], [size - 1, size - 1]]
+    },
+    diagonal: {
+        name: '斜め',
+        cells: size => {
+            const cells = [];
+            for (let i = 1; i < size - 1; i += 2) {
+                cells.push([i, i]);
             }
+            return cells;
         }
-
-        return false;
     }
-}
+};
+
+/**
+ * 中断したゲームの保存キー（実際のキーは末尾に _記録キー が付く、付かないものはモード別にする前の保存データ）
+ */
+GameEngine.SAVE_KEY_PREFIX = 'puzzle2048_last_game';
+
+/**
+ * on()で購読できるイベントの種類（types/puzzle2048-types.ts の GameEventType と対応）
+ */
+GameEngine.EVENT_TYPES = [
+    'game_start',
+    'game_end',
+    'tile_move',
+    'tile_merge',
+    'score_update',
+    'best_score_update',
+    'victory_achieved',
+    'junk_received',
+    'settings_changed'
+];
 
 // グローバルで利用可能にする
 window.GameEngine = GameEngine;
\ No newline at end of file
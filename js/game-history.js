@@ -0,0 +1,163 @@
+/**
+ * Puzzle2048 プレイ履歴ストア
+ *
+ * 終了したゲームの結果をLocalStorageに蓄積し、
+ * 統計画面向けに難易度別の集計（勝率・平均スコア・連勝など）を提供します。
+ * 各記録はモード（recordKey・modeLabel）も持ち、難易度別の集計には通常のゲームだけを含めます。
+ */
+
+class GameHistoryStore {
+    /**
+     * @param {Object} options - オプション
+     * @param {string} [options.storageKey] - 保存先のキー
+     * @param {number} [options.maxEntries] - 保持する最大件数（古い記録から削除）
+     */
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'puzzle2048_history';
+        this.maxEntries = options.maxEntries || 1000;
+    }
+
+    /**
+     * 保存済みの全記録を取得（古い順）
+     * @returns {Object[]}
+     */
+    loadGames() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.storageKey) || '{}');
+            return Array.isArray(data.games) ? data.games : [];
+        } catch (error) {
+            console.warn('⚠️ プレイ履歴の読み込みに失敗:', error);
+            return [];
+        }
+    }
+
+    /**
+     * 1ゲーム分の結果を追加
+     * @param {Object} gameResult - GameEngine.getGameResult()の出力
+     * @param {string} difficulty - 難易度
+     * @returns {Object} 保存した記録
+     */
+    addGame(gameResult, difficulty) {
+        const record = {
+            difficulty,
+            isVictory: gameResult.isVictory,
+            maxTile: gameResult.maxTile,
+            finalScore: gameResult.finalScore,
+            moves: gameResult.moves,
+            playTimeMs: gameResult.playTimeMs,
+            mergeCount: gameResult.mergeCount,
+            efficiency: gameResult.efficiency,
+            endTime: gameResult.endTime,
+            seed: gameResult.seed,
+            isAssisted: gameResult.isAssisted,
+            ruleVariant: gameResult.ruleVariant || 'classic',
+            recordKey: gameResult.recordKey || difficulty,
+            modeLabel: gameResult.modeLabel || null,
+            isStandardMode: gameResult.isStandardMode !== false
+        };
+
+        const games = this.loadGames();
+        games.push(record);
+
+        // 上限を超えた分は古い記録から削除
+        const trimmed = games.slice(-this.maxEntries);
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ games: trimmed }));
+        } catch (error) {
+            console.warn('⚠️ プレイ履歴の保存に失敗:', error);
+        }
+
+        return record;
+    }
+
+    /**
+     * 記録を取得（難易度で絞り込み）
+     * 難易度を指定した場合は通常のゲームだけを返す（チャレンジ・デイリー・ルールバリアントなどは勝率の条件が違うため）
+     * @param {string|null} difficulty - nullの場合は全難易度・全モード
+     * @returns {Object[]}
+     */
+    getGames(difficulty = null) {
+        const games = this.loadGames();
+        return difficulty
+            ? games.filter(game => game.difficulty === difficulty && GameHistoryStore.isStandardMode(game))
+            : games;
+    }
+
+    /**
+     * 難易度どおりの通常のゲームの記録か
+     * モードを記録する前の記録はルールバリアントだけで判定する
+     */
+    static isStandardMode(game) {
+        if (game.isStandardMode !== undefined) {
+            return game.isStandardMode;
+        }
+        return (game.ruleVariant || 'classic') === 'classic';
+    }
+
+    /**
+     * 全記録を削除
+     */
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * 集計結果を取得（GameHistory形式 + 連勝・分布）
+     * @param {string|null} difficulty - nullの場合は全難易度
+     * @returns {Object}
+     */
+    getSummary(difficulty = null) {
+        return GameHistoryStore.summarize(this.getGames(difficulty));
+    }
+
+    /**
+     * 記録の配列を集計
+     */
+    static summarize(games) {
+        const totalGames = games.length;
+        const victories = games.filter(game => game.isVictory).length;
+        const totalScore = games.reduce((sum, game) => sum + game.finalScore, 0);
+        const totalPlayTime = games.reduce((sum, game) => sum + (game.playTimeMs || 0), 0);
+
+        // 最高スコアを記録した日
+        let bestGame = null;
+        games.forEach(game => {
+            if (!bestGame || game.finalScore > bestGame.finalScore) {
+                bestGame = game;
+            }
+        });
+
+        // 最高タイル分布（タイル値 -> 回数）
+        const maxTileDistribution = {};
+        games.forEach(game => {
+            maxTileDistribution[game.maxTile] = (maxTileDistribution[game.maxTile] || 0) + 1;
+        });
+
+        // 連勝記録（記録は古い順に並んでいる）
+        let currentStreak = 0;
+        let bestStreak = 0;
+        games.forEach(game => {
+            currentStreak = game.isVictory ? currentStreak + 1 : 0;
+            bestStreak = Math.max(bestStreak, currentStreak);
+        });
+
+        return {
+            games,
+            totalGames,
+            totalPlayTime,
+            victories,
+            winRate: totalGames > 0 ? victories / totalGames : 0,
+            averageScore: totalGames > 0 ? Math.round(totalScore / totalGames) : 0,
+            averagePlayTime: totalGames > 0 ? Math.round(totalPlayTime / totalGames) : 0,
+            bestScore: bestGame ? bestGame.finalScore : 0,
+            bestScoreDate: bestGame ? new Date(bestGame.endTime).toISOString() : '',
+            maxTileDistribution,
+            currentStreak,
+            bestStreak
+        };
+    }
+}
+
+// グローバルで利用可能にする
+window.GameHistoryStore = GameHistoryStore;
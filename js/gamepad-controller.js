@@ -0,0 +1,380 @@
+/**
+ * Puzzle2048 ゲームパッドコントローラー
+ *
+ * Gamepad APIでコントローラーの入力を読み取り、移動方向・操作に変換します。
+ * 十字キーと左スティック（デッドゾーンあり）は押し続けると一定間隔でリピートし、
+ * ボタンは押した瞬間に1回だけ操作を発行します（標準配置: A=0, B=1, Select=8, Start=9）。
+ * Gamepad APIはイベントで入力を通知しないため、コントローラーの接続中だけ毎フレームポーリングします。
+ */
+
+class GamepadController {
+    /**
+     * @param {Function} onAction - 操作発生時のコールバック (action, gamepad) => void
+     *   actionは 'left' | 'right' | 'up' | 'down' またはbuttonMapに指定した操作名
+     * @param {Object} options - オプション
+     * @param {number|null} [options.index] - 読み取るコントローラーの番号（省略時は全てのコントローラー）
+     * @param {Object} [options.buttonMap] - ボタン番号 -> 操作名（省略時はGamepadController.DEFAULT_BUTTON_MAP）
+     * @param {HTMLElement|null} [options.statusElement] - 接続中のコントローラーを表示する要素
+     */
+    constructor(onAction, options = {}) {
+        this.onAction = onAction;
+        this.enabled = true;
+        this.index = options.index !== undefined ? options.index : null;
+        this.buttonMap = options.buttonMap || GamepadController.DEFAULT_BUTTON_MAP;
+        this.statusElement = options.statusElement || null;
+
+        // 判定パラメータ
+        this.deadzone = options.deadzone || 0.5;             // スティックを倒したとみなす量（0〜1）
+        this.repeatDelay = options.repeatDelay || 300;       // 押し続けてからリピートが始まるまで（ms）
+        this.repeatInterval = options.repeatInterval || 150; // リピートの間隔（ms）
+
+        this.states = new Map(); // コントローラー番号 -> { direction, nextRepeatAt, pressed }
+        this.frameId = null;
+
+        this.poll = this.poll.bind(this);
+        this.handleConnected = this.handleConnected.bind(this);
+        this.handleDisconnected = this.handleDisconnected.bind(this);
+
+        this.attach();
+    }
+
+    /**
+     * Gamepad APIに対応したブラウザか
+     */
+    static isSupported() {
+        return typeof navigator !== 'undefined' && typeof navigator.getGamepads === 'function';
+    }
+
+    /**
+     * 接続イベントを登録（既に接続されているコントローラーがあればポーリングを開始）
+     */
+    attach() {
+        if (!GamepadController.isSupported()) {
+            return;
+        }
+
+        window.addEventListener('gamepadconnected', this.handleConnected);
+        window.addEventListener('gamepaddisconnected', this.handleDisconnected);
+        this.updateStatus();
+        this.startPolling();
+    }
+
+    /**
+     * 接続イベントを解除してポーリングを停止
+     */
+    detach() {
+        window.removeEventListener('gamepadconnected', this.handleConnected);
+        window.removeEventListener('gamepaddisconnected', this.handleDisconnected);
+        this.stopPolling();
+        this.states.clear();
+    }
+
+    /**
+     * ゲームパッド入力の有効/無効を切り替え
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.states.clear();
+        }
+    }
+
+    /**
+     * 対象のコントローラーの一覧（未接続の枠を除く）
+     */
+    getGamepads() {
+        if (!GamepadController.isSupported()) {
+            return [];
+        }
+
+        return Array.from(navigator.getGamepads()).filter(gamepad =>
+            gamepad && gamepad.connected && (this.index === null || gamepad.index === this.index));
+    }
+
+    /**
+     * ポーリング開始（対象のコントローラーが接続されている場合のみ）
+     */
+    startPolling() {
+        if (this.frameId === null && this.getGamepads().length > 0) {
+            this.frameId = requestAnimationFrame(this.poll);
+        }
+    }
+
+    /**
+     * ポーリング停止
+     */
+    stopPolling() {
+        if (this.frameId !== null) {
+            cancelAnimationFrame(this.frameId);
+            this.frameId = null;
+        }
+    }
+
+    /**
+     * 1フレーム分の入力を読み取る（全て切断されたらポーリングを止める）
+     */
+    poll() {
+        this.frameId = null;
+
+        const gamepads = this.getGamepads();
+        if (gamepads.length === 0) {
+            this.states.clear();
+            return;
+        }
+
+        const now = performance.now();
+        gamepads.forEach(gamepad => this.pollGamepad(gamepad, now));
+        this.frameId = requestAnimationFrame(this.poll);
+    }
+
+    /**
+     * コントローラー1台分の入力を操作に変換
+     */
+    pollGamepad(gamepad, now) {
+        if (!this.enabled) {
+            return;
+        }
+
+        const direction = this.readDirection(gamepad);
+        const pressed = new Set(Object.keys(this.buttonMap).filter(button => GamepadController.isPressed(gamepad, button)));
+        const state = this.states.get(gamepad.index);
+
+        // 最初に読み取った時点で押されている入力は無視する（前の画面で押したボタンで操作が起きないように）
+        if (!state) {
+            this.states.set(gamepad.index, { direction, nextRepeatAt: now + this.repeatDelay, pressed });
+            return;
+        }
+
+        // ボタンは押した瞬間だけ
+        pressed.forEach(button => {
+            if (!state.pressed.has(button)) {
+                this.onAction(this.buttonMap[button], gamepad);
+            }
+        });
+        state.pressed = pressed;
+
+        // 方向は押した瞬間に1回、押し続けるとrepeatDelay後からrepeatIntervalごとに発行
+        if (direction !== state.direction) {
+            state.direction = direction;
+            state.nextRepeatAt = now + this.repeatDelay;
+            if (direction) {
+                this.onAction(direction, gamepad);
+            }
+        } else if (direction && now >= state.nextRepeatAt) {
+            state.nextRepeatAt = now + this.repeatInterval;
+            this.onAction(direction, gamepad);
+        }
+    }
+
+    /**
+     * 十字キー・左スティックの方向（十字キーを優先、スティックは倒した量の大きい軸）
+     * @returns {string|null} 'left' | 'right' | 'up' | 'down'、入力がない場合はnull
+     */
+    readDirection(gamepad) {
+        const dpad = Object.keys(GamepadController.DPAD_BUTTONS).find(button => GamepadController.isPressed(gamepad, button));
+        if (dpad) {
+            return GamepadController.DPAD_BUTTONS[dpad];
+        }
+
+        const [x = 0, y = 0] = gamepad.axes;
+        if (Math.max(Math.abs(x), Math.abs(y)) < this.deadzone) {
+            return null;
+        }
+        if (Math.abs(x) >= Math.abs(y)) {
+            return x > 0 ? 'right' : 'left';
+        }
+        return y > 0 ? 'down' : 'up';
+    }
+
+    /**
+     * ボタンが押されているか（存在しないボタンはfalse）
+     */
+    static isPressed(gamepad, button) {
+        const state = gamepad.buttons[button];
+        return Boolean(state && state.pressed);
+    }
+
+    /**
+     * コントローラー接続
+     */
+    handleConnected(event) {
+        if (this.index !== null && event.gamepad.index !== this.index) {
+            return;
+        }
+
+        console.log(`🎮 ゲームパッド接続: ${GamepadController.getDisplayName(event.gamepad)}`);
+        this.updateStatus();
+        this.startPolling();
+    }
+
+    /**
+     * コントローラー切断
+     */
+    handleDisconnected(event) {
+        if (this.index !== null && event.gamepad.index !== this.index) {
+            return;
+        }
+
+        console.log(`🎮 ゲームパッド切断: ${GamepadController.getDisplayName(event.gamepad)}`);
+        this.states.delete(event.gamepad.index);
+        this.updateStatus();
+    }
+
+    /**
+     * 接続中のコントローラーの表示を更新（未接続の場合は非表示）
+     */
+    updateStatus() {
+        if (!this.statusElement) {
+            return;
+        }
+
+        const names = this.getGamepads().map(gamepad => `🎮 ${GamepadController.getDisplayName(gamepad)}`);
+        this.statusElement.textContent = names.join(' / ');
+        this.statusElement.style.display = names.length > 0 ? '' : 'none';
+    }
+
+    /**
+     * 表示用のコントローラー名（ブラウザが付けるベンダーID等の括弧書きを除く）
+     */
+    static getDisplayName(gamepad) {
+        const name = gamepad.id.replace(/\s*\(.*$/, '').trim();
+        return name || `コントローラー${gamepad.index + 1}`;
+    }
+
+    /**
+     * メニュー画面用：指定方向にある最も近い項目へフォーカスを移す
+     * フォーカス中の項目がない場合は最初の項目にフォーカスする
+     * @param {string} direction - 'left' | 'right' | 'up' | 'down'
+     * @param {string} selector - フォーカス移動の対象にする要素のセレクタ
+     */
+    static moveFocus(direction, selector) {
+        const candidates = GamepadController.getFocusCandidates(selector);
+        if (candidates.length === 0) {
+            return;
+        }
+
+        const current = document.activeElement;
+        if (!candidates.includes(current)) {
+            GamepadController.focusElement(candidates[0]);
+            return;
+        }
+
+        const from = GamepadController.getCenter(current);
+        const vertical = direction === 'up' || direction === 'down';
+        const sign = direction === 'down' || direction === 'right' ? 1 : -1;
+        let best = null;
+        let bestDistance = Infinity;
+
+        candidates.forEach(candidate => {
+            if (candidate === current) return;
+
+            const to = GamepadController.getCenter(candidate);
+            const along = (vertical ? to.y - from.y : to.x - from.x) * sign;
+            const across = Math.abs(vertical ? to.x - from.x : to.y - from.y);
+            if (along <= 1) return;
+
+            // 進行方向からずれた項目ほど遠いものとして扱う
+            const distance = along + across * 2;
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = candidate;
+            }
+        });
+
+        if (best) {
+            GamepadController.focusElement(best);
+        }
+    }
+
+    /**
+     * メニュー画面用：フォーカス中のスライダー・数値入力・選択肢を左右で変更
+     * @returns {boolean} 値を変更できる項目にフォーカスしていた場合true
+     */
+    static adjustFocused(direction) {
+        const element = document.activeElement;
+        if (!element || (direction !== 'left' && direction !== 'right')) {
+            return false;
+        }
+
+        const step = direction === 'right' ? 1 : -1;
+
+        if (element.tagName === 'SELECT') {
+            const index = Math.max(0, Math.min(element.options.length - 1, element.selectedIndex + step));
+            if (index !== element.selectedIndex) {
+                element.selectedIndex = index;
+                element.dispatchEvent(new Event('change', { bubbles: true }));
+            }
+            return true;
+        }
+
+        if (element.type === 'range' || element.type === 'number') {
+            if (step > 0) {
+                element.stepUp();
+            } else {
+                element.stepDown();
+            }
+            element.dispatchEvent(new Event('input', { bubbles: true }));
+            element.dispatchEvent(new Event('change', { bubbles: true }));
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * メニュー画面用：フォーカス中の項目をクリック（チェックボックスは切り替え）
+     * @param {string} selector - 操作の対象にする要素のセレクタ
+     * @returns {boolean} 対象の項目にフォーカスしていた場合true
+     */
+    static activateFocused(selector) {
+        const element = document.activeElement;
+        if (!element || !GamepadController.getFocusCandidates(selector).includes(element)) {
+            return false;
+        }
+
+        element.click();
+        return true;
+    }
+
+    /**
+     * 表示中で操作可能な項目の一覧
+     */
+    static getFocusCandidates(selector) {
+        return Array.from(document.querySelectorAll(selector))
+            .filter(element => !element.disabled && element.offsetParent !== null);
+    }
+
+    /**
+     * 項目の中心座標
+     */
+    static getCenter(element) {
+        const rect = element.getBoundingClientRect();
+        return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    }
+
+    /**
+     * 項目にフォーカスして画面内に表示
+     */
+    static focusElement(element) {
+        element.focus();
+        element.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    }
+}
+
+/**
+ * 十字キーのボタン番号（標準配置）-> 方向
+ */
+GamepadController.DPAD_BUTTONS = { 12: 'up', 13: 'down', 14: 'left', 15: 'right' };
+
+/**
+ * ゲーム画面のボタン配置: A=リスタート, B=一時停止, Start=ミュート, Select=デモ
+ */
+GamepadController.DEFAULT_BUTTON_MAP = { 0: 'restart', 1: 'pause', 9: 'mute', 8: 'demo' };
+
+/**
+ * 設定・結果画面のボタン配置: A・Start=決定, B=戻る
+ */
+GamepadController.MENU_BUTTON_MAP = { 0: 'confirm', 9: 'confirm', 1: 'back' };
+
+// グローバルで利用可能にする
+window.GamepadController = GamepadController;
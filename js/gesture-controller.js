@@ -0,0 +1,263 @@
+/**
+ * Puzzle2048 ジェスチャーコントローラー
+ *
+ * タッチ・ペン・マウスドラッグのスワイプ操作を検出して移動方向に変換します。
+ * Pointer Events非対応ブラウザではTouch Eventsにフォールバックします。
+ */
+
+class GestureController {
+    /**
+     * @param {HTMLElement} element - スワイプを受け付ける要素
+     * @param {Function} onSwipe - スワイプ確定時のコールバック (direction, gesture) => void
+     * @param {Object} options - 判定パラメータ
+     */
+    constructor(element, onSwipe, options = {}) {
+        this.element = element;
+        this.onSwipe = onSwipe;
+        this.enabled = true;
+
+        // 判定パラメータ
+        this.minSwipeDistance = options.minSwipeDistance || 50; // GAME_CONSTANTS.MIN_SWIPE_DISTANCE
+        this.minFlickDistance = options.minFlickDistance || 20;  // フリック判定の最小距離
+        this.minFlickVelocity = options.minFlickVelocity || 0.5; // フリック判定の最小速度（px/ms）
+        this.axisLockDistance = options.axisLockDistance || 10;  // 軸を固定するまでの移動量
+        this.maxDuration = options.maxDuration || 1000;          // これより長い操作はスワイプとみなさない
+
+        this.gesture = null;
+        this.activePointerId = null;
+        this.lockedAxis = null;
+        this.startTime = 0;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerCancel = this.handlePointerCancel.bind(this);
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+
+        this.attach();
+    }
+
+    /**
+     * イベントリスナーを登録
+     */
+    attach() {
+        // ブラウザ標準のスクロール・ズームを無効化
+        this.element.style.touchAction = 'none';
+
+        if (window.PointerEvent) {
+            this.element.addEventListener('pointerdown', this.handlePointerDown);
+            this.element.addEventListener('pointermove', this.handlePointerMove);
+            this.element.addEventListener('pointerup', this.handlePointerUp);
+            this.element.addEventListener('pointercancel', this.handlePointerCancel);
+        } else {
+            this.element.addEventListener('touchstart', this.handleTouchStart, { passive: false });
+            this.element.addEventListener('touchmove', this.handleTouchMove, { passive: false });
+            this.element.addEventListener('touchend', this.handleTouchEnd);
+            this.element.addEventListener('touchcancel', this.handlePointerCancel);
+        }
+    }
+
+    /**
+     * イベントリスナーを解除
+     */
+    detach() {
+        this.element.removeEventListener('pointerdown', this.handlePointerDown);
+        this.element.removeEventListener('pointermove', this.handlePointerMove);
+        this.element.removeEventListener('pointerup', this.handlePointerUp);
+        this.element.removeEventListener('pointercancel', this.handlePointerCancel);
+        this.element.removeEventListener('touchstart', this.handleTouchStart);
+        this.element.removeEventListener('touchmove', this.handleTouchMove);
+        this.element.removeEventListener('touchend', this.handleTouchEnd);
+        this.element.removeEventListener('touchcancel', this.handlePointerCancel);
+        this.element.style.touchAction = '';
+        this.reset();
+    }
+
+    /**
+     * ジェスチャー入力の有効/無効を切り替え
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.reset();
+        }
+    }
+
+    /**
+     * ジェスチャー開始
+     */
+    beginGesture(x, y) {
+        this.gesture = {
+            startX: x,
+            startY: y,
+            endX: x,
+            endY: y,
+            direction: null,
+            distance: 0
+        };
+        this.lockedAxis = null;
+        this.startTime = performance.now();
+    }
+
+    /**
+     * ジェスチャー途中の位置更新（軸ロック判定）
+     */
+    updateGesture(x, y) {
+        this.gesture.endX = x;
+        this.gesture.endY = y;
+
+        if (!this.lockedAxis) {
+            const dx = Math.abs(x - this.gesture.startX);
+            const dy = Math.abs(y - this.gesture.startY);
+            if (Math.max(dx, dy) >= this.axisLockDistance) {
+                this.lockedAxis = dx >= dy ? 'x' : 'y';
+            }
+        }
+    }
+
+    /**
+     * ジェスチャー終了・スワイプ判定
+     */
+    endGesture(x, y) {
+        this.updateGesture(x, y);
+
+        const gesture = this.gesture;
+        const duration = performance.now() - this.startTime;
+        const dx = gesture.endX - gesture.startX;
+        const dy = gesture.endY - gesture.startY;
+        const axis = this.lockedAxis || (Math.abs(dx) >= Math.abs(dy) ? 'x' : 'y');
+
+        // ロックした軸方向の移動量のみで判定
+        const distance = axis === 'x' ? Math.abs(dx) : Math.abs(dy);
+        const velocity = duration > 0 ? distance / duration : 0;
+
+        gesture.distance = distance;
+        gesture.direction = null;
+
+        const isSwipe = distance >= this.minSwipeDistance;
+        const isFlick = distance >= this.minFlickDistance && velocity >= this.minFlickVelocity;
+
+        if (duration <= this.maxDuration && (isSwipe || isFlick)) {
+            if (axis === 'x') {
+                gesture.direction = dx > 0 ? 'right' : 'left';
+            } else {
+                gesture.direction = dy > 0 ? 'down' : 'up';
+            }
+        }
+
+        this.reset();
+
+        if (gesture.direction && this.onSwipe) {
+            this.onSwipe(gesture.direction, gesture);
+        }
+
+        return gesture;
+    }
+
+    /**
+     * 進行中のジェスチャーを破棄
+     */
+    reset() {
+        if (this.activePointerId !== null && this.element.hasPointerCapture &&
+            this.element.hasPointerCapture(this.activePointerId)) {
+            this.element.releasePointerCapture(this.activePointerId);
+        }
+        this.gesture = null;
+        this.activePointerId = null;
+        this.lockedAxis = null;
+    }
+
+    /**
+     * Pointer Events: 押下
+     */
+    handlePointerDown(event) {
+        if (!this.enabled || this.gesture) {
+            return; // マルチタッチの2本目以降は無視
+        }
+
+        // マウスは左ボタンのみ
+        if (event.pointerType === 'mouse' && event.button !== 0) {
+            return;
+        }
+
+        this.activePointerId = event.pointerId;
+        if (this.element.setPointerCapture) {
+            this.element.setPointerCapture(event.pointerId);
+        }
+        this.beginGesture(event.clientX, event.clientY);
+        event.preventDefault();
+    }
+
+    /**
+     * Pointer Events: 移動
+     */
+    handlePointerMove(event) {
+        if (!this.gesture || event.pointerId !== this.activePointerId) {
+            return;
+        }
+
+        this.updateGesture(event.clientX, event.clientY);
+        event.preventDefault();
+    }
+
+    /**
+     * Pointer Events: 離す
+     */
+    handlePointerUp(event) {
+        if (!this.gesture || event.pointerId !== this.activePointerId) {
+            return;
+        }
+
+        this.endGesture(event.clientX, event.clientY);
+    }
+
+    /**
+     * ジェスチャー中断
+     */
+    handlePointerCancel() {
+        this.reset();
+    }
+
+    /**
+     * Touch Events（フォールバック）: 開始
+     */
+    handleTouchStart(event) {
+        if (!this.enabled || event.touches.length !== 1) {
+            this.reset();
+            return;
+        }
+
+        const touch = event.touches[0];
+        this.beginGesture(touch.clientX, touch.clientY);
+    }
+
+    /**
+     * Touch Events（フォールバック）: 移動
+     */
+    handleTouchMove(event) {
+        if (!this.gesture) {
+            return;
+        }
+
+        const touch = event.touches[0];
+        this.updateGesture(touch.clientX, touch.clientY);
+        event.preventDefault(); // ページスクロール防止
+    }
+
+    /**
+     * Touch Events（フォールバック）: 終了
+     */
+    handleTouchEnd(event) {
+        if (!this.gesture) {
+            return;
+        }
+
+        const touch = event.changedTouches[0];
+        this.endGesture(touch.clientX, touch.clientY);
+    }
+}
+
+// グローバルで利用可能にする
+window.GestureController = GestureController;
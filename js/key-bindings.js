@@ -0,0 +1,330 @@
+/**
+ * Puzzle2048 キー割り当て
+ *
+ * ゲーム画面・設定画面のキー操作をまとめて管理します。
+ * 移動キーはプロフィール（矢印キー・WASD・vim風・テンキー）から選び、各操作はさらに個別に割り当てを変更できます。
+ * 割り当ては設定（puzzle2048_settings）の keyBindings に { profile, overrides } として保存されます。
+ *
+ * キーは KeyboardEvent.key で表します（英字は小文字に揃え、Shiftの有無を区別しない）。
+ * テンキーだけは数字キーの列と区別するため KeyboardEvent.code（'Numpad8' など）を使います。
+ */
+
+class KeyBindings {
+    /**
+     * @param {Object} config - 保存されている割り当て
+     * @param {string} [config.profile] - プロフィールID（省略時・未知のIDは矢印キー）
+     * @param {Object} [config.overrides] - 操作 -> キー（プロフィールから変更した分のみ）
+     */
+    constructor(config = {}) {
+        this.profile = KeyBindings.getProfile(config.profile);
+        this.overrides = {};
+
+        // 未知の操作・割り当てできないキーは読み込まない
+        Object.entries(config.overrides || {}).forEach(([action, key]) => {
+            if (KeyBindings.getAction(action) && KeyBindings.isBindable(key)) {
+                this.overrides[action] = key;
+            }
+        });
+
+        // 同じ画面でキーが重なる場合は変更分を捨ててプロフィールどおりに戻す
+        if (KeyBindings.ACTIONS.some(action => this.findConflict(action.id, this.getKey(action.id)))) {
+            console.warn('⌨️ キー割り当てが重複しているためプロフィールの割り当てに戻しました');
+            this.overrides = {};
+        }
+    }
+
+    /**
+     * 保存されている設定から読み込む
+     */
+    static load() {
+        try {
+            const settings = JSON.parse(localStorage.getItem('puzzle2048_settings') || '{}');
+            return new KeyBindings(settings.keyBindings || {});
+        } catch (error) {
+            console.error('キー割り当て読み込みエラー:', error);
+            return new KeyBindings();
+        }
+    }
+
+    /**
+     * IDからプロフィールを取得（未知のIDは矢印キー）
+     * @param {string} id - プロフィールID
+     */
+    static getProfile(id) {
+        return KeyBindings.profiles[id] || KeyBindings.profiles.arrows;
+    }
+
+    /**
+     * 設定画面向けのプロフィール一覧
+     * @returns {Object[]} [{ id, name, description }]
+     */
+    static listProfiles() {
+        return Object.values(KeyBindings.profiles).map(({ id, name, description }) => ({ id, name, description }));
+    }
+
+    /**
+     * 操作の定義を取得
+     * @returns {Object|undefined} { id, name, context }
+     */
+    static getAction(id) {
+        return KeyBindings.ACTIONS.find(action => action.id === id);
+    }
+
+    /**
+     * 画面ごとの操作の一覧
+     * @param {string} context - 'game' | 'menu'
+     */
+    static listActions(context) {
+        return KeyBindings.ACTIONS.filter(action => action.context === context);
+    }
+
+    /**
+     * 操作に割り当てられているキー
+     */
+    getKey(action) {
+        return this.overrides[action] || this.profile.keys[action] || KeyBindings.DEFAULT_KEYS[action];
+    }
+
+    /**
+     * 画面のキー -> 操作の対応表（UIControllerのkeyMap形式）
+     * @param {string} context - 'game' | 'menu'
+     */
+    getKeyMap(context) {
+        const keyMap = {};
+        KeyBindings.listActions(context).forEach(action => {
+            keyMap[this.getKey(action.id)] = action.id;
+        });
+        return keyMap;
+    }
+
+    /**
+     * キーイベントに対応する操作
+     * @param {KeyboardEvent} event - キーイベント
+     * @param {string} context - 'game' | 'menu'
+     * @returns {string|null}
+     */
+    getActionForEvent(event, context) {
+        return KeyBindings.lookup(this.getKeyMap(context), event);
+    }
+
+    /**
+     * 同じ画面でそのキーを使っている別の操作
+     * @returns {string|null} 重なる操作のID（重ならない場合はnull）
+     */
+    findConflict(action, key) {
+        const { context } = KeyBindings.getAction(action);
+        const conflict = KeyBindings.listActions(context)
+            .find(other => other.id !== action && this.getKey(other.id) === key);
+        return conflict ? conflict.id : null;
+    }
+
+    /**
+     * 操作にキーを割り当てる
+     * 同じ画面の別の操作がそのキーを使っている場合は、その操作に元のキーを渡して入れ替える
+     * @returns {string|null} 入れ替えた操作のID
+     */
+    assign(action, key) {
+        const previousKey = this.getKey(action);
+        const conflict = this.findConflict(action, key);
+
+        this.setOverride(action, key);
+        if (conflict) {
+            this.setOverride(conflict, previousKey);
+        }
+        return conflict;
+    }
+
+    /**
+     * プロフィールと同じキーに戻した場合は変更分から外す
+     */
+    setOverride(action, key) {
+        delete this.overrides[action];
+        if (this.getKey(action) !== key) {
+            this.overrides[action] = key;
+        }
+    }
+
+    /**
+     * プロフィールを切り替える（個別の変更は破棄）
+     */
+    setProfile(id) {
+        this.profile = KeyBindings.getProfile(id);
+        this.overrides = {};
+    }
+
+    /**
+     * 設定に保存する形式
+     */
+    toJSON() {
+        return { profile: this.profile.id, overrides: { ...this.overrides } };
+    }
+
+    /**
+     * キー -> 操作の対応表からキーイベントの操作を引く
+     * Ctrl・Alt・Metaとの同時押しはブラウザのショートカットとして扱い、操作にしない
+     * 対応表のキーには KeyboardEvent.code（'KeyW' など）も使え、キー配列・日本語入力のオンオフによらず同じ位置のキーに対応する
+     * @param {Object} keyMap - キー -> 操作
+     * @param {KeyboardEvent} event - キーイベント
+     * @returns {string|null}
+     */
+    static lookup(keyMap, event) {
+        if (event.ctrlKey || event.altKey || event.metaKey) {
+            return null;
+        }
+
+        // テンキーに割り当てがなければ同じ文字のキーとして扱う（NumLockオフの矢印・テンキーのEnterなど）
+        const keyId = KeyBindings.getKeyId(event);
+        if (keyMap[keyId]) {
+            return keyMap[keyId];
+        }
+        if (event.code && keyMap[event.code]) {
+            return keyMap[event.code];
+        }
+        return keyMap[KeyBindings.normalizeKey(event.key)] || null;
+    }
+
+    /**
+     * キーイベントのキー（テンキーはcode、それ以外は小文字に揃えたkey）
+     */
+    static getKeyId(event) {
+        if (event.code && event.code.startsWith('Numpad')) {
+            return event.code;
+        }
+        return KeyBindings.normalizeKey(event.key);
+    }
+
+    /**
+     * 英字を小文字に揃える
+     */
+    static normalizeKey(key) {
+        return typeof key === 'string' && key.length === 1 ? key.toLowerCase() : key;
+    }
+
+    /**
+     * 操作に割り当てられるキーか（修飾キー単体・フォーカス移動・開発者ツールのキーは不可）
+     */
+    static isBindable(key) {
+        return typeof key === 'string' && key.length > 0 && !KeyBindings.RESERVED_KEYS.includes(key);
+    }
+
+    /**
+     * 表示用のキー名
+     */
+    static formatKey(key) {
+        if (!key) {
+            return '未設定';
+        }
+        if (KeyBindings.KEY_LABELS[key]) {
+            return KeyBindings.KEY_LABELS[key];
+        }
+        if (key.startsWith('Numpad')) {
+            const rest = key.slice('Numpad'.length);
+            return `テンキー${KeyBindings.KEY_LABELS[rest] || rest}`;
+        }
+        return key.length === 1 ? key.toUpperCase() : key;
+    }
+}
+
+/**
+ * 割り当てを変更できる操作（contextは操作を受け付ける画面、同じ画面の中でキーが重ならないようにする）
+ */
+KeyBindings.ACTIONS = [
+    { id: 'up', name: '上に移動', context: 'game' },
+    { id: 'down', name: '下に移動', context: 'game' },
+    { id: 'left', name: '左に移動', context: 'game' },
+    { id: 'right', name: '右に移動', context: 'game' },
+    { id: 'restart', name: 'リスタート', context: 'game' },
+    { id: 'pause', name: '一時停止', context: 'game' },
+    { id: 'mute', name: 'ミュート', context: 'game' },
+    { id: 'undo', name: '戻す', context: 'game' },
+    { id: 'redo', name: 'やり直す', context: 'game' },
+    { id: 'hint', name: 'ヒント', context: 'game' },
+    { id: 'help', name: 'キー一覧', context: 'game' },
+    { id: 'confirm', name: 'ゲーム開始', context: 'menu' },
+    { id: 'back', name: '戻る', context: 'menu' },
+    { id: 'easy', name: '難易度 Easy', context: 'menu' },
+    { id: 'normal', name: '難易度 Normal', context: 'menu' },
+    { id: 'hard', name: '難易度 Hard', context: 'menu' },
+    { id: 'expert', name: '難易度 Expert', context: 'menu' },
+    { id: 'custom', name: '難易度 Custom', context: 'menu' }
+];
+
+KeyBindings.CONTEXTS = {
+    game: 'ゲーム画面',
+    menu: '設定画面'
+};
+
+/**
+ * 標準の割り当て（プロフィールは移動キーなど必要な分だけをこれに上書きする）
+ */
+KeyBindings.DEFAULT_KEYS = {
+    up: 'ArrowUp',
+    down: 'ArrowDown',
+    left: 'ArrowLeft',
+    right: 'ArrowRight',
+    restart: 'r',
+    pause: 'Escape',
+    mute: 'm',
+    undo: 'z',
+    redo: 'y',
+    hint: 'h',
+    help: '?',
+    confirm: 'Enter',
+    back: 'Escape',
+    easy: '1',
+    normal: '2',
+    hard: '3',
+    expert: '4',
+    custom: '5'
+};
+
+KeyBindings.RESERVED_KEYS = ['Tab', 'F12', 'Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'NumLock', 'Dead', 'Process', 'Unidentified'];
+
+KeyBindings.KEY_LABELS = {
+    ArrowUp: '↑',
+    ArrowDown: '↓',
+    ArrowLeft: '←',
+    ArrowRight: '→',
+    Escape: 'ESC',
+    Enter: 'Enter',
+    ' ': 'Space',
+    Backspace: 'BS',
+    Add: '+',
+    Subtract: '-',
+    Multiply: '*',
+    Divide: '/',
+    Decimal: '.'
+};
+
+KeyBindings.profiles = {
+    arrows: {
+        id: 'arrows',
+        name: '矢印キー',
+        description: '↑ ↓ ← → で移動する標準の配置',
+        keys: {}
+    },
+
+    wasd: {
+        id: 'wasd',
+        name: 'WASD',
+        description: 'W A S D で移動（左手で移動、右手でマウス）',
+        keys: { up: 'w', left: 'a', down: 's', right: 'd' }
+    },
+
+    vim: {
+        id: 'vim',
+        name: 'vim風',
+        description: 'H J K L で移動（戻すはU、ヒントはIに移動）',
+        keys: { left: 'h', down: 'j', up: 'k', right: 'l', undo: 'u', hint: 'i' }
+    },
+
+    numpad: {
+        id: 'numpad',
+        name: 'テンキー',
+        description: 'テンキーの 8 2 4 6 で移動（NumLockをオンにして使用）',
+        keys: { up: 'Numpad8', down: 'Numpad2', left: 'Numpad4', right: 'Numpad6' }
+    }
+};
+
+// グローバルで利用可能にする
+window.KeyBindings = KeyBindings;
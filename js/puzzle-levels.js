@@ -0,0 +1,374 @@
+/**
+ * Puzzle2048 パズルモードのレベルパック
+ *
+ * JSON形式のレベルパックを読み込んで検証し、レベルごとのクリア状況と星の数をLocalStorageに保存します。
+ * 選んだレベルはゲーム画面に引き渡し、GameEngine（難易度'puzzle'）とScriptedSpawnSourceで遊びます。
+ *
+ * レベルパックの形式:
+ *   { version: 1, id, name, description, levels: [
+ *       { id, name, hint, board, spawns, goal, stars } ] }
+ *   board  - 正方形の2次元配列。数値はタイル（0は空きマス）、'#'は障害物
+ *   spawns - 1手ごとの出現 [row, col, value]、nullはその手では出現しない（省略時は出現なし）
+ *   goal   - { type: 'tile', value } / { type: 'clear', tiles } / { type: 'score', value }、moves で手数制限
+ *   stars  - [★2の手数, ★3の手数]（クリアで★1、省略時はクリアで★3）
+ */
+
+class PuzzleLevelStore {
+    /**
+     * @param {Object} options - オプション
+     * @param {string} [options.progressKey] - クリア状況の保存先のキー
+     * @param {string} [options.packsKey] - 読み込んだレベルパックの保存先のキー
+     * @param {string} [options.currentKey] - ゲーム画面に引き渡すレベルの保存先のキー
+     */
+    constructor(options = {}) {
+        this.progressKey = options.progressKey || 'puzzle2048_puzzle_progress';
+        this.packsKey = options.packsKey || 'puzzle2048_puzzle_packs';
+        this.currentKey = options.currentKey || 'puzzle2048_puzzle_current';
+    }
+
+    /**
+     * レベルパックを検証して補正
+     * @param {Object} data - レベルパックのJSON
+     * @returns {Object} { id, name, description, levels }
+     * @throws {Error} 形式が正しくない場合（メッセージに問題のあるレベルを含む）
+     */
+    static normalizePack(data) {
+        if (!data || typeof data !== 'object' || data.version !== 1) {
+            throw new Error('レベルパックの形式が正しくありません（version: 1 が必要です）');
+        }
+        if (typeof data.id !== 'string' || !/^[\w-]+$/.test(data.id)) {
+            throw new Error('レベルパックのidは英数字・_・-で指定してください');
+        }
+        if (!Array.isArray(data.levels) || data.levels.length === 0) {
+            throw new Error('レベルパックにレベルがありません');
+        }
+
+        const levels = data.levels.map((level, index) => PuzzleLevelStore.normalizeLevel(level, index, data.id));
+        const ids = new Set(levels.map(level => level.id));
+        if (ids.size !== levels.length) {
+            throw new Error('レベルのidが重複しています');
+        }
+
+        return {
+            id: data.id,
+            name: String(data.name || data.id),
+            description: String(data.description || ''),
+            levels
+        };
+    }
+
+    /**
+     * 1レベル分を検証して補正
+     * @param {Object} level - レベルのJSON
+     * @param {number} index - パック内の位置（0から）
+     * @param {string} packId - レベルパックのID
+     * @returns {Object} { packId, id, name, hint, size, board, obstacleConfig, spawns, goal, stars }
+     */
+    static normalizeLevel(level, index, packId) {
+        const fail = message => {
+            throw new Error(`レベル${index + 1}: ${message}`);
+        };
+        const isTileValue = value => Number.isInteger(value) && value >= 2 && Number.isInteger(Math.log2(value));
+
+        if (!level || typeof level !== 'object') {
+            fail('レベルの形式が正しくありません');
+        }
+
+        // 盤面（数値はタイル、0は空きマス、'#'は障害物）
+        const size = Array.isArray(level.board) ? level.board.length : 0;
+        if (size < 2 || size > 10 || !level.board.every(line => Array.isArray(line) && line.length === size)) {
+            fail('boardは2×2〜10×10の正方形にしてください');
+        }
+
+        const pattern = [];
+        const board = level.board.map(line => {
+            pattern.push(line.map(cell => cell === '#' ? '#' : '.').join(''));
+            return line.map(cell => {
+                if (cell === '#' || cell === 0) {
+                    return 0;
+                }
+                if (!isTileValue(cell)) {
+                    fail(`boardに使えない値があります (${cell})`);
+                }
+                return cell;
+            });
+        });
+        const hasObstacles = pattern.some(line => line.includes('#'));
+
+        // 出現（省略時は出現なし）
+        const spawns = level.spawns === undefined ? [] : level.spawns;
+        if (!Array.isArray(spawns)) {
+            fail('spawnsは配列で指定してください');
+        }
+        spawns.forEach(spawn => {
+            if (spawn === null) return;
+            const [row, col, value] = Array.isArray(spawn) ? spawn : [];
+            if (!Number.isInteger(row) || !Number.isInteger(col) || row < 0 || row >= size || col < 0 || col >= size ||
+                !isTileValue(value)) {
+                fail('spawnsは [row, col, value] またはnullで指定してください');
+            }
+        });
+
+        // 目標
+        const goalData = level.goal || {};
+        let goal;
+        if (goalData.type === 'tile' && isTileValue(goalData.value)) {
+            goal = { type: 'tile', value: goalData.value };
+        } else if (goalData.type === 'clear' && (goalData.tiles === undefined || Number.isInteger(goalData.tiles) && goalData.tiles >= 1)) {
+            goal = { type: 'clear', tiles: goalData.tiles || 1 };
+        } else if (goalData.type === 'score' && Number(goalData.value) > 0) {
+            goal = { type: 'score', value: Math.round(goalData.value) };
+        } else {
+            fail('goalは tile（value）・clear（tiles）・score（value）のいずれかで指定してください');
+        }
+        if (goalData.moves !== undefined && goalData.moves !== null && !(Number.isInteger(goalData.moves) && goalData.moves > 0)) {
+            fail('goal.movesは1以上の整数で指定してください');
+        }
+        goal.moves = goalData.moves || null;
+
+        // 星の基準（★2・★3になる手数）
+        let stars = null;
+        if (level.stars !== undefined) {
+            if (!Array.isArray(level.stars) || level.stars.length !== 2 ||
+                !level.stars.every(moves => Number.isInteger(moves) && moves > 0) || level.stars[1] > level.stars[0]) {
+                fail('starsは [★2の手数, ★3の手数] で指定してください（★3の手数は★2以下）');
+            }
+            stars = level.stars.slice();
+        }
+
+        return {
+            packId,
+            id: level.id !== undefined ? String(level.id) : String(index + 1),
+            name: String(level.name || `レベル${index + 1}`),
+            hint: String(level.hint || ''),
+            size,
+            board,
+            obstacleConfig: hasObstacles ? { mode: 'pattern', pattern } : null,
+            spawns,
+            goal,
+            stars
+        };
+    }
+
+    /**
+     * クリアした手数から星の数を決定
+     * @returns {number} 1〜3
+     */
+    static getStars(level, moves) {
+        if (!level.stars) {
+            return 3;
+        }
+        const [twoStars, threeStars] = level.stars;
+        if (moves <= threeStars) return 3;
+        if (moves <= twoStars) return 2;
+        return 1;
+    }
+
+    /**
+     * 星の表示（★と☆で3つ）
+     */
+    static formatStars(stars) {
+        return '★'.repeat(stars) + '☆'.repeat(3 - stars);
+    }
+
+    /**
+     * 目標の説明文
+     */
+    static describeGoal(goal) {
+        let text;
+        if (goal.type === 'clear') {
+            text = goal.tiles === 1 ? 'タイルを1枚にする' : `タイルを${goal.tiles}枚以下にする`;
+        } else if (goal.type === 'score') {
+            text = `${goal.value.toLocaleString()}点を取る`;
+        } else {
+            text = `${goal.value}を作る`;
+        }
+        return goal.moves ? `${goal.moves}手以内に${text}` : text;
+    }
+
+    /**
+     * URLからレベルパックを読み込む
+     * @param {string} url - JSONファイルのURL
+     * @returns {Promise<Object>} 補正済みのレベルパック
+     */
+    async fetchPack(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`レベルパックを読み込めません (${response.status})`);
+        }
+        return PuzzleLevelStore.normalizePack(await response.json());
+    }
+
+    /**
+     * 同梱のレベルパックと、取り込んだレベルパックをすべて読み込む
+     * 読み込めなかった同梱パックはerrorsに入れて残りを返す
+     * @returns {Promise<Object>} { packs, errors }
+     */
+    async loadAllPacks() {
+        const packs = [];
+        const errors = [];
+
+        for (const url of PuzzleLevelStore.BUILTIN_PACKS) {
+            try {
+                packs.push(await this.fetchPack(url));
+            } catch (error) {
+                console.warn(`⚠️ レベルパックの読み込みに失敗 (${url}):`, error);
+                errors.push({ url, message: error.message });
+            }
+        }
+
+        this.loadImportedPacks().forEach(pack => {
+            // 同梱パックと同じIDの場合は取り込んだ方を優先
+            const index = packs.findIndex(existing => existing.id === pack.id);
+            if (index >= 0) {
+                packs[index] = pack;
+            } else {
+                packs.push(pack);
+            }
+        });
+
+        return { packs, errors };
+    }
+
+    /**
+     * 取り込んだレベルパックを取得
+     * @returns {Object[]} 補正済みのレベルパック
+     */
+    loadImportedPacks() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.packsKey) || '{}');
+            return Array.isArray(data.packs) ? data.packs.map(pack => PuzzleLevelStore.normalizePack(pack)) : [];
+        } catch (error) {
+            console.warn('⚠️ 取り込んだレベルパックの読み込みに失敗:', error);
+            return [];
+        }
+    }
+
+    /**
+     * レベルパックのJSONを取り込んで保存（同じIDのパックは置き換える）
+     * @param {Object} data - レベルパックのJSON
+     * @returns {Object} 補正済みのレベルパック
+     * @throws {Error} 形式が正しくない場合
+     */
+    importPack(data) {
+        const pack = PuzzleLevelStore.normalizePack(data);
+
+        let stored = [];
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.packsKey) || '{}');
+            stored = Array.isArray(saved.packs) ? saved.packs : [];
+        } catch (error) {
+            console.warn('⚠️ 取り込んだレベルパックの読み込みに失敗:', error);
+        }
+
+        stored = stored.filter(existing => existing.id !== pack.id);
+        stored.push(data);
+        localStorage.setItem(this.packsKey, JSON.stringify({ packs: stored }));
+
+        console.log(`🧩 レベルパックを取り込みました (${pack.name}: ${pack.levels.length}レベル)`);
+        return pack;
+    }
+
+    /**
+     * 全レベルのクリア状況を取得
+     * @returns {Object} 'パックID/レベルID' -> { stars, bestMoves, bestScore, clearedAt }
+     */
+    loadProgress() {
+        try {
+            const data = JSON.parse(localStorage.getItem(this.progressKey) || '{}');
+            return data.levels && typeof data.levels === 'object' ? data.levels : {};
+        } catch (error) {
+            console.warn('⚠️ パズルの進行状況の読み込みに失敗:', error);
+            return {};
+        }
+    }
+
+    /**
+     * レベルのクリア状況を取得
+     * @returns {Object|null} 未クリアはnull
+     */
+    getProgress(packId, levelId) {
+        return this.loadProgress()[`${packId}/${levelId}`] || null;
+    }
+
+    /**
+     * クリア結果を記録（星の数・手数・スコアはそれぞれ最高記録だけを残す）
+     * @param {string} packId - レベルパックのID
+     * @param {string} levelId - レベルのID
+     * @param {Object} result - { stars, moves, score }
+     * @returns {boolean} 星の数が増えた場合true
+     */
+    recordClear(packId, levelId, result) {
+        const progress = this.loadProgress();
+        const key = `${packId}/${levelId}`;
+        const previous = progress[key];
+
+        progress[key] = previous ? {
+            stars: Math.max(previous.stars, result.stars),
+            bestMoves: Math.min(previous.bestMoves, result.moves),
+            bestScore: Math.max(previous.bestScore, result.score),
+            clearedAt: previous.clearedAt
+        } : {
+            stars: result.stars,
+            bestMoves: result.moves,
+            bestScore: result.score,
+            clearedAt: Date.now()
+        };
+
+        try {
+            localStorage.setItem(this.progressKey, JSON.stringify({ levels: progress }));
+        } catch (error) {
+            console.warn('⚠️ パズルの進行状況の保存に失敗:', error);
+        }
+
+        return !previous || result.stars > previous.stars;
+    }
+
+    /**
+     * レベルが挑戦可能か（最初のレベル、または1つ前のレベルをクリア済み）
+     */
+    isUnlocked(pack, index) {
+        return index === 0 || Boolean(this.getProgress(pack.id, pack.levels[index - 1].id));
+    }
+
+    /**
+     * パック内の獲得した星の合計
+     */
+    getPackStars(pack) {
+        const progress = this.loadProgress();
+        return pack.levels.reduce((total, level) => {
+            const entry = progress[`${pack.id}/${level.id}`];
+            return total + (entry ? entry.stars : 0);
+        }, 0);
+    }
+
+    /**
+     * ゲーム画面で遊ぶレベルを保存（ゲーム画面はindex.html?puzzle=trueで開く）
+     */
+    setCurrentLevel(level) {
+        localStorage.setItem(this.currentKey, JSON.stringify(level));
+    }
+
+    /**
+     * ゲーム画面で遊ぶレベルを取得
+     * @returns {Object|null}
+     */
+    getCurrentLevel() {
+        try {
+            return JSON.parse(localStorage.getItem(this.currentKey) || 'null');
+        } catch (error) {
+            console.warn('⚠️ パズルのレベルの読み込みに失敗:', error);
+            return null;
+        }
+    }
+}
+
+/**
+ * 同梱のレベルパック
+ */
+PuzzleLevelStore.BUILTIN_PACKS = [
+    'levels/starter.json'
+];
+
+// グローバルで利用可能にする
+window.PuzzleLevelStore = PuzzleLevelStore;
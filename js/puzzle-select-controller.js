@@ -0,0 +1,186 @@
+/**
+ * Puzzle2048 パズルモード（レベル選択）画面制御
+ *
+ * レベルパックを読み込んでレベル一覧と獲得した星を表示し、
+ * 選んだレベルをゲーム画面（index.html?puzzle=true）に引き渡します。
+ */
+
+class PuzzleSelectController {
+    constructor() {
+        this.store = new PuzzleLevelStore();
+        this.packs = [];
+        this.selectedPackId = null;
+
+        // DOM要素の参照
+        this.packTabsElement = document.getElementById('pack-tabs');
+        this.messageElement = document.getElementById('puzzle-message');
+        this.packSectionElement = document.getElementById('pack-section');
+        this.packNameElement = document.getElementById('pack-name');
+        this.packDescriptionElement = document.getElementById('pack-description');
+        this.packStarsElement = document.getElementById('pack-stars');
+        this.levelGridElement = document.getElementById('level-grid');
+        this.importFileElement = document.getElementById('import-pack-file');
+    }
+
+    /**
+     * 初期化処理
+     */
+    async initialize() {
+        this.initializeEventListeners();
+
+        const { packs, errors } = await this.store.loadAllPacks();
+        this.packs = packs;
+
+        if (errors.length > 0) {
+            // file://で開いた場合は同梱のパックを読み込めない
+            this.showMessage(`レベルパックを読み込めませんでした。ローカルサーバー経由で開いてください。\n` +
+                errors.map(error => `${error.url}: ${error.message}`).join('\n'));
+        }
+
+        // 結果画面から戻った場合は遊んでいたパックを表示
+        const params = new URLSearchParams(window.location.search);
+        const packId = params.get('pack');
+        this.selectPack(this.packs.some(pack => pack.id === packId) ? packId : (this.packs[0] || {}).id);
+    }
+
+    /**
+     * イベントリスナー初期化
+     */
+    initializeEventListeners() {
+        document.getElementById('back-to-game').addEventListener('click', () => {
+            window.location.href = 'index.html';
+        });
+
+        document.getElementById('import-pack').addEventListener('click', () => {
+            this.importFileElement.click();
+        });
+
+        this.importFileElement.addEventListener('change', () => {
+            const file = this.importFileElement.files[0];
+            if (file) {
+                this.importPackFile(file);
+            }
+            this.importFileElement.value = '';
+        });
+    }
+
+    /**
+     * JSONファイルからレベルパックを取り込む
+     */
+    async importPackFile(file) {
+        try {
+            const pack = this.store.importPack(JSON.parse(await file.text()));
+            this.packs = this.packs.filter(existing => existing.id !== pack.id).concat(pack);
+            this.hideMessage();
+            this.selectPack(pack.id);
+        } catch (error) {
+            console.warn('⚠️ レベルパックの取り込みに失敗:', error);
+            this.showMessage(`レベルパックを取り込めませんでした。\n${error.message}`);
+        }
+    }
+
+    /**
+     * 表示するレベルパックを切り替え
+     */
+    selectPack(packId) {
+        this.selectedPackId = packId || null;
+        this.renderTabs();
+        this.renderPack();
+    }
+
+    /**
+     * レベルパックの切り替えボタン
+     */
+    renderTabs() {
+        this.packTabsElement.innerHTML = '';
+
+        this.packs.forEach(pack => {
+            const button = document.createElement('button');
+            button.className = 'pack-tab';
+            button.classList.toggle('active', pack.id === this.selectedPackId);
+            button.textContent = pack.name;
+            button.addEventListener('click', () => this.selectPack(pack.id));
+            this.packTabsElement.appendChild(button);
+        });
+    }
+
+    /**
+     * 選択中のレベルパックのレベル一覧
+     */
+    renderPack() {
+        const pack = this.packs.find(candidate => candidate.id === this.selectedPackId);
+        this.packSectionElement.style.display = pack ? '' : 'none';
+        if (!pack) {
+            return;
+        }
+
+        this.packNameElement.textContent = pack.name;
+        this.packDescriptionElement.textContent = pack.description;
+        this.packStarsElement.textContent = `★ ${this.store.getPackStars(pack)} / ${pack.levels.length * 3}`;
+
+        this.levelGridElement.innerHTML = '';
+        pack.levels.forEach((level, index) => {
+            this.levelGridElement.appendChild(this.createLevelCard(pack, level, index));
+        });
+    }
+
+    /**
+     * レベル1つ分のカード
+     */
+    createLevelCard(pack, level, index) {
+        const progress = this.store.getProgress(pack.id, level.id);
+        const unlocked = this.store.isUnlocked(pack, index);
+
+        const card = document.createElement('div');
+        card.className = 'level-card';
+        card.classList.toggle('cleared', Boolean(progress));
+        card.classList.toggle('locked', !unlocked);
+
+        const addLine = (className, text) => {
+            const line = document.createElement('div');
+            line.className = className;
+            line.textContent = text;
+            card.appendChild(line);
+        };
+
+        addLine('level-number', unlocked ? index + 1 : '🔒');
+        addLine('level-name', level.name);
+        addLine('level-goal', PuzzleLevelStore.describeGoal(level.goal));
+        addLine('level-stars', PuzzleLevelStore.formatStars(progress ? progress.stars : 0));
+        addLine('level-best', progress ? `最少 ${progress.bestMoves}手` : '未クリア');
+
+        if (unlocked) {
+            card.addEventListener('click', () => this.playLevel(level));
+        } else {
+            card.title = '前のレベルをクリアすると挑戦できます';
+        }
+
+        return card;
+    }
+
+    /**
+     * レベルを選んでゲーム画面へ
+     */
+    playLevel(level) {
+        this.store.setCurrentLevel(level);
+        window.location.href = 'index.html?puzzle=true';
+    }
+
+    /**
+     * メッセージ表示（読み込みエラーなど）
+     */
+    showMessage(message) {
+        this.messageElement.textContent = message;
+        this.messageElement.style.display = '';
+    }
+
+    /**
+     * メッセージを非表示
+     */
+    hideMessage() {
+        this.messageElement.style.display = 'none';
+    }
+}
+
+// グローバルで利用可能にする
+window.PuzzleSelectController = PuzzleSelectController;
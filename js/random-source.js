@@ -0,0 +1,72 @@
+/**
+ * Puzzle2048 乱数ソース
+ *
+ * シード指定可能な決定論的擬似乱数生成器（Mulberry32）を提供します。
+ * 同じシードからは常に同じ乱数列が得られるため、ゲームの完全な再現が可能です。
+ */
+
+class SeededRandom {
+    /**
+     * @param {number} seed - 32bit符号なし整数のシード（省略時は自動生成）
+     */
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * 新しいシードを生成
+     * ※ Math.random()を使うのはシード生成時のみ
+     * @returns {number} 32bit符号なし整数
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * 0以上1未満の乱数を取得
+     * @returns {number}
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * 0以上max未満の整数乱数を取得
+     * @param {number} max - 上限（この値は含まない）
+     * @returns {number}
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * 内部状態を取得（保存・巻き戻し用）
+     * @returns {number}
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * 内部状態を復元
+     * @param {number} state - getState()で取得した値
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * シード値の状態に戻す
+     */
+    reset() {
+        this.state = this.seed;
+    }
+}
+
+// グローバルで利用可能にする
+window.SeededRandom = SeededRandom;
@@ -0,0 +1,320 @@
+/**
+ * Puzzle2048 リプレイビューア
+ *
+ * GameEngine.getReplayData()の手順記録からゲームを再構築し、
+ * UIControllerのタイル描画とAnimationControllerで1手ずつ再生します。
+ */
+
+class ReplayViewer {
+    /**
+     * @param {Object} replayData - GameEngine.getReplayData()の出力
+     * @param {Object} options - オプション
+     * @param {string} [options.gridElementId] - 描画先のグリッド要素ID
+     * @param {number} [options.containerSize] - グリッドの表示サイズ（px）
+     */
+    constructor(replayData, options = {}) {
+        this.replayData = replayData;
+        this.frames = ReplayViewer.buildFrames(replayData);
+        this.currentIndex = 0;
+        this.isPlaying = false;
+        this.isStepping = false;
+        this.playInterval = options.playInterval || 500; // 自動再生の1手あたりの間隔（ms）
+        this.playTimer = null;
+        this.resolvePlayWait = null;
+
+        // 表示用エンジン（フレームの状態を流し込んで描画する）
+        this.engine = new GameEngine(replayData.difficulty, {
+            customConfig: replayData.customConfig,
+            ruleVariant: replayData.ruleVariant,
+            obstacleConfig: replayData.obstacleConfig,
+            puzzle: replayData.puzzle,
+            position: replayData.position,
+            persistent: false,
+            historyLimit: 0
+        });
+        this.engine.setObstacles(replayData.obstacles || []);
+        this.ui = new UIController(this.engine, {
+            gridElementId: options.gridElementId || 'replay-grid',
+            interactive: false,
+            containerSize: options.containerSize || 360
+        });
+
+        // DOM要素の参照
+        this.playButton = document.getElementById('replay-play');
+        this.scrubElement = document.getElementById('replay-scrub');
+        this.positionElement = document.getElementById('replay-position');
+        this.scoreElement = document.getElementById('replay-score');
+    }
+
+    /**
+     * 記録から全手のフレームを構築
+     * 記録されたシードで再シミュレーションし、出現タイルは記録通りに補正する
+     * @returns {Object[]} フレーム配列（0番目が初期配置）
+     */
+    static buildFrames(replayData) {
+        const simulator = new GameEngine(replayData.difficulty, {
+            seed: replayData.seed !== null ? replayData.seed : undefined,
+            customConfig: replayData.customConfig,
+            ruleVariant: replayData.ruleVariant,
+            obstacleConfig: replayData.obstacleConfig,
+            puzzle: replayData.puzzle,
+            position: replayData.position,
+            // パズルは出現しない手があり、乱数以外の出現ポリシーは盤面から出現を決めるため、記録された出現をそのまま再生する
+            spawnSource: replayData.puzzle || (replayData.spawnPolicy && replayData.spawnPolicy !== 'random')
+                ? new ScriptedSpawnSource(replayData.spawns) : null,
+            persistent: false,
+            historyLimit: 0
+        });
+
+        // 障害物と初期配置を記録通りに置き直す
+        simulator.clearGrid();
+        simulator.setObstacles(replayData.obstacles || []);
+        replayData.initialTiles.forEach(([row, col, value, locked]) => {
+            ReplayViewer.placeTile(simulator, row, col, value, locked);
+        });
+        simulator.maxTile = Math.max(0, ...replayData.initialTiles.map(tile => tile[2]));
+
+        const directionMap = { L: 'left', R: 'right', U: 'up', D: 'down' };
+        const frames = [ReplayViewer.captureFrame(simulator, null, [])];
+
+        for (let i = 0; i < replayData.moves.length; i++) {
+            const direction = directionMap[replayData.moves[i]];
+            const result = simulator.move(direction);
+
+            if (!result.moved) {
+                console.warn(`リプレイ記録が盤面と一致しません（${i + 1}手目）`);
+                break;
+            }
+
+            // 乱数が一致しない場合に備えて出現タイルを記録で上書き
+            const recorded = replayData.spawns[i];
+            const spawned = result.spawnedTile;
+            if (recorded && (!spawned || spawned.row !== recorded[0] || spawned.col !== recorded[1] || spawned.value !== recorded[2])) {
+                if (spawned) {
+                    simulator.grid[spawned.row][spawned.col] = null;
+                }
+                ReplayViewer.placeTile(simulator, recorded[0], recorded[1], recorded[2]).isNew = true;
+                simulator.updateMaxTile(recorded[2]);
+            }
+
+            frames.push(ReplayViewer.captureFrame(simulator, direction, result.mergedTiles));
+        }
+
+        return frames;
+    }
+
+    /**
+     * シミュレータにタイルを配置
+     * @param {boolean} [locked] - ロックタイルとして置くか
+     */
+    static placeTile(engine, row, col, value, locked = false) {
+        const tile = {
+            value,
+            row,
+            col,
+            isNew: false,
+            justMerged: false,
+            id: engine.createTileId('replay')
+        };
+        if (locked) {
+            tile.locked = true;
+        }
+        engine.grid[row][col] = tile;
+        return tile;
+    }
+
+    /**
+     * 現在の盤面をフレームとして複製
+     */
+    static captureFrame(engine, direction, mergedTiles) {
+        return {
+            grid: engine.grid.map(row => row.map(tile => tile ? { ...tile } : null)),
+            score: engine.score,
+            moves: engine.moves,
+            maxTile: engine.maxTile,
+            direction,
+            mergedTileIds: mergedTiles.map(tile => tile.id)
+        };
+    }
+
+    /**
+     * 初期化（コントロールの設定と最初のフレーム表示）
+     */
+    initialize() {
+        if (this.scrubElement) {
+            this.scrubElement.max = this.frames.length - 1;
+            this.scrubElement.addEventListener('input', (event) => {
+                this.pause();
+                this.seek(parseInt(event.target.value));
+            });
+        }
+
+        const bind = (id, handler) => {
+            const element = document.getElementById(id);
+            if (element) element.addEventListener('click', handler);
+        };
+        bind('replay-play', () => this.togglePlay());
+        bind('replay-prev', () => { this.pause(); this.stepBackward(); });
+        bind('replay-next', () => { this.pause(); this.stepForward(); });
+        bind('replay-start', () => { this.pause(); this.seek(0); });
+        bind('replay-end', () => { this.pause(); this.seek(this.frames.length - 1); });
+
+        // ←→キーで1手ずつ移動
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'ArrowLeft') {
+                this.pause();
+                this.stepBackward();
+            } else if (event.key === 'ArrowRight') {
+                this.pause();
+                this.stepForward();
+            }
+        });
+
+        this.seek(0);
+    }
+
+    /**
+     * 指定フレームの状態をエンジンに反映
+     */
+    applyFrame(index) {
+        const frame = this.frames[index];
+        this.engine.grid = frame.grid.map(row => row.map(tile => tile ? { ...tile } : null));
+        this.engine.score = frame.score;
+        this.engine.moves = frame.moves;
+        this.engine.maxTile = frame.maxTile;
+        this.currentIndex = index;
+        this.updateControls();
+    }
+
+    /**
+     * 指定フレームへジャンプ（アニメーションなし）
+     */
+    seek(index) {
+        const clamped = Math.max(0, Math.min(this.frames.length - 1, index));
+        this.applyFrame(clamped);
+
+        // ジャンプ時は出現・合体エフェクトを付けずに描画
+        this.engine.grid.forEach(row => row.forEach(tile => {
+            if (tile) {
+                tile.isNew = false;
+                tile.justMerged = false;
+            }
+        }));
+        this.ui.render();
+    }
+
+    /**
+     * 1手進める（移動・合体・出現アニメーション付き）
+     */
+    async stepForward() {
+        if (this.isStepping || this.currentIndex >= this.frames.length - 1) {
+            return false;
+        }
+
+        this.isStepping = true;
+        const previousGrid = this.engine.grid.map(row => [...row]);
+        this.applyFrame(this.currentIndex + 1);
+
+        const frame = this.frames[this.currentIndex];
+        const mergedTiles = [];
+        this.engine.grid.forEach(row => row.forEach(tile => {
+            if (tile && frame.mergedTileIds.includes(tile.id)) mergedTiles.push(tile);
+        }));
+
+        await this.ui.animateMove(previousGrid, this.engine.grid);
+        this.ui.render();
+        if (mergedTiles.length > 0) {
+            await this.ui.animateMergeEffects(mergedTiles);
+        }
+        await this.ui.animateNewTiles();
+
+        this.isStepping = false;
+        return true;
+    }
+
+    /**
+     * 1手戻す
+     */
+    stepBackward() {
+        if (this.isStepping) return;
+        this.seek(this.currentIndex - 1);
+    }
+
+    /**
+     * 自動再生
+     */
+    async play() {
+        if (this.isPlaying) return;
+
+        if (this.currentIndex >= this.frames.length - 1) {
+            this.seek(0);
+        }
+
+        this.isPlaying = true;
+        this.updateControls();
+
+        while (this.isPlaying && this.currentIndex < this.frames.length - 1) {
+            await this.stepForward();
+            await new Promise(resolve => {
+                this.resolvePlayWait = resolve;
+                this.playTimer = setTimeout(resolve, this.playInterval);
+            });
+        }
+
+        this.isPlaying = false;
+        this.updateControls();
+    }
+
+    /**
+     * 一時停止
+     */
+    pause() {
+        this.isPlaying = false;
+        if (this.playTimer) {
+            clearTimeout(this.playTimer);
+            this.playTimer = null;
+        }
+        // 待機中の再生ループを終了させる
+        if (this.resolvePlayWait) {
+            this.resolvePlayWait();
+            this.resolvePlayWait = null;
+        }
+        this.updateControls();
+    }
+
+    /**
+     * 再生/一時停止の切り替え
+     */
+    togglePlay() {
+        if (this.isPlaying) {
+            this.pause();
+        } else {
+            this.play();
+        }
+    }
+
+    /**
+     * 再生位置・スコア表示の更新
+     */
+    updateControls() {
+        const frame = this.frames[this.currentIndex];
+        const arrows = { left: '←', right: '→', up: '↑', down: '↓' };
+
+        if (this.scrubElement) {
+            this.scrubElement.value = this.currentIndex;
+        }
+        if (this.positionElement) {
+            const direction = frame.direction ? ` ${arrows[frame.direction]}` : '';
+            this.positionElement.textContent = `${this.currentIndex} / ${this.frames.length - 1}手${direction}`;
+        }
+        if (this.scoreElement) {
+            this.scoreElement.textContent = frame.score.toLocaleString();
+        }
+        if (this.playButton) {
+            this.playButton.textContent = this.isPlaying ? '⏸️' : '▶️';
+        }
+    }
+}
+
+// グローバルで利用可能にする
+window.ReplayViewer = ReplayViewer;
@@ -34,9 +34,37 @@ class ResultController {
         this.loadStoredData();
         this.displayResults();
         this.generateAdvice();
+        this.initializeReplay();
         this.animateEntrance();
     }
 
+    /**
+     * リプレイビューアの初期化（記録がある場合のみ表示）
+     */
+    initializeReplay() {
+        const replaySection = document.getElementById('replay-section');
+        if (!replaySection || typeof ReplayViewer === 'undefined') {
+            return;
+        }
+
+        try {
+            const storedReplay = localStorage.getItem('puzzle2048_last_replay');
+            const replayData = storedReplay ? JSON.parse(storedReplay) : null;
+            if (!replayData || !replayData.initialTiles) {
+                return;
+            }
+
+            replaySection.style.display = 'block';
+            this.replayViewer = new ReplayViewer(replayData, {
+                containerSize: window.innerWidth <= 768 ? 300 : 360
+            });
+            this.replayViewer.initialize();
+        } catch (error) {
+            console.error('リプレイの読み込みエラー:', error);
+            replaySection.style.display = 'none';
+        }
+    }
+
     /**
      * ゲーム結果データの読み込み
      */
@@ -67,21 +95,21 @@ class ResultController {
      * 保存されたデータの読み込み
      */
     loadStoredData() {
-        // 難易度を取得
-        const difficulty = this.gameResult.difficulty || 'easy';
+        // 記録キーを取得（カスタム盤面は設定内容ごとの記録）
+        const recordKey = this.gameResult.recordKey || this.gameResult.difficulty || 'easy';
         
         // 前回スコア（難易度別）
-        const prevScore = localStorage.getItem(`puzzle2048_previous_score_${difficulty}`);
+        const prevScore = localStorage.getItem(`puzzle2048_previous_score_${recordKey}`);
         this.previousScore = prevScore ? parseInt(prevScore) : 0;
         
         // ベストスコア（難易度別）
-        const bestScore = localStorage.getItem(`puzzle2048_best_score_${difficulty}`);
+        const bestScore = localStorage.getItem(`puzzle2048_best_score_${recordKey}`);
         this.bestScore = bestScore ? parseInt(bestScore) : 0;
         
         // ベストスコア更新チェック
         if (this.gameResult.finalScore > this.bestScore) {
             this.bestScore = this.gameResult.finalScore;
-            localStorage.setItem(`puzzle2048_best_score_${difficulty}`, this.bestScore.toString());
+            localStorage.setItem(`puzzle2048_best_score_${recordKey}`, this.bestScore.toString());
         }
     }
 
@@ -89,6 +117,12 @@ class ResultController {
      * 結果表示
      */
     displayResults() {
+        // モード表示
+        const modeElement = document.getElementById('result-mode');
+        if (modeElement) {
+            modeElement.textContent = this.getModeLabel();
+        }
+        
         // スコア表示
         this.finalScoreElement.textContent = this.gameResult.finalScore.toLocaleString();
         this.previousScoreElement.textContent = this.previousScore > 0 
@@ -102,7 +136,7 @@ class ResultController {
         this.maxTileElement.textContent = this.gameResult.maxTile.toLocaleString();
         this.playTimeElement.textContent = this.formatPlayTime(this.gameResult.playTime);
         this.efficiencyElement.textContent = `${this.calculateEfficiency()}%`;
-        this.finalStatusElement.textContent = this.getStatusText(this.gameResult.status);
+        this.finalStatusElement.textContent = this.getStatusText(this.gameResult.status) + this.getChallengeText() + this.getAssistText();
 
         // スコア改善時のハイライト
         if (this.gameResult.finalScore > this.previousScore) {
@@ -110,6 +144,13 @@ class ResultController {
         }
     }
 
+    /**
+     * 難易度（カスタム盤面は設定内容）の表示名
+     */
+    getModeLabel() {
+        return this.gameResult.modeLabel || this.gameResult.difficulty || 'easy';
+    }
+
     /**
      * プレイ時間のフォーマット
      */
@@ -135,11 +176,52 @@ class ResultController {
         const statusMap = {
             'won': '🏆 勝利',
             'lost': '😅 敗北',
-            'playing': '🎮 継続中'
+            'playing': '🎮 継続中',
+            'time_up': '⏱️ タイムアップ',
+            'out_of_moves': '🚫 手数切れ'
         };
         return statusMap[status] || '🤔 不明';
     }
 
+    /**
+     * チャレンジモード・パズルの結果テキスト（通常モードは空文字）
+     */
+    getChallengeText() {
+        const result = this.gameResult;
+        const challenge = result.challenge;
+
+        if (result.puzzle) {
+            return result.status === 'won'
+                ? ` ${result.moves}手でクリア ${PuzzleLevelStore.formatStars(result.puzzle.stars)}`
+                : `（目標: ${result.puzzle.goal}）`;
+        }
+
+        if (!challenge) {
+            return '';
+        }
+
+        if (challenge.type === 'timeAttack') {
+            return ` ${challenge.minutes}分で${result.finalScore.toLocaleString()}点`;
+        }
+
+        const target = result.targetTile || challenge.target;
+        if (result.status === 'won') {
+            return ` ${result.moves}手で${target}達成（残り${result.remainingMoves}手）`;
+        }
+        return ` ${challenge.moveLimit}手で最高${result.maxTile}（目標${target}）`;
+    }
+
+    /**
+     * アシスト（アンドゥ・ヒント）使用状況のテキスト
+     * アシストを使っていないクリーンなプレイは空文字
+     */
+    getAssistText() {
+        const assists = [];
+        if (this.gameResult.undoCount > 0) assists.push(`アンドゥ${this.gameResult.undoCount}回`);
+        if (this.gameResult.hintCount > 0) assists.push(`ヒント${this.gameResult.hintCount}回`);
+        return assists.length > 0 ? `（${assists.join('・')}）` : '';
+    }
+
     /**
      * 改善アドバイス生成
      */
@@ -213,6 +295,25 @@ class ResultController {
             });
         }
 
+        // チャレンジモードのアドバイス
+        if (result.challenge && result.challenge.type === 'timeAttack') {
+            const perMinute = Math.round(result.finalScore / result.challenge.minutes);
+            advices.push({
+                type: 'normal',
+                message: `1分あたり${perMinute.toLocaleString()}点のペースやで。迷う時間を減らして手数を稼いでみ！`
+            });
+        } else if (result.status === 'out_of_moves') {
+            advices.push({
+                type: 'warning',
+                message: '手数切れやったな。合体できる手を優先して、無駄な往復を減らしてみよう。'
+            });
+        } else if (result.challenge && result.status === 'won') {
+            advices.push({
+                type: 'tip',
+                message: `残り${result.remainingMoves}手でクリアや！次はもっと少ない手数を狙ってみ！`
+            });
+        }
+
         // スコア改善アドバイス
         if (result.finalScore > this.previousScore) {
             advices.push({
@@ -281,8 +382,27 @@ class ResultController {
             this.shareResult();
         });
 
+        // 統計ボタン
+        document.getElementById('view-stats').addEventListener('click', () => {
+            this.viewStatistics();
+        });
+
+        // ゲームパッド（十字キーでボタンを移動、Aで決定、Bでもう一度プレイ）
+        this.gamepadController = new GamepadController((action) => {
+            this.handleGamepadAction(action);
+        }, {
+            buttonMap: GamepadController.MENU_BUTTON_MAP,
+            statusElement: document.getElementById('gamepad-status')
+        });
+
         // キーボードショートカット
+        // リプレイ操作・ボタン・入力欄へのキー入力（Space・Enterでのボタン操作など）は画面遷移に使わない
         document.addEventListener('keydown', (event) => {
+            const target = event.target;
+            if (target && target.closest && target.closest('#replay-section, button, input, select')) {
+                return;
+            }
+
             switch (event.key) {
                 case 'Enter':
                 case ' ':
@@ -299,6 +419,28 @@ class ResultController {
         });
     }
 
+    /**
+     * ゲームパッドの操作（決定・戻るはキーボードのEnter・Escapeと同じくもう一度プレイ）
+     * @param {string} action - 方向または 'confirm' | 'back'
+     */
+    handleGamepadAction(action) {
+        switch (action) {
+            case 'confirm':
+                if (!GamepadController.activateFocused(ResultController.GAMEPAD_FOCUS_SELECTOR)) {
+                    this.playAgain();
+                }
+                break;
+            case 'back':
+                this.playAgain();
+                break;
+            default:
+                if (!GamepadController.adjustFocused(action)) {
+                    GamepadController.moveFocus(action, ResultController.GAMEPAD_FOCUS_SELECTOR);
+                }
+                break;
+        }
+    }
+
     /**
      * ゲーム再開
      */
@@ -306,8 +448,28 @@ class ResultController {
         // 現在のスコアを前回スコアとして保存
         localStorage.setItem('puzzle2048_previous_score', this.gameResult.finalScore.toString());
         
-        // ゲーム画面に戻る
-        window.location.href = 'index.html';
+        // ゲーム画面に戻る（デイリーチャレンジはカレンダー画面、パズルはレベル選択画面、サンドボックスは盤面エディタへ）
+        if (this.gameResult.puzzle) {
+            window.location.href = `puzzle.html?pack=${encodeURIComponent(this.gameResult.puzzle.packId)}`;
+        } else if (this.gameResult.sandbox) {
+            window.location.href = 'sandbox.html';
+        } else {
+            window.location.href = this.gameResult.daily ? 'daily.html' : 'index.html';
+        }
+    }
+
+    /**
+     * 統計画面に移動（通常のゲームはその難易度を選択した状態で表示）
+     */
+    viewStatistics() {
+        // チャレンジ・デイリーなどは難易度別の集計に含まれないため全体を表示
+        if (this.gameResult.isStandardMode === false) {
+            window.location.href = 'statistics.html';
+            return;
+        }
+
+        const difficulty = this.gameResult.difficulty || 'easy';
+        window.location.href = `statistics.html?difficulty=${difficulty}`;
     }
 
     /**
@@ -351,12 +513,16 @@ class ResultController {
 ・ベストスコア: ${this.bestScore.toLocaleString()}
 
 📈 ゲーム統計
+・モード: ${this.getModeLabel()}
 ・手数: ${this.gameResult.moves.toLocaleString()}
 ・合体回数: ${this.gameResult.mergeCount.toLocaleString()}
 ・最高タイル: ${this.gameResult.maxTile.toLocaleString()}
 ・プレイ時間: ${this.formatPlayTime(this.gameResult.playTime)}
 ・効率性: ${this.calculateEfficiency()}%
-・最終状態: ${this.getStatusText(this.gameResult.status)}
+・最終状態: ${this.getStatusText(this.gameResult.status)}${this.getChallengeText()}${this.getAssistText()}${this.gameResult.seed != null ? `
+・シード: ${this.gameResult.seed}` : ''}${this.gameResult.daily ? `
+・デイリーチャレンジ: ${this.gameResult.daily.date}（${this.gameResult.daily.recorded ? '記録済み' : '練習プレイ'}）
+${DailyChallenge.formatGrid(this.gameResult.daily.grid)}` : ''}
 
 🎯 改善ポイント
 ${this.getTextAdvice()}
@@ -391,12 +557,39 @@ Generated by Puzzle2048 - BlueLamp学習プラットフォーム`;
         return advice || '・継続的な練習で集中力と論理思考を鍛えましょう';
     }
 
+    /**
+     * デイリーチャレンジのシェア用テキスト（日付と最終盤面の絵文字グリッド）
+     */
+    generateDailyShareText() {
+        const result = this.gameResult;
+        const daily = result.daily;
+        const practiceText = daily.recorded ? '' : '（練習）';
+
+        return `📅 Puzzle2048 デイリー ${daily.date}${practiceText}
+${this.getStatusText(result.status)}${this.getAssistText()} ${result.finalScore.toLocaleString()}点 | 最高タイル: ${result.maxTile} | ${result.moves}手
+${DailyChallenge.formatGrid(daily.grid)}
+#Puzzle2048Daily #Puzzle2048`;
+    }
+
+    /**
+     * パズルのシェア用テキスト（レベル名と星の数）
+     */
+    generatePuzzleShareText() {
+        return `🧩 Puzzle2048 パズル「${this.gameResult.puzzle.name}」
+${this.getStatusText(this.gameResult.status)}${this.getChallengeText()}${this.getAssistText()}
+#Puzzle2048 #脳トレ #BlueLamp`;
+    }
+
     /**
      * 結果をクリップボードにコピー
      */
     async shareResult() {
         try {
-            const shareText = `🎮 Puzzle2048で${this.gameResult.finalScore.toLocaleString()}点獲得！
+            const challengeText = this.gameResult.challenge ? `
+${this.getStatusText(this.gameResult.status)}${this.getChallengeText()}` : '';
+            const shareText = this.gameResult.daily ? this.generateDailyShareText()
+                : this.gameResult.puzzle ? this.generatePuzzleShareText()
+                : `🎮 Puzzle2048で${this.gameResult.finalScore.toLocaleString()}点獲得！${challengeText}
 最高タイル: ${this.gameResult.maxTile} | 効率性: ${this.calculateEfficiency()}%
 #Puzzle2048 #脳トレ #BlueLamp`;
 
@@ -477,6 +670,11 @@ Generated by Puzzle2048 - BlueLamp学習プラットフォーム`;
     }
 }
 
+/**
+ * ゲームパッドでフォーカスを移動できる項目（リプレイの操作とアクションボタン）
+ */
+ResultController.GAMEPAD_FOCUS_SELECTOR = '.result-main button, .result-main input[type="range"]';
+
 // トーストアニメーション追加
 const toastStyles = `
 @keyframes toast-appear {
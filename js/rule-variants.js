@@ -0,0 +1,240 @@
+/**
+ * Puzzle2048 ルールバリアント
+ *
+ * 合体・出現・勝利のルールをGameEngineから切り離し、ゲームごとに差し替えられるようにします。
+ * 各バリアントは次の項目を持ちます:
+ *   mergeSize                 1回の合体に使うタイル数（2または3）
+ *   canMerge(...values)       並んだmergeSize枚のタイル値が合体できるか
+ *   mergeValue(...values)     合体後の値（0の場合はタイルが消滅する）
+ *   scoreFor(merge)           合体 { values, value } で得られるスコア
+ *   spawnDistribution(engine) 新しいタイルの値と確率 [{ value, chance }]（エンジンの出現率設定を反映）
+ *   isVictory(value, target)  目標達成とみなすタイル値か
+ *   adjustTarget(target)      難易度の目標値をこのルールのタイル値に合わせる
+ *   tileLevel(value)          タイルの段階（最小タイルが1、表示色の決定に使用）
+ */
+
+class RuleVariants {
+    /**
+     * IDからバリアントを取得（未知のIDは通常ルール）
+     * @param {string} id - バリアントID
+     */
+    static get(id) {
+        return RuleVariants.variants[id] || RuleVariants.variants.classic;
+    }
+
+    /**
+     * 設定画面向けの一覧
+     * @returns {Object[]} [{ id, name, description }]
+     */
+    static list() {
+        return Object.values(RuleVariants.variants).map(({ id, name, description }) => ({ id, name, description }));
+    }
+
+    /**
+     * 2・4・8の出現率設定をバリアントの小・中・大のタイルに割り当てる
+     * @param {GameEngine} engine - fourProbability / eightProbability を持つエンジン
+     * @param {number[]} values - [小, 中, 大] のタイル値
+     */
+    static scaleSpawns(engine, values) {
+        return [
+            { value: values[0], chance: 1 - engine.fourProbability - engine.eightProbability },
+            { value: values[1], chance: engine.fourProbability },
+            { value: values[2], chance: engine.eightProbability }
+        ].filter(spawn => spawn.chance > 0);
+    }
+
+    /**
+     * 1列分のタイル値を先頭方向に寄せて合体（0は空きマス）
+     * GameEngine.processRowと同じ規則をタイル値だけで計算する（AIの先読み用）
+     * @returns {Object} { line, scoreGain }
+     */
+    static slideLine(values, rules) {
+        const tiles = values.filter(value => value !== 0);
+        const line = [];
+        let scoreGain = 0;
+
+        for (let i = 0; i < tiles.length; i++) {
+            const group = tiles.slice(i, i + rules.mergeSize);
+
+            if (group.length === rules.mergeSize && rules.canMerge(...group)) {
+                const value = rules.mergeValue(...group);
+                scoreGain += rules.scoreFor({ values: group, value });
+                if (value !== 0) {
+                    line.push(value);
+                }
+                i += rules.mergeSize - 1;
+            } else {
+                line.push(tiles[i]);
+            }
+        }
+
+        while (line.length < values.length) {
+            line.push(0);
+        }
+
+        return { line, scoreGain };
+    }
+
+    /**
+     * タイル値の盤面を指定方向に動かす（元の盤面は変更しない）
+     * @param {number[][]} grid - タイル値の2次元配列（空きマスは0）
+     * @param {boolean[][]|null} [blocked] - 移動を遮るマス（障害物・ロックタイル）
+     * @returns {Object} { grid, moved, scoreGain }
+     */
+    static simulateGridMove(grid, direction, rules, blocked = null) {
+        const size = grid.length;
+        const result = grid.map(row => [...row]);
+        let moved = false;
+        let scoreGain = 0;
+
+        for (let index = 0; index < size; index++) {
+            // 行・列を移動方向が先頭になる順序で取り出す
+            const cells = [];
+            for (let offset = 0; offset < size; offset++) {
+                const position = direction === 'right' || direction === 'down' ? size - 1 - offset : offset;
+                cells.push(direction === 'left' || direction === 'right' ? [index, position] : [position, index]);
+            }
+
+            // 遮るマスで区切られた区間ごとに寄せる（遮るマス自体は変化しない）
+            const segments = [[]];
+            cells.forEach(([row, col]) => {
+                if (blocked && blocked[row][col]) {
+                    segments.push([]);
+                } else {
+                    segments[segments.length - 1].push([row, col]);
+                }
+            });
+
+            segments.forEach(segment => {
+                const { line, scoreGain: lineScore } = RuleVariants.slideLine(segment.map(([row, col]) => grid[row][col]), rules);
+                scoreGain += lineScore;
+
+                segment.forEach(([row, col], offset) => {
+                    if (result[row][col] !== line[offset]) {
+                        moved = true;
+                    }
+                    result[row][col] = line[offset];
+                });
+            });
+        }
+
+        return { grid: result, moved, scoreGain };
+    }
+
+    /**
+     * 盤面（タイルまたはnullの2次元配列）に合体可能な並びがあるか
+     * 盤面が埋まっている前提で、縦横に連続するmergeSize枚を調べる（ロックタイルは合体できない）
+     */
+    static hasMergeableGroup(grid, rules) {
+        const size = grid.length;
+        const n = rules.mergeSize;
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const horizontal = [];
+                const vertical = [];
+                for (let k = 0; k < n; k++) {
+                    const right = col + k < size ? grid[row][col + k] : null;
+                    const below = row + k < size ? grid[row + k][col] : null;
+                    if (right && !right.locked) horizontal.push(right.value);
+                    if (below && !below.locked) vertical.push(below.value);
+                }
+
+                if (horizontal.length === n && rules.canMerge(...horizontal)) return true;
+                if (vertical.length === n && rules.canMerge(...vertical)) return true;
+            }
+        }
+
+        return false;
+    }
+}
+
+/**
+ * フィボナッチ数列（1, 2, 3, 5, 8, ...）とその位置
+ */
+RuleVariants.FIBONACCI = (() => {
+    const sequence = [1, 2];
+    while (sequence[sequence.length - 1] < Math.pow(2, 40)) {
+        sequence.push(sequence[sequence.length - 1] + sequence[sequence.length - 2]);
+    }
+    return sequence;
+})();
+RuleVariants.FIBONACCI_INDEX = new Map(RuleVariants.FIBONACCI.map((value, index) => [value, index]));
+
+RuleVariants.variants = {
+    classic: {
+        id: 'classic',
+        name: '通常',
+        description: '同じ数字の2枚が合体して2倍になる標準ルール',
+        mergeSize: 2,
+        canMerge: (a, b) => a === b,
+        mergeValue: (a, b) => a + b,
+        scoreFor: merge => merge.value,
+        spawnDistribution: engine => RuleVariants.scaleSpawns(engine, [2, 4, 8]),
+        isVictory: (value, target) => value >= target,
+        adjustTarget: target => target,
+        tileLevel: value => Math.log2(value)
+    },
+
+    fibonacci: {
+        id: 'fibonacci',
+        name: 'フィボナッチ',
+        description: '隣り合うフィボナッチ数（1+1, 1+2, 2+3, 3+5…）が合体',
+        mergeSize: 2,
+        canMerge: (a, b) => {
+            if (a === 1 && b === 1) return true;
+            const indexA = RuleVariants.FIBONACCI_INDEX.get(a);
+            const indexB = RuleVariants.FIBONACCI_INDEX.get(b);
+            return indexA !== undefined && indexB !== undefined && Math.abs(indexA - indexB) === 1;
+        },
+        mergeValue: (a, b) => a + b,
+        scoreFor: merge => merge.value,
+        spawnDistribution: engine => RuleVariants.scaleSpawns(engine, [1, 2, 3]),
+        isVictory: (value, target) => value >= target,
+        // 目標は通常ルールの目標以上で最小のフィボナッチ数
+        adjustTarget: target => RuleVariants.FIBONACCI.find(value => value >= target) || target,
+        tileLevel: value => (RuleVariants.FIBONACCI_INDEX.get(value) || 0) + 1
+    },
+
+    triple: {
+        id: 'triple',
+        name: '3の累乗',
+        description: '同じ数字が3枚並ぶと合体して3倍になる',
+        mergeSize: 3,
+        canMerge: (a, b, c) => a === b && b === c,
+        mergeValue: (a, b, c) => a + b + c,
+        scoreFor: merge => merge.value,
+        spawnDistribution: engine => RuleVariants.scaleSpawns(engine, [3, 9, 27]),
+        isVictory: (value, target) => value >= target,
+        // 目標は通常ルールの目標以上で最小の3の累乗
+        adjustTarget: target => Math.pow(3, Math.ceil(Math.log(target) / Math.log(3) - 1e-9)),
+        tileLevel: value => Math.round(Math.log(value) / Math.log(3))
+    },
+
+    negative: {
+        id: 'negative',
+        name: 'マイナスタイル',
+        description: 'マイナスのタイルが出現し、同じ絶対値のプラスとぶつかると消滅',
+        mergeSize: 2,
+        canMerge: (a, b) => a === b || a === -b,
+        mergeValue: (a, b) => a + b,
+        // 消滅させた場合はタイルの絶対値をスコアに加算
+        scoreFor: merge => Math.abs(merge.value || merge.values[0]),
+        spawnDistribution: engine => {
+            // 2の出現枠のうち2割を-2にする
+            const twoChance = 1 - engine.fourProbability - engine.eightProbability;
+            return [
+                { value: 2, chance: twoChance * 0.8 },
+                { value: -2, chance: twoChance * 0.2 },
+                { value: 4, chance: engine.fourProbability },
+                { value: 8, chance: engine.eightProbability }
+            ].filter(spawn => spawn.chance > 0);
+        },
+        isVictory: (value, target) => value >= target,
+        adjustTarget: target => target,
+        tileLevel: value => Math.log2(Math.abs(value))
+    }
+};
+
+// グローバルで利用可能にする
+window.RuleVariants = RuleVariants;
@@ -0,0 +1,64 @@
+/**
+ * Puzzle2048 台本どおりの出現ソース
+ *
+ * GameEngineのspawnSourceとして渡すと、新しいタイルを乱数ではなく決められた順番・位置・値で出現させます。
+ * パズルモードのレベルや、記録された出現をそのまま再生するリプレイで使用します。
+ */
+
+class ScriptedSpawnSource {
+    /**
+     * @param {Array} script - 1手ごとの出現 [row, col, value]（nullはその手では出現しない）
+     *   台本を使い切った後はタイルを出現させない
+     */
+    constructor(script = []) {
+        this.script = script;
+        this.index = 0;
+    }
+
+    /**
+     * 次の出現タイルを決定
+     * 指定のマスが埋まっている場合は、読み順（上の行から左→右）で最初の空きマスに出す
+     * @param {Object[]} emptyCells - 空きマス [{ row, col }]（読み順、1つ以上）
+     * @returns {Object|null} { row, col, value }、出現させない場合はnull
+     */
+    nextSpawn(emptyCells) {
+        if (this.index >= this.script.length) {
+            return null;
+        }
+
+        const entry = this.script[this.index++];
+        if (!entry) {
+            return null;
+        }
+
+        const [row, col, value] = entry;
+        const cell = emptyCells.find(empty => empty.row === row && empty.col === col) || emptyCells[0];
+        return { row: cell.row, col: cell.col, value };
+    }
+
+    /**
+     * 進行状態を取得（アンドゥ・保存用）
+     * @returns {number} 次に使う台本の位置
+     */
+    getState() {
+        return this.index;
+    }
+
+    /**
+     * 進行状態を復元
+     * @param {number} state - getState()で取得した値
+     */
+    setState(state) {
+        this.index = state;
+    }
+
+    /**
+     * 台本の最初に戻す
+     */
+    reset() {
+        this.index = 0;
+    }
+}
+
+// グローバルで利用可能にする
+window.ScriptedSpawnSource = ScriptedSpawnSource;
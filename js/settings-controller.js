@@ -1,7 +1,7 @@
 /**
  * Puzzle2048 設定コントローラー
  * 
- * 難易度設定、音響設定、アニメーション設定の管理
+ * 難易度設定、音響設定、アニメーション設定、キー操作の管理
  * ユーザー設定の保存・読み込み機能
  */
 
@@ -16,10 +16,37 @@ class SettingsController {
             particleEffects: true,
             autoSave: true,
             showDebug: false,
-            confirmRestart: true
+            confirmRestart: true,
+            customConfig: {
+                size: 4,
+                target: 2048,
+                fourProbability: 0.1,
+                eightProbability: 0,
+                startTiles: 2
+            },
+            ruleVariant: 'classic',
+            spawnPolicy: 'random',
+            obstacleConfig: {
+                mode: 'none',
+                count: 2,
+                pattern: 'center',
+                lockedTiles: 0
+            },
+            challenge: {
+                type: 'none',
+                minutes: 3,
+                moveLimit: 200,
+                target: 512
+            },
+            keyBindings: {
+                profile: 'arrows',
+                overrides: {}
+            }
         };
+        this.capturingAction = null; // 割り当てるキーの入力待ちの操作
         
         this.loadSettings();
+        this.keyBindings = new KeyBindings(this.settings.keyBindings);
     }
 
     /**
@@ -43,6 +70,51 @@ class SettingsController {
             });
         });
 
+        // カスタム盤面設定
+        ['custom-size', 'custom-target', 'custom-four', 'custom-eight', 'custom-start-tiles'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.updateCustomConfig();
+            });
+        });
+
+        // ルールバリアント
+        const ruleSelect = document.getElementById('rule-variant');
+        RuleVariants.list().forEach(variant => {
+            const option = document.createElement('option');
+            option.value = variant.id;
+            option.textContent = variant.name;
+            ruleSelect.appendChild(option);
+        });
+        ruleSelect.addEventListener('change', (e) => {
+            this.selectRuleVariant(e.target.value);
+        });
+
+        // タイルの出現ポリシー
+        const spawnSelect = document.getElementById('spawn-policy');
+        SpawnPolicies.list().forEach(policy => {
+            const option = document.createElement('option');
+            option.value = policy.id;
+            option.textContent = policy.name;
+            spawnSelect.appendChild(option);
+        });
+        spawnSelect.addEventListener('change', (e) => {
+            this.selectSpawnPolicy(e.target.value);
+        });
+
+        // 障害物・ロックタイル
+        ['obstacle-layout', 'obstacle-count', 'locked-tiles'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => {
+                this.updateObstacleConfig();
+            });
+        });
+
+        // チャレンジモード
+        ['challenge-type', 'time-attack-minutes', 'move-limit', 'move-target'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.updateChallenge();
+            });
+        });
+
         // 音量スライダー
         const volumeSlider = document.getElementById('volume-slider');
         const volumeValue = document.getElementById('volume-value');
@@ -80,6 +152,13 @@ class SettingsController {
         // 自動セーブ
         document.getElementById('auto-save').addEventListener('change', (e) => {
             this.settings.autoSave = e.target.checked;
+            
+            // 自動セーブを無効にしたら中断中のゲームも破棄（保存データはモードごとに分かれている）
+            if (!this.settings.autoSave) {
+                Object.keys(localStorage)
+                    .filter(key => key.startsWith('puzzle2048_last_game'))
+                    .forEach(key => localStorage.removeItem(key));
+            }
             this.saveSettings();
         });
 
@@ -95,6 +174,30 @@ class SettingsController {
             this.saveSettings();
         });
 
+        // キー操作（移動キーのプロフィールと操作ごとの割り当て）
+        const profileSelect = document.getElementById('key-profile');
+        KeyBindings.listProfiles().forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            profileSelect.appendChild(option);
+        });
+        profileSelect.addEventListener('change', (e) => {
+            this.selectKeyProfile(e.target.value);
+        });
+
+        document.getElementById('key-binding-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.toggleKeyCapture(button.dataset.action);
+            }
+        });
+
+        document.getElementById('reset-key-bindings').addEventListener('click', () => {
+            this.selectKeyProfile(this.keyBindings.profile.id);
+            this.showKeyBindingMessage('個別の変更を取り消しました');
+        });
+
         // アクションボタン
         document.getElementById('start-game').addEventListener('click', () => {
             this.startGame();
@@ -108,31 +211,72 @@ class SettingsController {
             this.backToGame();
         });
 
-        // キーボードショートカット
+        // ゲームパッド（十字キーで項目を移動、左右で値を変更、Aで決定、Bで戻る）
+        this.gamepadController = new GamepadController((action) => {
+            this.handleGamepadAction(action);
+        }, {
+            buttonMap: GamepadController.MENU_BUTTON_MAP,
+            statusElement: document.getElementById('gamepad-status')
+        });
+
+        // キーボードショートカット（割り当ては設定画面のキー操作で変更できる）
         document.addEventListener('keydown', (e) => {
-            switch (e.key) {
-                case 'Enter':
-                    this.startGame();
+            // 割り当ての変更中は押したキーをその操作に割り当てる
+            if (this.capturingAction) {
+                this.captureKey(e);
+                return;
+            }
+            
+            // 数値入力中の数字キーは難易度切り替えに使わない
+            if (e.target.type === 'number') {
+                return;
+            }
+            
+            const action = this.keyBindings.getActionForEvent(e, 'menu');
+            switch (action) {
+                case 'confirm':
+                    // ボタンにフォーカスしている場合はボタンの操作を優先
+                    if (e.target.tagName !== 'BUTTON') {
+                        this.startGame();
+                    }
                     break;
-                case 'Escape':
+                case 'back':
                     this.backToGame();
                     break;
-                case '1':
-                    this.selectDifficulty('easy');
-                    break;
-                case '2':
-                    this.selectDifficulty('normal');
-                    break;
-                case '3':
-                    this.selectDifficulty('hard');
-                    break;
-                case '4':
-                    this.selectDifficulty('expert');
+                case 'easy':
+                case 'normal':
+                case 'hard':
+                case 'expert':
+                case 'custom':
+                    this.selectDifficulty(action);
                     break;
             }
         });
     }
 
+    /**
+     * ゲームパッドの操作
+     * @param {string} action - 方向または 'confirm' | 'back'
+     */
+    handleGamepadAction(action) {
+        switch (action) {
+            case 'confirm':
+                // 項目を選んでいなければEnterキーと同じくゲーム開始
+                if (!GamepadController.activateFocused(SettingsController.GAMEPAD_FOCUS_SELECTOR)) {
+                    this.startGame();
+                }
+                break;
+            case 'back':
+                this.backToGame();
+                break;
+            default:
+                if (!GamepadController.adjustFocused(action)) {
+                    GamepadController.moveFocus(action, SettingsController.GAMEPAD_FOCUS_SELECTOR);
+                }
+                break;
+        }
+    }
+
     /**
      * 難易度選択
      */
@@ -155,10 +299,289 @@ class SettingsController {
             }, 500);
         }
         
+        // カスタム設定パネルはCustom選択時のみ表示
+        const customControls = document.getElementById('custom-controls');
+        if (customControls) {
+            customControls.style.display = difficulty === 'custom' ? 'flex' : 'none';
+        }
+        
         this.saveSettings();
         console.log(`🎯 難易度設定: ${difficulty}`);
     }
 
+    /**
+     * ルールバリアントを選択
+     */
+    selectRuleVariant(variantId) {
+        const variant = RuleVariants.get(variantId);
+        this.settings.ruleVariant = variant.id;
+        
+        document.getElementById('rule-variant').value = variant.id;
+        document.getElementById('rule-variant-desc').textContent = variant.description;
+        
+        this.saveSettings();
+        console.log(`🧩 ルール設定: ${variant.name}`);
+    }
+
+    /**
+     * タイルの出現ポリシーを選択
+     */
+    selectSpawnPolicy(policyId) {
+        const policy = SpawnPolicies.get(policyId);
+        this.settings.spawnPolicy = policy.id;
+        
+        document.getElementById('spawn-policy').value = policy.id;
+        document.getElementById('spawn-policy-desc').textContent = policy.description;
+        
+        this.saveSettings();
+        console.log(`🎲 出現設定: ${policy.name}`);
+    }
+
+    /**
+     * 移動キーのプロフィールを選択（操作ごとの変更は取り消す）
+     */
+    selectKeyProfile(profileId) {
+        this.keyBindings.setProfile(profileId);
+        this.capturingAction = null;
+        this.settings.keyBindings = this.keyBindings.toJSON();
+        
+        this.updateKeyBindingsDisplay();
+        this.saveSettings();
+        console.log(`⌨️ キー操作: ${this.keyBindings.profile.name}`);
+    }
+
+    /**
+     * 操作の割り当てキーの入力待ちを開始（入力待ちの操作をもう一度押した場合は取り消し）
+     */
+    toggleKeyCapture(action) {
+        if (this.capturingAction === action) {
+            this.capturingAction = null;
+            this.showKeyBindingMessage('');
+        } else {
+            this.capturingAction = action;
+            this.showKeyBindingMessage(`「${KeyBindings.getAction(action).name}」に割り当てるキーを押してください（もう一度クリックで取り消し）`);
+        }
+        this.updateKeyBindingsDisplay();
+    }
+
+    /**
+     * 入力待ちの操作に押されたキーを割り当てる
+     * 同じ画面の別の操作と重なる場合は、その操作と割り当てを入れ替える
+     */
+    captureKey(event) {
+        // 修飾キー単体（Shiftを押しながら?を入力する途中など）・ショートカットは入力待ちを続ける
+        if (['Shift', 'Control', 'Alt', 'Meta'].includes(event.key) || event.ctrlKey || event.altKey || event.metaKey) {
+            return;
+        }
+        event.preventDefault();
+        
+        const action = KeyBindings.getAction(this.capturingAction);
+        const key = KeyBindings.getKeyId(event);
+        this.capturingAction = null;
+        
+        if (!KeyBindings.isBindable(key)) {
+            this.showKeyBindingMessage(`⚠️ ${KeyBindings.formatKey(key)} は割り当てられません`, true);
+            this.updateKeyBindingsDisplay();
+            return;
+        }
+        
+        const previousKey = this.keyBindings.getKey(action.id);
+        const swapped = this.keyBindings.assign(action.id, key);
+        this.settings.keyBindings = this.keyBindings.toJSON();
+        this.saveSettings();
+        
+        if (swapped) {
+            const swappedName = KeyBindings.getAction(swapped).name;
+            this.showKeyBindingMessage(
+                `⚠️ ${KeyBindings.formatKey(key)} は「${swappedName}」に使われていたため、「${swappedName}」を ${KeyBindings.formatKey(previousKey)} に入れ替えました`,
+                true
+            );
+        } else {
+            this.showKeyBindingMessage(`「${action.name}」を ${KeyBindings.formatKey(key)} に変更しました`);
+        }
+        this.updateKeyBindingsDisplay();
+        console.log(`⌨️ キー割り当て: ${action.name} = ${KeyBindings.formatKey(key)}${swapped ? ` (${swapped}と入れ替え)` : ''}`);
+    }
+
+    /**
+     * キー操作の表示を更新（画面ごとの操作と割り当てキーの一覧）
+     */
+    updateKeyBindingsDisplay() {
+        const profile = this.keyBindings.profile;
+        document.getElementById('key-profile').value = profile.id;
+        document.getElementById('key-profile-desc').textContent = profile.description;
+        
+        // 一覧を作り直してもフォーカスしていた操作のボタンにフォーカスを戻す
+        const listElement = document.getElementById('key-binding-list');
+        const focusedAction = listElement.contains(document.activeElement) ? document.activeElement.dataset.action : null;
+        listElement.innerHTML = '';
+        
+        Object.entries(KeyBindings.CONTEXTS).forEach(([context, contextName]) => {
+            const heading = document.createElement('div');
+            heading.className = 'key-binding-heading';
+            heading.textContent = contextName;
+            listElement.appendChild(heading);
+            
+            KeyBindings.listActions(context).forEach(action => {
+                const item = document.createElement('div');
+                item.className = 'key-binding-item';
+                
+                const label = document.createElement('span');
+                label.textContent = action.name;
+                
+                const button = document.createElement('button');
+                button.className = 'key-binding-btn';
+                button.dataset.action = action.id;
+                button.classList.toggle('customized', action.id in this.keyBindings.overrides);
+                button.classList.toggle('capturing', action.id === this.capturingAction);
+                button.textContent = action.id === this.capturingAction
+                    ? 'キーを押す…'
+                    : KeyBindings.formatKey(this.keyBindings.getKey(action.id));
+                
+                item.append(label, button);
+                listElement.appendChild(item);
+                
+                if (action.id === focusedAction) {
+                    button.focus();
+                }
+            });
+        });
+    }
+
+    /**
+     * キー操作の変更結果を表示
+     * @param {string} text - 表示する文言（空文字で非表示）
+     * @param {boolean} [warning] - 割り当ての重なりなどの注意表示にする
+     */
+    showKeyBindingMessage(text, warning = false) {
+        const messageElement = document.getElementById('key-binding-message');
+        messageElement.textContent = text;
+        messageElement.classList.toggle('warning', warning);
+    }
+
+    /**
+     * 障害物設定を入力欄から読み取って保存
+     * レイアウトの選択肢は「なし」「ランダム」以外は配置パターン名
+     */
+    updateObstacleConfig() {
+        const layout = document.getElementById('obstacle-layout').value;
+        const lockedTiles = parseInt(document.getElementById('locked-tiles').value) || 0;
+        
+        this.settings.obstacleConfig = {
+            mode: layout === 'none' || layout === 'random' ? layout : 'pattern',
+            count: parseInt(document.getElementById('obstacle-count').value),
+            pattern: layout === 'none' || layout === 'random' ? this.settings.obstacleConfig.pattern : layout,
+            lockedTiles: Math.max(0, Math.min(4, lockedTiles))
+        };
+        
+        this.updateObstacleDisplay();
+        this.saveSettings();
+        console.log(`🪨 障害物設定: ${layout}`, this.settings.obstacleConfig);
+    }
+
+    /**
+     * 障害物設定の入力欄を更新（数の指定はランダム配置のときのみ表示）
+     */
+    updateObstacleDisplay() {
+        const config = this.settings.obstacleConfig;
+        const layout = config.mode === 'pattern' ? config.pattern : config.mode;
+        
+        document.getElementById('obstacle-layout').value = layout;
+        document.getElementById('obstacle-count').value = config.count;
+        document.getElementById('obstacle-count-value').textContent = `${config.count}個`;
+        document.getElementById('obstacle-count-item').style.display = config.mode === 'random' ? 'flex' : 'none';
+        document.getElementById('locked-tiles').value = config.lockedTiles;
+    }
+
+    /**
+     * チャレンジモード設定を入力欄から読み取って保存
+     */
+    updateChallenge() {
+        this.settings.challenge = {
+            type: document.getElementById('challenge-type').value,
+            minutes: parseInt(document.getElementById('time-attack-minutes').value),
+            moveLimit: parseInt(document.getElementById('move-limit').value),
+            target: parseInt(document.getElementById('move-target').value)
+        };
+        
+        this.updateChallengeDisplay();
+        this.saveSettings();
+        console.log(`⏱️ チャレンジモード: ${this.settings.challenge.type}`);
+    }
+
+    /**
+     * チャレンジモードの入力欄と説明を更新（選択中のモードの項目のみ表示）
+     */
+    updateChallengeDisplay() {
+        const challenge = this.settings.challenge;
+        const descriptions = {
+            none: '盤面が埋まるまで続く通常のゲーム',
+            timeAttack: `${challenge.minutes}分間でどこまでスコアを伸ばせるかに挑戦`,
+            moveLimit: `${challenge.moveLimit}手以内に${challenge.target}タイルを作ればクリア`
+        };
+        
+        document.getElementById('challenge-type').value = challenge.type;
+        document.getElementById('time-attack-minutes').value = challenge.minutes;
+        document.getElementById('move-limit').value = challenge.moveLimit;
+        document.getElementById('move-target').value = challenge.target;
+        document.getElementById('time-attack-item').style.display = challenge.type === 'timeAttack' ? 'flex' : 'none';
+        document.getElementById('move-limit-item').style.display = challenge.type === 'moveLimit' ? 'flex' : 'none';
+        document.getElementById('move-target-item').style.display = challenge.type === 'moveLimit' ? 'flex' : 'none';
+        document.getElementById('challenge-desc').textContent = descriptions[challenge.type] || descriptions.none;
+    }
+
+    /**
+     * カスタム盤面設定を入力欄から読み取って保存
+     */
+    updateCustomConfig() {
+        const size = parseInt(document.getElementById('custom-size').value);
+        const eightPercent = parseInt(document.getElementById('custom-eight').value);
+        const fourSlider = document.getElementById('custom-four');
+        const startTilesInput = document.getElementById('custom-start-tiles');
+        
+        // 4と8の出現率の合計は100%まで
+        fourSlider.max = 100 - eightPercent;
+        const fourPercent = Math.min(parseInt(fourSlider.value), 100 - eightPercent);
+        
+        // 初期タイル数は盤面のマス数未満
+        startTilesInput.max = size * size - 1;
+        const startTiles = Math.max(1, Math.min(parseInt(startTilesInput.value) || 2, size * size - 1));
+        
+        this.settings.customConfig = {
+            size,
+            target: parseInt(document.getElementById('custom-target').value),
+            fourProbability: fourPercent / 100,
+            eightProbability: eightPercent / 100,
+            startTiles
+        };
+        
+        this.updateCustomDisplay();
+        this.saveSettings();
+    }
+
+    /**
+     * カスタム設定の入力欄とカード表示を更新
+     */
+    updateCustomDisplay() {
+        const config = this.settings.customConfig;
+        const fourPercent = Math.round(config.fourProbability * 100);
+        const eightPercent = Math.round(config.eightProbability * 100);
+        
+        document.getElementById('custom-size').value = config.size;
+        document.getElementById('custom-size-value').textContent = `${config.size}×${config.size}`;
+        document.getElementById('custom-target').value = config.target;
+        document.getElementById('custom-four').max = 100 - eightPercent;
+        document.getElementById('custom-four').value = fourPercent;
+        document.getElementById('custom-four-value').textContent = `${fourPercent}%`;
+        document.getElementById('custom-eight').value = eightPercent;
+        document.getElementById('custom-eight-value').textContent = `${eightPercent}%`;
+        document.getElementById('custom-start-tiles').max = config.size * config.size - 1;
+        document.getElementById('custom-start-tiles').value = config.startTiles;
+        
+        document.getElementById('custom-desc').innerHTML = `${config.size}×${config.size}グリッド<br>初期${config.startTiles}枚・4: ${fourPercent}%・8: ${eightPercent}%`;
+        document.getElementById('custom-target-label').textContent = `目標: ${config.target}`;
+    }
+
     /**
      * 表示内容の更新
      */
@@ -166,6 +589,24 @@ class SettingsController {
         // 難易度選択状態
         this.selectDifficulty(this.settings.difficulty);
         
+        // カスタム盤面設定
+        this.updateCustomDisplay();
+        
+        // ルールバリアント
+        this.selectRuleVariant(this.settings.ruleVariant);
+        
+        // タイルの出現ポリシー
+        this.selectSpawnPolicy(this.settings.spawnPolicy);
+        
+        // 障害物
+        this.updateObstacleDisplay();
+        
+        // チャレンジモード
+        this.updateChallengeDisplay();
+        
+        // キー操作
+        this.updateKeyBindingsDisplay();
+        
         // 音量設定
         document.getElementById('volume-slider').value = this.settings.volume;
         document.getElementById('volume-value').textContent = `${this.settings.volume}%`;
@@ -213,7 +654,8 @@ class SettingsController {
             muted: this.settings.muted,
             animationSpeed: this.settings.animationSpeed,
             particleEffects: this.settings.particleEffects,
-            showDebug: this.settings.showDebug
+            showDebug: this.settings.showDebug,
+            newGame: true
         });
         
         window.location.href = `index.html?${params.toString()}`;
@@ -242,8 +684,35 @@ class SettingsController {
                 particleEffects: true,
                 autoSave: true,
                 showDebug: false,
-                confirmRestart: true
+                confirmRestart: true,
+                customConfig: {
+                    size: 4,
+                    target: 2048,
+                    fourProbability: 0.1,
+                    eightProbability: 0,
+                    startTiles: 2
+                },
+                ruleVariant: 'classic',
+                spawnPolicy: 'random',
+                obstacleConfig: {
+                    mode: 'none',
+                    count: 2,
+                    pattern: 'center',
+                    lockedTiles: 0
+                },
+                challenge: {
+                    type: 'none',
+                    minutes: 3,
+                    moveLimit: 200,
+                    target: 512
+                },
+                keyBindings: {
+                    profile: 'arrows',
+                    overrides: {}
+                }
             };
+            this.keyBindings = new KeyBindings(this.settings.keyBindings);
+            this.capturingAction = null;
             
             this.saveSettings();
             this.updateDisplay();
@@ -301,6 +770,11 @@ class SettingsController {
             expert: { size: 8, target: 16384, name: 'Expert', description: 'エキスパート向けの8×8グリッド' }
         };
         
+        if (difficulty === 'custom') {
+            const { size, target } = this.settings.customConfig;
+            return { size, target, name: 'Custom', description: `自由設定の${size}×${size}グリッド` };
+        }
+        
         return configs[difficulty] || configs.easy;
     }
 
@@ -312,5 +786,10 @@ class SettingsController {
     }
 }
 
+/**
+ * ゲームパッドでフォーカスを移動できる項目
+ */
+SettingsController.GAMEPAD_FOCUS_SELECTOR = '.difficulty-card, .settings-main select, .settings-main input, .settings-main button, .settings-actions button';
+
 // グローバルで利用可能にする
 window.SettingsController = SettingsController;
\ No newline at end of file
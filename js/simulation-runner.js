@@ -0,0 +1,171 @@
+/**
+ * Puzzle2048 AIシミュレーションランナー
+ *
+ * DOMや待機時間を使わずにGameEngineを直接操作してDemoAIの戦略を対戦させ、
+ * 勝率・スコア分布・最高タイル分布・処理速度を集計します。
+ * 同じシード列を全戦略で共有するため、戦略同士を公平に比較できます。
+ */
+
+class SimulationRunner {
+    /**
+     * @param {Object} options - 実行設定
+     * @param {number} [options.games] - 戦略×難易度ごとの対局数
+     * @param {number} [options.baseSeed] - 最初の対局のシード（以降+1ずつ）
+     * @param {number} [options.maxMoves] - 1局あたりの最大手数（無限ループ防止）
+     * @param {string[]} [options.strategies] - 比較する戦略
+     * @param {string[]} [options.difficulties] - 対象の難易度
+     * @param {Function} [options.onProgress] - 1局終了ごとの進捗コールバック
+     */
+    constructor(options = {}) {
+        this.games = options.games || 10;
+        this.baseSeed = options.baseSeed !== undefined ? options.baseSeed : 1;
+        this.maxMoves = options.maxMoves || 20000;
+        this.strategies = options.strategies || ['corner', 'aggressive', 'balanced'];
+        this.difficulties = options.difficulties || ['easy'];
+        this.onProgress = options.onProgress || null;
+        this.isCancelled = false;
+    }
+
+    /**
+     * 全ての戦略×難易度の組み合わせを実行
+     * @returns {Promise<Object[]>} 組み合わせごとの集計結果
+     */
+    async run() {
+        this.isCancelled = false;
+        const reports = [];
+        const total = this.difficulties.length * this.strategies.length * this.games;
+        let completed = 0;
+
+        for (const difficulty of this.difficulties) {
+            for (const strategy of this.strategies) {
+                const results = [];
+
+                for (let i = 0; i < this.games; i++) {
+                    if (this.isCancelled) {
+                        return reports;
+                    }
+
+                    results.push(this.playGame(strategy, difficulty, this.baseSeed + i));
+                    completed++;
+
+                    if (this.onProgress) {
+                        this.onProgress({ completed, total, strategy, difficulty, result: results[results.length - 1] });
+                    }
+
+                    // 長時間の計算でブラウザを固めないよう1局ごとに制御を返す
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+
+                reports.push(this.summarize(strategy, difficulty, results));
+            }
+        }
+
+        return reports;
+    }
+
+    /**
+     * 実行を中断（実行中の対局が終わった時点で停止）
+     */
+    cancel() {
+        this.isCancelled = true;
+    }
+
+    /**
+     * 1局をヘッドレスで最後までプレイ
+     * @returns {Object} 対局結果 { seed, score, maxTile, moves, won, durationMs }
+     */
+    playGame(strategy, difficulty, seed) {
+        const engine = new GameEngine(difficulty, { seed, persistent: false, historyLimit: 0 });
+        const ai = new DemoAI(engine, { verbose: false });
+        ai.strategy = strategy;
+
+        const startTime = performance.now();
+
+        while (!engine.gameOver && engine.moves < this.maxMoves) {
+            const move = ai.selectBestMove();
+            if (!move) break;
+
+            const result = engine.move(move, false);
+            if (!result.moved) break; // AIが無効手を返した場合の安全策
+        }
+
+        return {
+            seed,
+            score: engine.score,
+            maxTile: engine.maxTile,
+            moves: engine.moves,
+            won: engine.maxTile >= engine.targetTile,
+            durationMs: performance.now() - startTime
+        };
+    }
+
+    /**
+     * 対局結果を集計
+     */
+    summarize(strategy, difficulty, results) {
+        const scores = results.map(result => result.score).sort((a, b) => a - b);
+        const totalMoves = results.reduce((sum, result) => sum + result.moves, 0);
+        const totalDurationMs = results.reduce((sum, result) => sum + result.durationMs, 0);
+        const wins = results.filter(result => result.won).length;
+
+        // 最高タイル分布（タイル値 -> 回数）
+        const maxTileDistribution = {};
+        results.forEach(result => {
+            maxTileDistribution[result.maxTile] = (maxTileDistribution[result.maxTile] || 0) + 1;
+        });
+
+        return {
+            strategy,
+            difficulty,
+            games: results.length,
+            wins,
+            winRate: results.length > 0 ? wins / results.length : 0,
+            averageScore: results.length > 0 ? Math.round(scores.reduce((sum, score) => sum + score, 0) / results.length) : 0,
+            scorePercentiles: {
+                min: scores[0] || 0,
+                p25: SimulationRunner.percentile(scores, 25),
+                p50: SimulationRunner.percentile(scores, 50),
+                p75: SimulationRunner.percentile(scores, 75),
+                p90: SimulationRunner.percentile(scores, 90),
+                max: scores[scores.length - 1] || 0
+            },
+            maxTileDistribution,
+            averageMoves: results.length > 0 ? Math.round(totalMoves / results.length) : 0,
+            movesPerSecond: totalDurationMs > 0 ? Math.round(totalMoves / (totalDurationMs / 1000)) : 0,
+            results
+        };
+    }
+
+    /**
+     * ソート済み配列のパーセンタイル値（最近傍順位法）
+     */
+    static percentile(sortedValues, percent) {
+        if (sortedValues.length === 0) return 0;
+        const rank = Math.ceil((percent / 100) * sortedValues.length);
+        return sortedValues[Math.max(0, Math.min(sortedValues.length - 1, rank - 1))];
+    }
+
+    /**
+     * console.table向けの1行1組み合わせの表に変換
+     */
+    static toTable(reports) {
+        return reports.map(report => ({
+            難易度: report.difficulty,
+            戦略: report.strategy,
+            対局数: report.games,
+            勝率: `${Math.round(report.winRate * 1000) / 10}%`,
+            平均スコア: report.averageScore,
+            中央値: report.scorePercentiles.p50,
+            p90: report.scorePercentiles.p90,
+            最高タイル分布: Object.keys(report.maxTileDistribution)
+                .sort((a, b) => b - a)
+                .map(tile => `${tile}×${report.maxTileDistribution[tile]}`)
+                .join(' '),
+            平均手数: report.averageMoves,
+            '手/秒': report.movesPerSecond
+        }));
+    }
+}
+
+// グローバルで利用可能にする
+window.SimulationRunner = SimulationRunner;
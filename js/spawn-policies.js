@@ -0,0 +1,272 @@
+/**
+ * Puzzle2048 タイル出現ポリシー
+ *
+ * 新しいタイルをどの空きマスにどの値で出すかをGameEngineから切り離し、ゲームごとに差し替えられるようにします。
+ * 各ポリシーは次の項目を持ちます:
+ *   pickSpawn(engine, emptyCells)  出現させるタイル { row, col, value }（emptyCellsは読み順の空きマス）
+ *
+ * random は乱数で決める通常の出現、evil と kind は出現候補（空きマス×出現しうる値）ごとに
+ * プレイヤーの最善の応手を浅く先読みし、evil はそれが最も悪くなる候補、kind は最も良くなる候補を選びます。
+ * 先読みは時間制限つきの反復深化で、制限時間内に読み切った最も深い結果を使います（8×8でも操作が重くならないように）。
+ */
+
+class SpawnPolicies {
+    /**
+     * IDからポリシーを取得（未知のIDは通常の出現）
+     * @param {string} id - ポリシーID
+     */
+    static get(id) {
+        return SpawnPolicies.policies[id] || SpawnPolicies.policies.random;
+    }
+
+    /**
+     * 設定画面向けの一覧
+     * @returns {Object[]} [{ id, name, description }]
+     */
+    static list() {
+        return Object.values(SpawnPolicies.policies).map(({ id, name, description }) => ({ id, name, description }));
+    }
+
+    /**
+     * ランダムな空きマスに出現確率の設定どおりの値を出す
+     * ※ 乱数の使い方はポリシー導入前のGameEngine.pickSpawnと同じ（同じシードで同じゲームになる）
+     */
+    static pickRandom(engine, emptyCells) {
+        const { row, col } = emptyCells[engine.randomInt(emptyCells.length)];
+        return { row, col, value: engine.pickSpawnValue() };
+    }
+
+    /**
+     * 出現候補を先読みで評価して選ぶ
+     * @param {GameEngine} engine - 出現させるエンジン
+     * @param {Object[]} emptyCells - 空きマス [{ row, col }]（1つ以上）
+     * @param {number} sign - -1: プレイヤーに不利な候補（evil）、1: 有利な候補（kind）
+     * @returns {Object} { row, col, value }
+     */
+    static pickBySearch(engine, emptyCells, sign) {
+        const search = SpawnPolicies.createSearch(engine, sign);
+        const root = search.fromEngine();
+        const candidates = [];
+        emptyCells.forEach(({ row, col }) => {
+            search.values.forEach(value => candidates.push({ row, col, value }));
+        });
+
+        // 反復深化：深さ1は必ず読み切り、それ以降は時間内に読み切れた深さの結果だけを採用する
+        let best = SpawnPolicies.searchRoot(search, root, candidates, 1);
+        search.deadline = performance.now() + SpawnPolicies.TIME_BUDGET;
+
+        for (let depth = 2; depth <= SpawnPolicies.MAX_DEPTH; depth++) {
+            const result = SpawnPolicies.searchRoot(search, root, candidates, depth);
+            if (search.aborted) break;
+            best = result;
+        }
+
+        return best;
+    }
+
+    /**
+     * 指定深さで全候補を評価し、signの向きで最も良い候補を返す（同点は読み順で先の候補）
+     */
+    static searchRoot(search, root, candidates, depth) {
+        let best = candidates[0];
+        let bestValue = -Infinity;
+
+        for (const candidate of candidates) {
+            const board = search.place(root, candidate.row, candidate.col, candidate.value);
+            const value = search.sign * SpawnPolicies.playerNode(search, board, depth);
+            if (search.aborted) break;
+
+            if (value > bestValue) {
+                bestValue = value;
+                best = candidate;
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * プレイヤーの手番（最善の方向を選ぶ）
+     * @returns {number} 最善の応手の評価値（動かせない場合はゲームオーバーとして大きく減点）
+     */
+    static playerNode(search, board, depth) {
+        // 制限時間を過ぎたら打ち切り（時刻の取得は64ノードごと）
+        if (search.deadline && (++search.nodes & 63) === 0 && performance.now() > search.deadline) {
+            search.aborted = true;
+        }
+        if (search.aborted) {
+            return 0;
+        }
+
+        let bestValue = -Infinity;
+
+        for (const direction of SpawnPolicies.DIRECTIONS) {
+            const { board: nextBoard, moved, scoreGain } = search.move(board, direction);
+            if (!moved) continue;
+
+            const value = scoreGain + (depth <= 1 ? search.evaluate(nextBoard) : SpawnPolicies.spawnNode(search, nextBoard, depth - 1));
+            if (value > bestValue) {
+                bestValue = value;
+            }
+        }
+
+        return bestValue === -Infinity ? SpawnPolicies.GAME_OVER_VALUE : bestValue;
+    }
+
+    /**
+     * 出現側の手番（evilは評価値が最小、kindは最大になる候補を選ぶ）
+     */
+    static spawnNode(search, board, depth) {
+        const emptyCells = search.getEmptyCells(board);
+        if (emptyCells.length === 0) {
+            return search.evaluate(board);
+        }
+
+        let bestValue = -Infinity;
+        for (const { row, col } of emptyCells) {
+            for (const tileValue of search.values) {
+                const value = search.sign * SpawnPolicies.playerNode(search, search.place(board, row, col, tileValue), depth);
+                if (value > bestValue) {
+                    bestValue = value;
+                }
+            }
+            if (search.aborted) break;
+        }
+
+        return search.sign * bestValue;
+    }
+
+    /**
+     * 先読み用の盤面操作一式を作成
+     * 通常ルール・移動を遮るマスなしはFastBoard、それ以外はタイル値の2次元配列でRuleVariantsの移動を使う
+     */
+    static createSearch(engine, sign) {
+        const search = {
+            sign,
+            values: engine.getSpawnDistribution().map(spawn => spawn.value),
+            deadline: 0,
+            aborted: false,
+            nodes: 0
+        };
+        const rules = engine.rules;
+        const blocked = engine.getBlockedCells();
+
+        if (rules.id === 'classic' && !blocked && typeof FastBoard !== 'undefined') {
+            return Object.assign(search, {
+                fromEngine: () => FastBoard.fromGrid(engine.grid),
+                move: (board, direction) => FastBoard.simulateMove(board, direction),
+                place: (board, row, col, value) => FastBoard.setCell(board, row, col, Math.log2(value)),
+                getEmptyCells: board => FastBoard.getEmptyCells(board).map(index => ({
+                    row: Math.floor(index / board.size),
+                    col: index % board.size
+                })),
+                evaluate: board => SpawnPolicies.evaluateLevels(FastBoard.toCells(board), board.size)
+            });
+        }
+
+        // 障害物は段階-1として評価から除く（ロックタイルは解除を考えずにその場に固定されたものとして読む）
+        const size = engine.gridSize;
+        return Object.assign(search, {
+            fromEngine: () => engine.grid.map(row => row.map(tile => tile ? tile.value : 0)),
+            move: (grid, direction) => {
+                const { grid: board, moved, scoreGain } = RuleVariants.simulateGridMove(grid, direction, rules, blocked);
+                return { board, moved, scoreGain };
+            },
+            place: (grid, row, col, value) => {
+                const placed = grid.map(line => [...line]);
+                placed[row][col] = value;
+                return placed;
+            },
+            getEmptyCells: grid => {
+                const emptyCells = [];
+                grid.forEach((line, row) => line.forEach((value, col) => {
+                    if (value === 0 && !(blocked && blocked[row][col])) emptyCells.push({ row, col });
+                }));
+                return emptyCells;
+            },
+            evaluate: grid => SpawnPolicies.evaluateLevels(grid.flatMap((line, row) => line.map((value, col) => {
+                if (value !== 0) return rules.tileLevel(value);
+                return blocked && blocked[row][col] ? -1 : 0;
+            })), size)
+        });
+    }
+
+    /**
+     * 盤面の評価（空きマス・隣り合う同じ段階のタイル・隣接する段階の差）
+     * @param {ArrayLike<number>} levels - 行優先のタイルの段階（0は空きマス、負値は障害物）
+     * @param {number} size - 盤面サイズ
+     */
+    static evaluateLevels(levels, size) {
+        const weights = SpawnPolicies.EVALUATION_WEIGHTS;
+        let emptyTiles = 0;
+        let mergeablePairs = 0;
+        let smoothness = 0;
+
+        for (let row = 0; row < size; row++) {
+            for (let col = 0; col < size; col++) {
+                const level = levels[row * size + col];
+                if (level === 0) {
+                    emptyTiles++;
+                    continue;
+                }
+                if (level < 0) continue;
+
+                // 右と下の隣だけを見る（各ペアを1回ずつ数える）
+                const right = col < size - 1 ? levels[row * size + col + 1] : 0;
+                const below = row < size - 1 ? levels[(row + 1) * size + col] : 0;
+                if (right > 0) {
+                    if (right === level) mergeablePairs++;
+                    smoothness -= Math.abs(level - right);
+                }
+                if (below > 0) {
+                    if (below === level) mergeablePairs++;
+                    smoothness -= Math.abs(level - below);
+                }
+            }
+        }
+
+        return emptyTiles * weights.empty + mergeablePairs * weights.mergeable + smoothness * weights.smoothness;
+    }
+}
+
+SpawnPolicies.DIRECTIONS = ['left', 'right', 'up', 'down'];
+
+/**
+ * 先読みの設定
+ * TIME_BUDGET: 深さ2以降の探索に使う1回の出現あたりの時間（ミリ秒）
+ * MAX_DEPTH: 先読みするプレイヤーの手数の上限
+ */
+SpawnPolicies.TIME_BUDGET = 40;
+SpawnPolicies.MAX_DEPTH = 3;
+SpawnPolicies.GAME_OVER_VALUE = -1000000;
+SpawnPolicies.EVALUATION_WEIGHTS = {
+    empty: 270,
+    mergeable: 100,
+    smoothness: 10
+};
+
+SpawnPolicies.policies = {
+    random: {
+        id: 'random',
+        name: 'ランダム',
+        description: '空きマスのどこかに乱数で2か4が出現する通常のルール',
+        pickSpawn: (engine, emptyCells) => SpawnPolicies.pickRandom(engine, emptyCells)
+    },
+
+    evil: {
+        id: 'evil',
+        name: '意地悪',
+        description: 'プレイヤーが最も困る位置と値を先読みして出現させる',
+        pickSpawn: (engine, emptyCells) => SpawnPolicies.pickBySearch(engine, emptyCells, -1)
+    },
+
+    kind: {
+        id: 'kind',
+        name: 'お助け',
+        description: 'プレイヤーに最も都合のよい位置と値を先読みして出現させる',
+        pickSpawn: (engine, emptyCells) => SpawnPolicies.pickBySearch(engine, emptyCells, 1)
+    }
+};
+
+// グローバルで利用可能にする
+window.SpawnPolicies = SpawnPolicies;
@@ -0,0 +1,288 @@
+/**
+ * Puzzle2048 統計画面制御
+ *
+ * GameHistoryStoreの記録を難易度別に集計し、
+ * スコア推移・最高タイル分布・勝率・平均プレイ時間をCanvasのグラフで表示します。
+ */
+
+class StatisticsController {
+    constructor() {
+        this.history = new GameHistoryStore();
+        this.selectedDifficulty = null; // nullは全難易度
+        this.difficulties = ['easy', 'normal', 'hard', 'expert', 'custom'];
+        this.difficultyNames = { easy: 'Easy', normal: 'Normal', hard: 'Hard', expert: 'Expert', custom: 'Custom' };
+
+        // グラフの配色
+        this.colors = {
+            primary: '#00b894',
+            accent: '#fdcb6e',
+            muted: '#b2bec3',
+            grid: '#dfe6e9',
+            text: '#636e72'
+        };
+
+        // DOM要素の参照
+        this.filterButtons = document.querySelectorAll('.filter-btn');
+        this.emptyMessageElement = document.getElementById('stats-empty');
+        this.chartsElement = document.getElementById('stats-charts');
+        this.scoreCanvas = document.getElementById('score-chart');
+        this.tileCanvas = document.getElementById('tile-chart');
+        this.winRateCanvas = document.getElementById('winrate-chart');
+        this.playTimeCanvas = document.getElementById('playtime-chart');
+    }
+
+    /**
+     * 初期化処理
+     */
+    initialize() {
+        this.initializeEventListeners();
+
+        // 結果画面から来た場合はそのゲームの難易度を初期表示
+        const params = new URLSearchParams(window.location.search);
+        const difficulty = params.get('difficulty');
+        this.selectDifficulty(this.difficulties.includes(difficulty) ? difficulty : null);
+    }
+
+    /**
+     * イベントリスナー初期化
+     */
+    initializeEventListeners() {
+        this.filterButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.selectDifficulty(button.dataset.difficulty || null);
+            });
+        });
+
+        document.getElementById('clear-history').addEventListener('click', () => {
+            if (confirm('プレイ履歴をすべて削除しますか？')) {
+                this.history.clear();
+                this.render();
+            }
+        });
+
+        document.getElementById('back-to-game').addEventListener('click', () => {
+            window.location.href = 'index.html';
+        });
+
+        // ウィンドウサイズに合わせてグラフを描き直す
+        window.addEventListener('resize', () => this.render());
+    }
+
+    /**
+     * 表示する難易度を切り替え
+     */
+    selectDifficulty(difficulty) {
+        this.selectedDifficulty = difficulty;
+
+        this.filterButtons.forEach(button => {
+            button.classList.toggle('active', (button.dataset.difficulty || null) === difficulty);
+        });
+
+        this.render();
+    }
+
+    /**
+     * 集計値とグラフを描画
+     */
+    render() {
+        const summary = this.history.getSummary(this.selectedDifficulty);
+        const hasGames = summary.totalGames > 0;
+
+        this.emptyMessageElement.style.display = hasGames ? 'none' : 'block';
+        this.chartsElement.style.display = hasGames ? 'grid' : 'none';
+
+        this.displaySummary(summary);
+        if (!hasGames) return;
+
+        // スコア推移（直近100ゲーム）
+        const recentGames = summary.games.slice(-100);
+        this.drawLineChart(this.scoreCanvas, recentGames.map(game => game.finalScore), {
+            average: summary.averageScore,
+            highlight: recentGames.map(game => game.isVictory)
+        });
+
+        // 最高タイル分布
+        const tiles = Object.keys(summary.maxTileDistribution).map(Number).sort((a, b) => a - b);
+        this.drawBarChart(this.tileCanvas, tiles.map(String), tiles.map(tile => summary.maxTileDistribution[tile]), {
+            formatValue: value => `${value}回`
+        });
+
+        // 難易度別の勝率・平均プレイ時間（選択中の難易度を強調）
+        const perDifficulty = this.difficulties.map(difficulty => this.history.getSummary(difficulty));
+        const labels = this.difficulties.map(difficulty => this.difficultyNames[difficulty]);
+        const highlight = this.difficulties.map(difficulty => !this.selectedDifficulty || difficulty === this.selectedDifficulty);
+
+        this.drawBarChart(this.winRateCanvas, labels, perDifficulty.map(item => Math.round(item.winRate * 100)), {
+            maxValue: 100,
+            highlight,
+            formatValue: value => `${value}%`
+        });
+        this.drawBarChart(this.playTimeCanvas, labels, perDifficulty.map(item => Math.round(item.averagePlayTime / 1000)), {
+            highlight,
+            formatValue: value => this.formatDuration(value * 1000)
+        });
+    }
+
+    /**
+     * 集計カードの表示
+     */
+    displaySummary(summary) {
+        const setText = (id, text) => {
+            const element = document.getElementById(id);
+            if (element) element.textContent = text;
+        };
+
+        setText('stat-total-games', summary.totalGames.toLocaleString());
+        setText('stat-win-rate', `${Math.round(summary.winRate * 1000) / 10}%`);
+        setText('stat-victories', `${summary.victories}勝`);
+        setText('stat-average-score', summary.averageScore.toLocaleString());
+        setText('stat-best-score', summary.bestScore.toLocaleString());
+        setText('stat-best-date', summary.bestScoreDate ? new Date(summary.bestScoreDate).toLocaleDateString('ja-JP') : '-');
+        setText('stat-average-time', this.formatDuration(summary.averagePlayTime));
+        setText('stat-total-time', `合計 ${this.formatDuration(summary.totalPlayTime)}`);
+        setText('stat-current-streak', `${summary.currentStreak}連勝`);
+        setText('stat-best-streak', `最高 ${summary.bestStreak}連勝`);
+    }
+
+    /**
+     * 高解像度ディスプレイ対応のCanvas準備
+     * @returns {Object} { ctx, width, height }
+     */
+    prepareCanvas(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || 320;
+        const height = canvas.clientHeight || 200;
+
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '12px "Noto Sans JP", Arial, sans-serif';
+
+        return { ctx, width, height };
+    }
+
+    /**
+     * 折れ線グラフ（スコア推移）
+     * @param {Object} options - average: 平均線, highlight: 点ごとの強調フラグ
+     */
+    drawLineChart(canvas, values, options = {}) {
+        const { ctx, width, height } = this.prepareCanvas(canvas);
+        const padding = { top: 20, right: 15, bottom: 25, left: 55 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+        const maxValue = Math.max(1, ...values);
+
+        const toX = index => padding.left + (values.length > 1 ? (index / (values.length - 1)) * chartWidth : chartWidth / 2);
+        const toY = value => padding.top + chartHeight - (value / maxValue) * chartHeight;
+
+        this.drawAxes(ctx, padding, width, height, maxValue.toLocaleString());
+
+        // 平均線
+        if (options.average) {
+            ctx.strokeStyle = this.colors.accent;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(padding.left, toY(options.average));
+            ctx.lineTo(width - padding.right, toY(options.average));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        // 折れ線
+        ctx.strokeStyle = this.colors.primary;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        values.forEach((value, index) => {
+            if (index === 0) {
+                ctx.moveTo(toX(index), toY(value));
+            } else {
+                ctx.lineTo(toX(index), toY(value));
+            }
+        });
+        ctx.stroke();
+        ctx.lineWidth = 1;
+
+        // 各ゲームの点（勝利は強調色）
+        values.forEach((value, index) => {
+            ctx.fillStyle = options.highlight && options.highlight[index] ? this.colors.accent : this.colors.primary;
+            ctx.beginPath();
+            ctx.arc(toX(index), toY(value), 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        // 横軸ラベル（ゲーム数）
+        ctx.fillStyle = this.colors.text;
+        ctx.textAlign = 'right';
+        ctx.fillText(`${values.length}ゲーム`, width - padding.right, height - 6);
+    }
+
+    /**
+     * 棒グラフ
+     * @param {Object} options - maxValue: 縦軸の上限, highlight: 棒ごとの強調フラグ, formatValue: 値ラベルの整形
+     */
+    drawBarChart(canvas, labels, values, options = {}) {
+        const { ctx, width, height } = this.prepareCanvas(canvas);
+        const padding = { top: 20, right: 15, bottom: 25, left: 15 };
+        const chartWidth = width - padding.left - padding.right;
+        const chartHeight = height - padding.top - padding.bottom;
+        const maxValue = options.maxValue || Math.max(1, ...values);
+        const formatValue = options.formatValue || (value => String(value));
+
+        this.drawAxes(ctx, padding, width, height, null);
+
+        const slotWidth = chartWidth / Math.max(1, values.length);
+        const barWidth = Math.min(60, slotWidth * 0.6);
+
+        ctx.textAlign = 'center';
+        values.forEach((value, index) => {
+            const barHeight = (value / maxValue) * chartHeight;
+            const x = padding.left + slotWidth * index + (slotWidth - barWidth) / 2;
+            const y = padding.top + chartHeight - barHeight;
+            const isHighlighted = !options.highlight || options.highlight[index];
+
+            ctx.fillStyle = isHighlighted ? this.colors.primary : this.colors.muted;
+            ctx.fillRect(x, y, barWidth, barHeight);
+
+            // 値と項目名
+            ctx.fillStyle = this.colors.text;
+            ctx.fillText(formatValue(value), x + barWidth / 2, Math.max(12, y - 5));
+            ctx.fillText(labels[index], x + barWidth / 2, height - 8);
+        });
+    }
+
+    /**
+     * グラフの軸を描画
+     * @param {string|null} maxLabel - 縦軸上端のラベル
+     */
+    drawAxes(ctx, padding, width, height, maxLabel) {
+        ctx.strokeStyle = this.colors.grid;
+        ctx.beginPath();
+        ctx.moveTo(padding.left, padding.top);
+        ctx.lineTo(padding.left, height - padding.bottom);
+        ctx.lineTo(width - padding.right, height - padding.bottom);
+        ctx.stroke();
+
+        if (maxLabel) {
+            ctx.fillStyle = this.colors.text;
+            ctx.textAlign = 'right';
+            ctx.fillText(maxLabel, padding.left - 6, padding.top + 4);
+            ctx.fillText('0', padding.left - 6, height - padding.bottom);
+        }
+    }
+
+    /**
+     * 時間を「分:秒」形式にフォーマット
+     */
+    formatDuration(milliseconds) {
+        const seconds = Math.floor(milliseconds / 1000);
+        const minutes = Math.floor(seconds / 60);
+        const remainingSeconds = seconds % 60;
+        return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+    }
+}
+
+// グローバルで利用可能にする
+window.StatisticsController = StatisticsController;
@@ -6,34 +6,82 @@
  */
 
 class UIController {
-    constructor(gameEngine) {
+    /**
+     * @param {GameEngine} gameEngine - 表示・操作対象のゲームエンジン
+     * @param {Object} options - オプション
+     * @param {string} [options.gridElementId] - グリッド要素のID（デフォルト'game-grid'）
+     * @param {boolean} [options.interactive] - 操作・音響・スコア表示を有効にするか（リプレイ表示用はfalse）
+     * @param {number} [options.containerSize] - グリッドの表示サイズ（px、省略時は難易度から決定）
+     * @param {string} [options.idPrefix] - 要素IDの接頭辞（1ページに複数の盤面を置く場合、'p1-'なら'p1-game-grid'などを参照）
+     * @param {Object} [options.keyMap] - キー -> 方向・操作の対応（省略時は設定画面で選んだキー割り当て）
+     * @param {Object|boolean} [options.gamepad] - GamepadControllerのオプション（index, buttonMapなど、falseでゲームパッド操作なし）
+     */
+    constructor(gameEngine, options = {}) {
         this.game = gameEngine;
-        this.gridElement = document.getElementById('game-grid');
-        this.currentScoreElement = document.getElementById('current-score');
-        this.bestScoreElement = document.getElementById('best-score');
-        this.overlayElement = document.getElementById('game-overlay');
-        this.overlayMessageElement = document.getElementById('overlay-message');
-        this.overlaySubmessageElement = document.getElementById('overlay-submessage');
+        this.interactive = options.interactive !== false;
+        this.containerSize = options.containerSize || null;
+        this.idPrefix = options.idPrefix || '';
+        this.keyMap = options.keyMap || null;
+        this.keyBindings = null; // keyMap省略時に設定から読み込んだKeyBindings
+        this.gamepadOptions = options.gamepad !== undefined ? options.gamepad : {};
+        this.gridElement = options.gridElementId ? document.getElementById(options.gridElementId) : this.getElement('game-grid');
+        this.currentScoreElement = this.getElement('current-score');
+        this.bestScoreElement = this.getElement('best-score');
+        this.overlayElement = this.getElement('game-overlay');
+        this.overlayMessageElement = this.getElement('overlay-message');
+        this.overlaySubmessageElement = this.getElement('overlay-submessage');
+        this.undoButton = this.getElement('undo-button');
+        this.redoButton = this.getElement('redo-button');
+        this.hintPanelElement = this.getElement('hint-panel');
+        this.directionIndicatorsElement = this.getElement('demo-direction-indicators');
+        this.challengeItemElement = this.getElement('challenge-item');
+        this.challengeLabelElement = this.getElement('challenge-label');
+        this.challengeValueElement = this.getElement('challenge-value');
+        this.keyHelpElement = this.getElement('key-help-overlay');
         
         // デバッグ要素
-        this.debugElement = document.getElementById('debug-info');
-        this.movesElement = document.getElementById('moves-count');
-        this.mergeCountElement = document.getElementById('merge-count');
-        this.maxTileElement = document.getElementById('max-tile');
-        this.statusElement = document.getElementById('game-status');
+        this.debugElement = this.getElement('debug-info');
+        this.movesElement = this.getElement('moves-count');
+        this.mergeCountElement = this.getElement('merge-count');
+        this.maxTileElement = this.getElement('max-tile');
+        this.statusElement = this.getElement('game-status');
         
         this.isAnimating = false;
+        this.inputQueue = []; // アニメーション中に入力された移動方向（先行入力）
+        this.autoSave = false; // 自動セーブ（設定で有効化）
+        this.hintAI = null; // ヒント用AI（初回使用時に生成）
+        this.hintTimer = null;
+        this.isHintSearching = false;
+        this.victoryPending = false; // 目標達成の演出待ち（victory_achievedで設定）
+        this.dailyRecorded = false; // デイリーチャレンジでこのプレイの結果を記録したか
+        this.unsubscribers = []; // ゲームイベントの購読解除関数
+        this.challengeTimer = null; // タイムアタックの残り時間更新タイマー
         this.tileElements = new Map(); // タイルID -> DOM要素のマッピング
-        this.animationController = new AnimationController();
+        this.animationController = new AnimationController(this.gridElement);
         this.audioManager = new AudioManager();
         
-        this.initializeEventListeners();
-        this.initializeAudio();
+        if (this.interactive) {
+            this.initializeEventListeners();
+            this.bindGameEvents();
+            this.settleDailyAttempt();
+            this.initializeAudio();
+            this.startChallengeTimer();
+        }
         this.setupDynamicGrid();
-        this.updateDisplay();
+        if (this.interactive) {
+            this.updateDisplay();
+        }
         this.render();
     }
 
+    /**
+     * この盤面用の要素を取得（接頭辞付きのID、ページにない場合はnull）
+     * @param {string} id - 接頭辞を除いた要素ID
+     */
+    getElement(id) {
+        return document.getElementById(`${this.idPrefix}${id}`);
+    }
+
     /**
      * 動的グリッド設定
      */
@@ -53,16 +101,21 @@ class UIController {
             expert: { desktop: 800, mobile: 500 }
         };
         
-        const sizes = containerSizes[difficulty] || containerSizes.easy;
+        // カスタム盤面はマス数から算出（プリセットと同じ比率、モバイルは500px以内）
+        const sizes = containerSizes[difficulty] || {
+            desktop: 400 + gridSize * 50,
+            mobile: Math.min(500, 300 + gridSize * 25)
+        };
         const isMobile = window.innerWidth <= 768;
-        const containerSize = isMobile ? sizes.mobile : sizes.desktop;
+        const containerSize = this.containerSize || (isMobile ? sizes.mobile : sizes.desktop);
         
         this.gridElement.style.width = `${containerSize}px`;
         this.gridElement.style.height = `${containerSize}px`;
         
-        // 既存のグリッドセルをクリア
-        const existingCells = this.gridElement.querySelectorAll('.grid-cell');
+        // 既存のグリッドセルとタイルをクリア（同じグリッドを前に使っていた盤面のタイルも含む）
+        const existingCells = this.gridElement.querySelectorAll('.grid-cell, .tile');
         existingCells.forEach(cell => cell.remove());
+        this.tileElements.clear();
         
         // 新しいグリッドセルを生成
         for (let i = 0; i < gridSize * gridSize; i++) {
@@ -108,27 +161,84 @@ class UIController {
      * イベントリスナーの初期化
      */
     initializeEventListeners() {
-        // キーボード操作
+        // キーボード操作（キー割り当ての指定がなければ設定から読み込む）
+        if (!this.keyMap) {
+            this.keyBindings = KeyBindings.load();
+            this.keyMap = this.keyBindings.getKeyMap('game');
+        }
+        this.updateKeyGuide();
         document.addEventListener('keydown', (event) => {
             this.handleKeyPress(event);
         });
 
-        // リスタートボタン
-        document.getElementById('restart-button').addEventListener('click', () => {
-            this.restartGame();
-        });
+        // キー一覧はオーバーレイの外側のクリックでも閉じる
+        if (this.keyHelpElement) {
+            this.keyHelpElement.addEventListener('click', (event) => {
+                if (event.target === this.keyHelpElement) {
+                    this.toggleKeyHelp();
+                }
+            });
+        }
 
-        // オーバーレイボタン
-        document.getElementById('continue-button').addEventListener('click', () => {
-            this.hideOverlay();
+        // タッチ・ペン・マウスドラッグのスワイプ操作
+        this.gestureController = new GestureController(this.gridElement, (direction) => {
+            this.queueMove(direction);
         });
 
-        document.getElementById('restart-from-overlay').addEventListener('click', () => {
-            this.restartGame();
-        });
+        // ゲームパッド操作（十字キー・スティックで移動、ボタンで操作）
+        if (this.gamepadOptions && typeof GamepadController !== 'undefined') {
+            this.gamepadController = new GamepadController((action) => {
+                this.handleAction(action);
+            }, { statusElement: this.getElement('gamepad-status'), ...this.gamepadOptions });
+        }
+
+        // リスタートボタン
+        const restartButton = this.getElement('restart-button');
+        if (restartButton) {
+            restartButton.addEventListener('click', () => {
+                this.restartGame();
+            });
+        }
+
+        // アンドゥ・リドゥボタン
+        if (this.undoButton) {
+            this.undoButton.addEventListener('click', () => {
+                this.undoMove();
+            });
+        }
+
+        if (this.redoButton) {
+            this.redoButton.addEventListener('click', () => {
+                this.redoMove();
+            });
+        }
+
+        // ヒントボタン
+        const hintButton = this.getElement('hint-button');
+        if (hintButton) {
+            hintButton.addEventListener('click', () => {
+                this.showHint();
+            });
+        }
+
+        // オーバーレイボタン（オーバーレイのない盤面では省略）
+        if (this.overlayElement) {
+            this.getElement('continue-button').addEventListener('click', () => {
+                this.hideOverlay();
+            });
+
+            this.getElement('restart-from-overlay').addEventListener('click', () => {
+                this.restartGame();
+            });
 
-        document.getElementById('view-result').addEventListener('click', () => {
-            this.goToResultPage();
+            this.getElement('view-result').addEventListener('click', () => {
+                this.goToResultPage();
+            });
+        }
+
+        // ページ離脱時に経過時間を含めて保存
+        window.addEventListener('pagehide', () => {
+            this.saveProgress();
         });
 
         // デバッグモード切り替え（開発用）
@@ -141,87 +251,319 @@ class UIController {
     }
 
     /**
-     * キーボード操作の処理
+     * ゲームイベントの購読（効果音・自動セーブ・勝利演出）
+     */
+    bindGameEvents() {
+        this.unsubscribers.push(
+            this.game.on('game_start', () => {
+                this.victoryPending = false;
+                this.settleDailyAttempt();
+                this.saveProgress();
+                this.audioManager.playSound('newgame');
+            }),
+            this.game.on('tile_move', () => {
+                // アニメーション中にページを閉じても失われないよう移動直後に保存
+                this.saveProgress();
+                this.updateDailyAttempt();
+                this.audioManager.playSound('move');
+            }),
+            this.game.on('tile_merge', (event) => {
+                // 合体音（最大タイル値で音階決定）
+                this.audioManager.playSound('merge', event.payload.maxValue);
+            }),
+            this.game.on('victory_achieved', () => {
+                this.victoryPending = true;
+            }),
+            this.game.on('game_end', () => {
+                // 結果画面に進まなくても終わった時点で記録する
+                this.recordDailyResult();
+            })
+        );
+    }
+
+    /**
+     * デイリーチャレンジの結果（記録・途中経過の保存用）
+     */
+    getDailyResult() {
+        const gameResult = this.game.getGameResult();
+        return {
+            ...gameResult,
+            isVictory: this.game.rules.isVictory(gameResult.maxTile, this.game.targetTile),
+            grid: this.game.grid.map(row => row.map(tile => tile ? tile.value : 0))
+        };
+    }
+
+    /**
+     * デイリーチャレンジの最初のプレイの途中経過を保存（1手目で挑戦済みになる）
+     */
+    updateDailyAttempt() {
+        if (this.game.dailyDate && !this.game.gameOver) {
+            new DailyChallenge().updateAttempt(this.game.dailyDate, this.getDailyResult());
+        }
+    }
+
+    /**
+     * デイリーチャレンジのプレイが終わった時点で結果を記録（その日の最初のプレイのみ、以降は練習プレイ）
+     */
+    recordDailyResult() {
+        if (this.game.dailyDate && !this.dailyRecorded) {
+            this.dailyRecorded = new DailyChallenge().recordResult(this.game.dailyDate, this.getDailyResult());
+        }
+    }
+
+    /**
+     * 新しい盤面で始めた時に、途中のままの挑戦をその時点の結果として記録する
+     * リスタート・自動セーブなしの再読み込みで同じ盤面をやり直し、良かった回だけを記録できないようにする
+     */
+    settleDailyAttempt() {
+        this.dailyRecorded = false;
+        if (this.game.dailyDate && this.game.moves === 0 && new DailyChallenge().abandonAttempt(this.game.dailyDate)) {
+            console.log('📅 途中のデイリーチャレンジを記録しました（以降は練習プレイ）');
+        }
+    }
+
+    /**
+     * ゲームイベントの購読を解除
+     */
+    unbindGameEvents() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+    }
+
+    /**
+     * キーボード操作の処理（keyMapでキーを方向・操作に対応付ける）
      */
     handleKeyPress(event) {
+        // キー一覧はESCでも閉じられるようにする（一時停止を別のキーに割り当てている場合）
+        const action = KeyBindings.lookup(this.keyMap, event) ||
+            (event.key === 'Escape' && this.isKeyHelpVisible() ? 'help' : null);
+        if (!action) {
+            return; // 無関係なキーは無視
+        }
+
+        // 矢印キーのスクロールやブラウザのショートカット・クイック検索を止める
+        if (['left', 'right', 'up', 'down', 'undo', 'redo', 'help'].includes(action)) {
+            event.preventDefault();
+        }
+        this.handleAction(action);
+    }
+
+    /**
+     * 方向・操作の実行（キーボード・ゲームパッド共通）
+     * @param {string} action - 'left' | 'right' | 'up' | 'down' | 'restart' | 'pause' | 'mute' | 'undo' | 'redo' | 'hint' | 'help' | 'demo'
+     */
+    handleAction(action) {
+        // キー一覧の表示中は閉じる操作だけを受け付ける
+        if (this.isKeyHelpVisible()) {
+            if (action === 'help' || action === 'pause') {
+                this.toggleKeyHelp();
+            }
+            return;
+        }
+
+        if (action === 'help') {
+            this.toggleKeyHelp();
+            return;
+        }
+
+        // デモはAIの移動アニメーション中でも止められるようにする
+        if (action === 'demo') {
+            this.toggleDemo();
+            return;
+        }
+
+        // 移動はアニメーション中でも先行入力として受け付ける
+        if (['left', 'right', 'up', 'down'].includes(action)) {
+            this.queueMove(action);
+            return;
+        }
+
         if (this.isAnimating) {
-            return; // アニメーション中は操作を無効化
-        }
-
-        let direction = null;
-
-        switch (event.key) {
-            case 'ArrowLeft':
-                direction = 'left';
-                break;
-            case 'ArrowRight':
-                direction = 'right';
-                break;
-            case 'ArrowUp':
-                direction = 'up';
-                break;
-            case 'ArrowDown':
-                direction = 'down';
-                break;
-            case 'r':
-            case 'R':
+            return; // アニメーション中は移動以外の操作を無効化
+        }
+
+        switch (action) {
+            case 'restart':
                 this.restartGame();
                 return;
-            case 'Escape':
+            case 'pause':
                 this.togglePause();
                 return;
-            case 'm':
-            case 'M':
+            case 'mute':
                 this.toggleMute();
                 return;
-            default:
-                return; // 無関係なキーは無視
+            case 'undo':
+                this.undoMove();
+                return;
+            case 'redo':
+                this.redoMove();
+                return;
+            case 'hint':
+                this.showHint();
+                return;
         }
+    }
 
-        if (direction) {
-            event.preventDefault();
+    /**
+     * キー一覧の表示中か
+     */
+    isKeyHelpVisible() {
+        return Boolean(this.keyHelpElement && this.keyHelpElement.classList.contains('show'));
+    }
+
+    /**
+     * キー一覧（現在の割り当て）の表示・非表示を切り替え
+     */
+    toggleKeyHelp() {
+        if (!this.keyHelpElement) {
+            return;
+        }
+
+        if (this.isKeyHelpVisible()) {
+            this.keyHelpElement.classList.remove('show');
+            return;
+        }
+
+        this.renderKeyHelp();
+        this.keyHelpElement.classList.add('show');
+    }
+
+    /**
+     * キー一覧の内容を現在の割り当てから作成
+     */
+    renderKeyHelp() {
+        const listElement = this.getElement('key-help-list');
+        listElement.innerHTML = '';
+
+        KeyBindings.listActions('game').forEach(action => {
+            const item = document.createElement('div');
+            item.className = 'key-help-item';
+
+            const keyElement = document.createElement('kbd');
+            keyElement.className = 'key-help-key';
+            keyElement.textContent = KeyBindings.formatKey(this.getKeyFor(action.id));
+
+            const nameElement = document.createElement('span');
+            nameElement.textContent = action.name;
+
+            item.append(keyElement, nameElement);
+            listElement.appendChild(item);
+        });
+
+        const profileElement = this.getElement('key-help-profile');
+        if (profileElement && this.keyBindings) {
+            const customized = Object.keys(this.keyBindings.overrides).length > 0;
+            profileElement.textContent = `プロフィール: ${this.keyBindings.profile.name}${customized ? '（個別に変更あり）' : ''}`;
+        }
+    }
+
+    /**
+     * 操作に割り当てられているキー（keyMapから逆引き、割り当てがなければundefined）
+     */
+    getKeyFor(action) {
+        return Object.keys(this.keyMap).find(key => this.keyMap[key] === action);
+    }
+
+    /**
+     * 操作ガイドのキー表示を現在の割り当てに合わせる
+     * data-key-actions に空白区切りの操作、data-key-separator に区切り文字（省略時は ' / '）を指定した要素が対象
+     */
+    updateKeyGuide() {
+        document.querySelectorAll('[data-key-actions]').forEach(element => {
+            const keys = element.dataset.keyActions.split(' ').map(action => KeyBindings.formatKey(this.getKeyFor(action)));
+            element.textContent = keys.join(element.dataset.keySeparator !== undefined ? element.dataset.keySeparator : ' / ');
+        });
+    }
+
+    /**
+     * デモプレイの開始・停止（デモボタンと同じ動作、ボタンのない画面・デモを使えないモードでは何もしない）
+     */
+    toggleDemo() {
+        const demoButton = this.getElement('demo-button');
+        if (demoButton && demoButton.style.display !== 'none') {
+            demoButton.click();
+        }
+    }
+
+    /**
+     * 移動の入力（アニメーション中は先行入力として溜め、前の手の後に順番に実行する）
+     * 先行入力があれば再生中のアニメーションを早送りし、盤面の表示が入力から1手以上遅れないようにする
+     * 溜められるのはUIController.INPUT_QUEUE_LIMIT手までで、それを超えた入力は捨てる
+     */
+    queueMove(direction) {
+        if (this.game.status === 'paused') {
+            return; // 一時停止中は操作無効
+        }
+
+        if (!this.isAnimating) {
+            // 対戦のお邪魔タイル出現など、手の外のアニメーションは待たずに終わらせる
+            this.animationController.fastForward();
             this.moveAndUpdate(direction);
+            return;
+        }
+
+        if (this.inputQueue.length < UIController.INPUT_QUEUE_LIMIT) {
+            this.inputQueue.push(direction);
+        }
+        this.animationController.fastForward();
+    }
+
+    /**
+     * 溜まっている先行入力の次の手を実行
+     */
+    processInputQueue() {
+        if (this.inputQueue.length > 0 && !this.isAnimating) {
+            this.moveAndUpdate(this.inputQueue.shift());
         }
     }
 
     /**
-     * タイル移動と画面更新（アニメーション付き）
+     * 先行入力が残っているか（残っている間の手はアニメーションを省略する）
+     */
+    hasQueuedInput() {
+        return this.inputQueue.length > 0;
+    }
+
+    /**
+     * タイル移動と画面更新（アニメーション付き、先行入力が残っている場合は結果だけを描画）
      */
     async moveAndUpdate(direction) {
-        if (this.isAnimating || this.animationController.getIsAnimating()) {
+        if (this.game.status === 'paused') {
+            // 一時停止前の先行入力は捨てる（再開後の次の入力で一緒に動いてしまわないように）
+            this.inputQueue = [];
+            return;
+        }
+        if (this.isAnimating) {
             return; // アニメーション中は操作無効
         }
 
         this.isAnimating = true;
+        this.clearHint();
 
         // 移動前の状態を保存
         const previousGrid = this.game.grid.map(row => [...row]);
+        const wasWon = this.game.status === 'won';
         
         // ゲームロジック実行
         const result = this.game.move(direction);
 
         if (result.moved) {
-            // 移動音再生
-            this.audioManager.playSound('move');
-            
             // 移動アニメーション実行
-            await this.animateMove(previousGrid, this.game.grid, result);
+            if (!this.hasQueuedInput()) {
+                await this.animateMove(previousGrid, this.game.grid);
+            }
             
             // 画面を更新
             this.render();
             this.updateDisplay();
 
             // 合体エフェクト
-            if (result.mergeOccurred) {
-                // 合体音再生（最大タイル値で音階決定）
-                const maxMergedValue = Math.max(...result.mergedTiles.map(t => t.value));
-                this.audioManager.playSound('merge', maxMergedValue);
-                
+            if (result.mergeOccurred && !this.hasQueuedInput()) {
                 await this.animateMergeEffects(result.mergedTiles);
             }
 
             // スコア増加エフェクト
-            if (result.scoreIncrease > 0) {
+            if (result.scoreIncrease > 0 && !this.hasQueuedInput()) {
                 const mergedTile = result.mergedTiles[0];
                 if (mergedTile) {
                     const position = this.calculateTilePosition(mergedTile.row, mergedTile.col);
@@ -233,44 +575,58 @@ class UIController {
             }
 
             // 新タイル出現アニメーション
-            await this.animateNewTiles();
+            if (!this.hasQueuedInput()) {
+                await this.animateNewTiles();
+            }
+
+            // 目標達成・ゲーム終了の後の先行入力は捨てる（演出と結果の表示を飛ばさないように）
+            if (this.game.gameOver || (!wasWon && this.game.status === 'won')) {
+                this.inputQueue = [];
+            }
 
             // ゲーム終了チェック
             this.checkGameEnd();
         } else {
             // 無効な移動の場合は振動エフェクト＋無効音
             this.audioManager.playSound('invalid');
-            await this.animationController.animateShake();
+            if (!this.hasQueuedInput()) {
+                await this.animationController.animateShake();
+            }
         }
 
         this.isAnimating = false;
+        this.processInputQueue();
     }
 
     /**
      * タイル移動アニメーション
+     * 表示中のタイル要素を移動先へ動かす（合体したタイルは合体元の要素を合体先のマスへ動かし、要素の入れ替えはrender()で行う）
      */
-    async animateMove(previousGrid, newGrid, result) {
-        const animations = [];
+    async animateMove(previousGrid, newGrid) {
+        // タイルID -> 移動先のタイル
+        const destinations = new Map();
+        newGrid.forEach(line => line.forEach(tile => {
+            if (!tile) return;
+            destinations.set(tile.id, tile);
+            if (tile.justMerged && tile.mergedFrom) {
+                tile.mergedFrom.forEach(id => destinations.set(id, tile));
+            }
+        }));
 
-        for (let row = 0; row < this.game.gridSize; row++) {
-            for (let col = 0; col < this.game.gridSize; col++) {
-                const previousTile = previousGrid[row][col];
-                const newTile = newGrid[row][col];
-
-                if (previousTile && newTile && previousTile.id !== newTile.id) {
-                    // タイルが移動した場合
-                    const tileElement = this.tileElements.get(previousTile.id);
-                    if (tileElement) {
-                        const fromPos = this.calculateTilePosition(row, col);
-                        const toPos = this.calculateTilePosition(newTile.row, newTile.col);
-                        
-                        animations.push(
-                            this.animationController.animateMove(tileElement, fromPos, toPos)
-                        );
-                    }
-                }
+        const animations = [];
+        previousGrid.forEach((line, row) => line.forEach((previousTile, col) => {
+            const destination = previousTile && destinations.get(previousTile.id);
+            const tileElement = previousTile && this.tileElements.get(previousTile.id);
+            if (!destination || !tileElement || (destination.row === row && destination.col === col)) {
+                return;
             }
-        }
+
+            animations.push(this.animationController.animateMove(
+                tileElement,
+                this.calculateTilePosition(row, col),
+                this.calculateTilePosition(destination.row, destination.col)
+            ));
+        }));
 
         if (animations.length > 0) {
             await this.animationController.runAnimations(animations);
@@ -322,56 +678,101 @@ class UIController {
 
     /**
      * ゲーム画面を描画
+     * タイルIDで前回の描画と突き合わせ、盤面に残っているタイルは要素を使い回して位置・状態だけを更新する
+     * 新しく現れたタイル（出現・合体でできたタイル）の要素だけを作成し、盤面から消えたタイル（合体元など）の要素だけを削除する
      */
     render() {
-        // 既存のタイル要素をクリア
-        const existingTiles = this.gridElement.querySelectorAll('.tile');
-        existingTiles.forEach(tile => tile.remove());
-        this.tileElements.clear();
+        const renderedIds = new Set();
 
-        // 新しいタイルを描画
+        // 障害物（石ブロック）を描画
+        const obstacles = this.game.getObstacleList ? this.game.getObstacleList() : [];
+        obstacles.forEach(([row, col]) => {
+            const obstacle = { obstacle: true, row, col, id: `obstacle_${row}_${col}` };
+            this.syncTileElement(obstacle);
+            renderedIds.add(obstacle.id);
+        });
+
+        // タイルを描画
         for (let row = 0; row < this.game.gridSize; row++) {
             for (let col = 0; col < this.game.gridSize; col++) {
                 const tile = this.game.grid[row][col];
                 if (tile) {
-                    this.createTileElement(tile);
+                    this.syncTileElement(tile);
+                    renderedIds.add(tile.id);
                 }
             }
         }
+
+        // 盤面から消えたタイルの要素を削除
+        this.tileElements.forEach((tileElement, id) => {
+            if (!renderedIds.has(id)) {
+                tileElement.remove();
+                this.tileElements.delete(id);
+            }
+        });
     }
 
     /**
-     * タイル要素を作成してDOMに追加
+     * タイル要素を盤面の状態に合わせる（まだ要素がないタイルは作成）
+     * @param {Object} tile - タイル（obstacle: true の場合は障害物マス）
      */
-    createTileElement(tile) {
-        const tileElement = document.createElement('div');
-        tileElement.className = `tile tile-${tile.value}`;
-        tileElement.textContent = tile.value;
-        tileElement.id = tile.id;
+    syncTileElement(tile) {
+        const tileElement = this.tileElements.get(tile.id) || this.createTileElement(tile);
 
-        // 動的サイズ設定
+        // 盤面サイズ・位置（位置はtranslateで指定し、移動アニメーションもtranslateで行う）
+        const position = this.calculateTilePosition(tile.row, tile.col);
         tileElement.style.width = `${this.cellSize}px`;
         tileElement.style.height = `${this.cellSize}px`;
-        
-        // フォントサイズを動的調整
-        const fontSize = this.calculateFontSize(tile.value, this.cellSize);
-        tileElement.style.fontSize = `${fontSize}px`;
-
-        // 位置を設定
-        const position = this.calculateTilePosition(tile.row, tile.col);
-        tileElement.style.left = `${position.x}px`;
-        tileElement.style.top = `${position.y}px`;
+        tileElement.style.translate = `${position.x}px ${position.y}px`;
 
-        // アニメーションクラスを追加
-        if (tile.isNew) {
-            tileElement.classList.add('tile-new');
+        if (!tile.obstacle) {
+            tileElement.style.fontSize = `${this.calculateFontSize(tile.value, this.cellSize)}px`;
+            // ロックタイルは隣で合体が起きると同じタイルのまま解除される
+            tileElement.classList.toggle('tile-locked', Boolean(tile.locked));
         }
-        if (tile.justMerged) {
-            tileElement.classList.add('tile-merged');
+    }
+
+    /**
+     * タイル要素を作成してDOMに追加（サイズ・位置はsyncTileElementで設定）
+     * タイルのIDごとに1つの要素を作り、タイルが盤面にある間は使い回す
+     * @param {Object} tile - タイル（obstacle: true の場合は障害物マスとして描画）
+     * @returns {HTMLElement} 作成した要素
+     */
+    createTileElement(tile) {
+        // 要素はtileElementsで引くためidは付けない（対戦では両方の盤面が同じシードで同じタイルIDになる）
+        const tileElement = document.createElement('div');
+
+        if (tile.obstacle) {
+            tileElement.className = 'tile tile-obstacle';
+        } else {
+            tileElement.className = this.getTileClassName(tile.value);
+            tileElement.textContent = tile.value;
+
+            // アニメーションクラスを追加（要素を作った時だけ再生される）
+            if (tile.isNew) {
+                tileElement.classList.add('tile-new');
+            }
+            if (tile.justMerged) {
+                tileElement.classList.add('tile-merged');
+            }
         }
 
         this.gridElement.appendChild(tileElement);
         this.tileElements.set(tile.id, tileElement);
+        return tileElement;
+    }
+
+    /**
+     * タイルのクラス名（ルールバリアントのタイルは同じ段階の通常タイルの色で表示）
+     */
+    getTileClassName(value) {
+        const rules = this.game.rules;
+        if (!rules || rules.id === 'classic') {
+            return `tile tile-${value}`;
+        }
+
+        const className = `tile tile-${Math.pow(2, rules.tileLevel(value))}`;
+        return value < 0 ? `${className} tile-negative` : className;
     }
 
     /**
@@ -382,7 +783,9 @@ class UIController {
         let fontSize = cellSize * baseRatio;
         
         // 大きな数値の場合はフォントサイズを調整
-        if (tileValue >= 1024) {
+        if (tileValue >= 16384) {
+            fontSize *= 0.6;
+        } else if (tileValue >= 1024) {
             fontSize *= 0.75;
         } else if (tileValue >= 128) {
             fontSize *= 0.9;
@@ -407,24 +810,87 @@ class UIController {
     updateDisplay() {
         const gameState = this.game.getGameState();
 
-        // スコア更新
+        // スコア更新（ベストスコアの表示がない盤面もある）
         this.currentScoreElement.textContent = gameState.score.toLocaleString();
-        this.bestScoreElement.textContent = gameState.bestScore.toLocaleString();
+        if (this.bestScoreElement) {
+            this.bestScoreElement.textContent = gameState.bestScore.toLocaleString();
+        }
 
         // ベストスコア更新時のアニメーション
-        if (gameState.score === gameState.bestScore && gameState.score > 0) {
+        if (this.bestScoreElement && gameState.score === gameState.bestScore && gameState.score > 0) {
             this.bestScoreElement.classList.add('score-increase');
             setTimeout(() => {
                 this.bestScoreElement.classList.remove('score-increase');
             }, 600);
         }
 
+        // アンドゥ・リドゥボタンの有効/無効
+        if (this.undoButton) this.undoButton.disabled = !gameState.canUndo;
+        if (this.redoButton) this.redoButton.disabled = !gameState.canRedo;
+
+        // チャレンジモードの残り時間・残り手数
+        this.updateChallengeDisplay(gameState);
+
         // デバッグ情報更新
         if (this.debugElement && this.debugElement.style.display !== 'none') {
             this.updateDebugDisplay(gameState);
         }
     }
 
+    /**
+     * チャレンジモードの表示を更新（通常モードでは非表示）
+     */
+    updateChallengeDisplay(gameState = this.game.getGameState()) {
+        if (!this.challengeItemElement) {
+            return;
+        }
+
+        const challenge = this.game.challenge;
+        const puzzle = this.game.puzzle;
+        this.challengeItemElement.style.display = challenge || puzzle ? '' : 'none';
+        if (!challenge && !puzzle) {
+            return;
+        }
+
+        let warning;
+        if (puzzle) {
+            // パズルは手数制限があれば残り手数、なければ使った手数
+            this.challengeLabelElement.textContent = gameState.remainingMoves !== null ? '残り手数' : '手数';
+            this.challengeValueElement.textContent = gameState.remainingMoves !== null ? gameState.remainingMoves : gameState.moves;
+            warning = gameState.remainingMoves !== null && gameState.remainingMoves <= 2;
+        } else if (challenge.type === 'timeAttack') {
+            // 残り時間は秒単位で切り上げて表示（0:00になった時点で終了）
+            this.challengeLabelElement.textContent = '残り時間';
+            this.challengeValueElement.textContent = this.game.formatPlayTime(Math.ceil(gameState.remainingTime / 1000) * 1000);
+            warning = gameState.remainingTime <= 30000;
+        } else {
+            this.challengeLabelElement.textContent = `残り手数（目標${this.game.targetTile}）`;
+            this.challengeValueElement.textContent = gameState.remainingMoves;
+            warning = gameState.remainingMoves <= 10;
+        }
+        this.challengeItemElement.classList.toggle('challenge-warning', warning);
+    }
+
+    /**
+     * タイムアタックの残り時間タイマーを開始
+     * 手を打たなくても時間切れで終了するため、定期的にエンジンの制限時間を確認する
+     */
+    startChallengeTimer() {
+        if (!this.game.isTimeAttack() || this.challengeTimer) {
+            return;
+        }
+
+        this.challengeTimer = setInterval(() => {
+            if (this.game.checkTimeLimit()) {
+                this.saveProgress();
+                this.updateDisplay();
+                this.checkGameEnd();
+            } else if (this.game.status === 'playing') {
+                this.updateChallengeDisplay();
+            }
+        }, 250);
+    }
+
     /**
      * デバッグ情報の更新
      */
@@ -441,15 +907,31 @@ class UIController {
     async checkGameEnd() {
         const gameState = this.game.getGameState();
 
-        if (gameState.status === 'won') {
-            // 勝利音＋演出アニメーション
+        if (gameState.status === 'won' && this.victoryPending) {
+            // 勝利音＋演出アニメーション（目標達成後に続行した場合は再表示しない）
+            this.victoryPending = false;
             this.audioManager.playVictoryFanfare();
             await this.animationController.animateVictory();
-            this.showOverlay('🎉 2048達成！', '継続しますか？', 'victory');
+            if (this.game.puzzle) {
+                const stars = PuzzleLevelStore.getStars(this.game.puzzle, gameState.moves);
+                this.showOverlay(`🧩 クリア！ ${PuzzleLevelStore.formatStars(stars)}`, `${gameState.moves}手でクリア！結果を確認しますか？`, 'gameover');
+            } else if (gameState.gameOver) {
+                // 手数制限モードは目標達成でクリア
+                this.showOverlay(`🎉 ${this.game.targetTile}達成！`, `${gameState.moves}手でクリア！結果を確認しますか？`, 'gameover');
+            } else {
+                this.showOverlay(`🎉 ${this.game.targetTile}達成！`, '継続しますか？', 'victory');
+            }
         } else if (gameState.status === 'lost') {
             // ゲームオーバー音
             this.audioManager.playGameOverSound();
             this.showOverlay('😅 ゲームオーバー', '結果を確認しますか？', 'gameover');
+        } else if (gameState.status === 'time_up') {
+            this.audioManager.playGameOverSound();
+            this.showOverlay('⏱️ タイムアップ！', `スコア ${gameState.score.toLocaleString()}・結果を確認しますか？`, 'gameover');
+        } else if (gameState.status === 'out_of_moves') {
+            this.audioManager.playGameOverSound();
+            const goalText = this.game.puzzle ? '目標を達成できませんでした' : `${this.game.targetTile}に届きませんでした`;
+            this.showOverlay('🚫 手数切れ', `${goalText}・結果を確認しますか？`, 'gameover');
         }
     }
 
@@ -457,13 +939,18 @@ class UIController {
      * オーバーレイを表示
      */
     showOverlay(message, submessage, type) {
+        // 対戦など、オーバーレイを呼び出し側で管理する盤面では表示しない
+        if (!this.overlayElement) {
+            return;
+        }
+
         this.overlayMessageElement.textContent = message;
         this.overlaySubmessageElement.textContent = submessage;
         
         // ボタンの表示/非表示を制御
-        const continueBtn = document.getElementById('continue-button');
-        const restartBtn = document.getElementById('restart-from-overlay');
-        const resultBtn = document.getElementById('view-result');
+        const continueBtn = this.getElement('continue-button');
+        const restartBtn = this.getElement('restart-from-overlay');
+        const resultBtn = this.getElement('view-result');
 
         if (type === 'victory') {
             continueBtn.style.display = 'block';
@@ -482,7 +969,9 @@ class UIController {
      * オーバーレイを非表示
      */
     hideOverlay() {
-        this.overlayElement.classList.remove('show');
+        if (this.overlayElement) {
+            this.overlayElement.classList.remove('show');
+        }
     }
 
     /**
@@ -490,20 +979,182 @@ class UIController {
      */
     restartGame() {
         this.hideOverlay();
-        this.game.resetGame();
+        this.clearHint();
+        this.game.resetGame(); // 保存・リスタート音はgame_startイベントで処理
         this.render();
         this.updateDisplay();
-        
-        // リスタート音
-        this.audioManager.playSound('newgame');
         console.log('🔄 ゲームをリスタートしました');
     }
 
+    /**
+     * 1手戻す
+     */
+    undoMove() {
+        if (this.isAnimating || this.game.status === 'paused') {
+            return;
+        }
+
+        if (this.game.undo()) {
+            this.saveProgress();
+            this.hideOverlay();
+            this.clearHint();
+            this.render();
+            this.updateDisplay();
+            this.audioManager.playSound('move');
+            console.log(`↩️ アンドゥ (使用回数: ${this.game.undoCount})`);
+        } else {
+            this.audioManager.playSound('invalid');
+        }
+    }
+
+    /**
+     * 戻した手をやり直す
+     */
+    redoMove() {
+        if (this.isAnimating || this.game.status === 'paused') {
+            return;
+        }
+
+        if (this.game.redo()) {
+            this.saveProgress();
+            this.render();
+            this.updateDisplay();
+            this.audioManager.playSound('move');
+            console.log('↪️ リドゥ');
+        } else {
+            this.audioManager.playSound('invalid');
+        }
+    }
+
+    /**
+     * ヒント表示（推奨方向のハイライトと方向別の評価内訳）
+     */
+    async showHint() {
+        if (this.isAnimating || this.isHintSearching || this.game.gameOver || this.game.status === 'paused') {
+            return;
+        }
+
+        if (!this.hintAI) {
+            this.hintAI = new DemoAI(this.game, { verbose: false });
+            this.hintAI.strategy = 'expectimax';
+        }
+
+        // 探索中に盤面が変わった場合は古いヒントを表示しない
+        const boardKey = this.getBoardKey();
+        this.isHintSearching = true;
+        let analysis;
+        try {
+            analysis = await this.hintAI.requestAnalysis();
+        } finally {
+            this.isHintSearching = false;
+        }
+
+        if (!analysis || !analysis.bestMove || boardKey !== this.getBoardKey() || this.game.gameOver) {
+            return;
+        }
+
+        this.game.recordHint();
+        this.saveProgress();
+        this.displayHint(analysis);
+        console.log(`💡 ヒント: ${analysis.bestMove} (使用回数: ${this.game.hintCount})`, analysis.evaluations);
+    }
+
+    /**
+     * 現在の盤面を表す文字列（盤面変化の検出用）
+     */
+    getBoardKey() {
+        return this.game.grid.map(row => row.map(tile => tile ? tile.value : 0).join(',')).join('/');
+    }
+
+    /**
+     * ヒント内容を描画
+     */
+    displayHint(analysis) {
+        this.clearHint();
+
+        // デモ用の方向矢印で推奨方向をハイライト
+        if (this.directionIndicatorsElement) {
+            this.directionIndicatorsElement.style.display = 'block';
+            const arrowElement = this.getElement(`demo-arrow-${analysis.bestMove}`);
+            if (arrowElement) {
+                arrowElement.classList.add('active');
+            }
+        }
+
+        // 方向別の評価内訳
+        if (this.hintPanelElement) {
+            const labels = { up: '↑', down: '↓', left: '←', right: '→' };
+            this.hintPanelElement.innerHTML = '';
+
+            Object.entries(analysis.evaluations).forEach(([direction, evaluation]) => {
+                const row = document.createElement('div');
+                row.className = 'hint-row';
+                if (direction === analysis.bestMove) row.classList.add('best');
+                if (!evaluation.valid) row.classList.add('invalid');
+
+                row.textContent = evaluation.valid
+                    ? `${labels[direction]} スコア+${evaluation.scoreGain} / 空き${evaluation.emptyTiles} / 単調性${Math.round(evaluation.monotonicity)}`
+                    : `${labels[direction]} 移動不可`;
+                this.hintPanelElement.appendChild(row);
+            });
+
+            this.hintPanelElement.classList.add('show');
+        }
+
+        this.hintTimer = setTimeout(() => this.clearHint(), 4000);
+    }
+
+    /**
+     * ヒント表示を消去
+     */
+    clearHint() {
+        if (this.hintTimer) {
+            clearTimeout(this.hintTimer);
+            this.hintTimer = null;
+        }
+
+        // デモ実行中以外は方向矢印を隠す
+        if (this.directionIndicatorsElement) {
+            this.directionIndicatorsElement.querySelectorAll('.demo-arrow.active').forEach(arrow => arrow.classList.remove('active'));
+            if (!(window.demoAI && window.demoAI.isRunning)) {
+                this.directionIndicatorsElement.style.display = 'none';
+            }
+        }
+
+        if (this.hintPanelElement) {
+            this.hintPanelElement.classList.remove('show');
+        }
+    }
+
+    /**
+     * 自動セーブの有効/無効を設定
+     */
+    setAutoSave(enabled) {
+        this.autoSave = enabled;
+        this.game.emit('settings_changed', { key: 'autoSave', value: enabled });
+    }
+
+    /**
+     * 進行中のゲームを保存（終了したゲームは保存データを削除）
+     */
+    saveProgress() {
+        if (!this.autoSave) {
+            return;
+        }
+
+        if (this.game.gameOver) {
+            this.game.clearSavedState();
+        } else {
+            this.game.saveState();
+        }
+    }
+
     /**
      * ミュート切り替え
      */
     toggleMute() {
         const isMuted = this.audioManager.toggleMute();
+        this.game.emit('settings_changed', { key: 'muted', value: isMuted });
         console.log(`🔊 音響: ${isMuted ? 'ミュート' : 'オン'}`);
         
         // 視覚的フィードバック（簡易）
@@ -521,6 +1172,29 @@ class UIController {
     goToResultPage() {
         const gameResult = this.game.getGameResult();
         const gameState = this.game.getGameState();
+        // 目標達成後に続行して詰んだ場合も勝利として数える（パズルはレベルの目標を達成した場合のみ）
+        const isVictory = this.game.puzzle
+            ? gameState.status === 'won'
+            : this.game.rules.isVictory(gameResult.maxTile, this.game.targetTile);
+        
+        // デイリーチャレンジはその日の最初の結果だけを記録（ゲーム終了時に記録済みの場合はそれを使う）
+        let daily = null;
+        if (this.game.dailyDate) {
+            this.recordDailyResult();
+            const grid = this.game.grid.map(row => row.map(tile => tile ? tile.value : 0));
+            daily = { date: this.game.dailyDate, grid, recorded: this.dailyRecorded };
+        }
+        
+        // パズルはクリアした場合に星の数と最少手数を記録
+        let puzzle = null;
+        if (this.game.puzzle) {
+            const level = this.game.puzzle;
+            const stars = isVictory ? PuzzleLevelStore.getStars(level, gameResult.moves) : 0;
+            if (isVictory) {
+                new PuzzleLevelStore().recordClear(level.packId, level.id, { stars, moves: gameResult.moves, score: gameResult.finalScore });
+            }
+            puzzle = { packId: level.packId, levelId: level.id, name: level.name, goal: PuzzleLevelStore.describeGoal(level.goal), stars };
+        }
         
         // 結果データを整形
         const resultData = {
@@ -531,12 +1205,42 @@ class UIController {
             playTime: Math.floor(gameResult.playTimeMs / 1000), // 秒単位
             status: gameState.status,
             efficiency: gameResult.efficiency,
-            difficulty: this.game.difficulty
+            difficulty: this.game.difficulty,
+            recordKey: this.game.getRecordKey(),
+            modeLabel: this.game.getModeLabel(),
+            isStandardMode: this.game.isStandardMode(),
+            seed: gameResult.seed,
+            undoCount: gameResult.undoCount,
+            hintCount: gameResult.hintCount,
+            isAssisted: gameResult.isAssisted,
+            challenge: gameResult.challenge,
+            targetTile: gameResult.targetTile,
+            remainingMoves: gameResult.remainingMoves,
+            daily,
+            puzzle,
+            sandbox: Boolean(this.game.position)
         };
         
         // 結果データをLocalStorageに保存（難易度別）
         localStorage.setItem('puzzle2048_last_result', JSON.stringify(resultData));
-        localStorage.setItem(`puzzle2048_previous_score_${this.game.difficulty}`, gameResult.finalScore.toString());
+        localStorage.setItem('puzzle2048_last_replay', JSON.stringify(this.game.getReplayData()));
+        localStorage.setItem(`puzzle2048_previous_score_${this.game.getRecordKey()}`, gameResult.finalScore.toString());
+
+        // プレイ履歴に追加（任意の局面から始めたサンドボックスは統計に含めない）
+        if (!this.game.position) {
+            new GameHistoryStore().addGame({
+                ...gameResult,
+                isVictory,
+                ruleVariant: this.game.ruleVariant,
+                recordKey: this.game.getRecordKey(),
+                modeLabel: this.game.getModeLabel(),
+                isStandardMode: this.game.isStandardMode()
+            }, this.game.difficulty);
+        }
+        
+        // 結果を確定したゲームは再開対象から外す
+        this.game.clearSavedState();
+        this.autoSave = false;
         
         // 結果画面に遷移
         window.location.href = 'result.html';
@@ -546,11 +1250,11 @@ class UIController {
      * 一時停止の切り替え
      */
     togglePause() {
-        if (this.game.status === 'playing') {
-            this.game.status = 'paused';
+        // タイムアタックの残り時間は一時停止中は減らない
+        if (this.game.pause()) {
+            this.inputQueue = [];
             this.showOverlay('⏸️ 一時停止', 'ESCキーで再開', 'paused');
-        } else if (this.game.status === 'paused') {
-            this.game.status = 'playing';
+        } else if (this.game.resume()) {
             this.hideOverlay();
         }
     }
@@ -595,5 +1299,10 @@ class UIController {
     }
 }
 
+/**
+ * アニメーション中に溜められる先行入力の手数
+ */
+UIController.INPUT_QUEUE_LIMIT = 4;
+
 // グローバルで利用可能にする
 window.UIController = UIController;
\ No newline at end of file
@@ -0,0 +1,370 @@
+/**
+ * Puzzle2048 ローカル対戦画面制御
+ *
+ * 1つのキーボードで2人が同じシードの盤面を同時にプレイします（プレイヤー1はWASD、プレイヤー2は矢印キー）。
+ * ゲームパッドは1台目がプレイヤー1、2台目がプレイヤー2の盤面を操作します。
+ * 大きな合体をすると相手の盤面にお邪魔タイルが送られ、先に目標タイルを作るか、
+ * 両者が詰んだ時点でスコアの高い方が勝ちになります。
+ */
+
+class VersusController {
+    /**
+     * @param {Object} options - オプション
+     * @param {string} [options.difficulty] - 難易度（プリセットのみ）
+     * @param {number} [options.seed] - 両者共通の乱数シード（省略時は自動生成）
+     */
+    constructor(options = {}) {
+        this.difficulty = options.difficulty || 'easy';
+        this.seed = options.seed !== undefined ? options.seed : SeededRandom.generateSeed();
+        // お邪魔タイルの位置はタイル出現とは別の乱数で決める（両者の出現順を揃えるため）
+        this.junkRandom = new SeededRandom(this.seed);
+        this.isFinished = false;
+        this.isPaused = false;
+        this.startTime = Date.now();
+
+        // DOM要素の参照
+        this.overlayElement = document.getElementById('versus-overlay');
+        this.overlayMessageElement = document.getElementById('versus-overlay-message');
+        this.overlaySubmessageElement = document.getElementById('versus-overlay-submessage');
+        this.seedElement = document.getElementById('versus-seed');
+
+        const containerSize = Math.min(420, Math.floor((window.innerWidth - 120) / 2));
+        this.players = VersusController.PLAYERS.map((player, index) => {
+            const engine = new GameEngine(this.difficulty, {
+                seed: this.seed,
+                versus: true,
+                persistent: false,
+                historyLimit: 0
+            });
+            return {
+                ...player,
+                engine,
+                // ゲームパッドのボタンは両方の盤面に関わるため、各盤面では方向だけを読む
+                ui: new UIController(engine, {
+                    idPrefix: player.idPrefix,
+                    keyMap: player.keyMap,
+                    gamepad: { index, buttonMap: {} },
+                    containerSize
+                }),
+                statusElement: document.getElementById(`${player.idPrefix}board-status`),
+                junkSent: 0,
+                junkReceived: 0
+            };
+        });
+    }
+
+    /**
+     * 合体したタイルの値から相手に送るお邪魔タイルの枚数を決める
+     * ATTACK_THRESHOLDで1枚、それ以降は値が倍になるごとに1枚増える（最大MAX_ATTACK枚）
+     * @param {number} mergedValue - その手で合体してできた最大のタイル
+     * @returns {number}
+     */
+    static getAttackCount(mergedValue) {
+        if (mergedValue < VersusController.ATTACK_THRESHOLD) {
+            return 0;
+        }
+        const count = Math.log2(mergedValue / VersusController.ATTACK_THRESHOLD) + 1;
+        return Math.min(VersusController.MAX_ATTACK, Math.floor(count));
+    }
+
+    /**
+     * 初期化処理
+     */
+    initialize() {
+        this.players.forEach((player, index) => {
+            const opponent = this.players[1 - index];
+            player.engine.on('tile_merge', event => this.sendAttack(player, opponent, event.payload.maxValue));
+            player.engine.on('victory_achieved', () => this.finish(player));
+            player.engine.on('game_end', () => this.handleBoardEnd(player));
+            player.engine.on('game_start', () => this.updateBoardStatus(player));
+        });
+
+        document.addEventListener('keydown', event => this.handleKeyPress(event));
+        this.gamepadController = new GamepadController(action => this.handleAction(action), {
+            statusElement: document.getElementById('gamepad-status')
+        });
+        document.getElementById('rematch-button').addEventListener('click', () => this.rematch());
+        document.getElementById('view-versus-result').addEventListener('click', () => this.goToResultPage());
+        document.getElementById('back-to-game').addEventListener('click', () => {
+            window.location.href = 'index.html';
+        });
+
+        this.updateSeedDisplay();
+        this.players.forEach(player => this.updateBoardStatus(player));
+        console.log(`⚔️ 対戦開始 (難易度: ${this.difficulty}, シード: ${this.seed})`);
+    }
+
+    /**
+     * 両プレイヤー共通のキー操作（プレイヤーごとの移動キーは各UIControllerが処理）
+     */
+    handleKeyPress(event) {
+        const action = KeyBindings.lookup(VersusController.KEY_MAP, event);
+        if (action) {
+            this.handleAction(action);
+        }
+    }
+
+    /**
+     * 両方の盤面に効く操作（キーボード・どちらのゲームパッドからでも同じ）
+     * @param {string} action - 'restart' | 'pause' | 'mute'
+     */
+    handleAction(action) {
+        switch (action) {
+            case 'restart':
+                this.rematch();
+                break;
+            case 'pause':
+                this.togglePause();
+                break;
+            case 'mute':
+                this.players.forEach(player => player.ui.toggleMute());
+                break;
+        }
+    }
+
+    /**
+     * 大きな合体をしたプレイヤーの相手にお邪魔タイルを送る
+     */
+    sendAttack(attacker, opponent, mergedValue) {
+        const count = VersusController.getAttackCount(mergedValue);
+        if (this.isFinished || count === 0 || opponent.engine.gameOver) {
+            return;
+        }
+
+        const tiles = opponent.engine.addJunkTiles(count, this.junkRandom);
+        if (tiles.length === 0) {
+            return;
+        }
+
+        attacker.junkSent += tiles.length;
+        opponent.junkReceived += tiles.length;
+        console.log(`💥 ${attacker.name} → ${opponent.name}: お邪魔タイル${tiles.length}枚 (${mergedValue}の合体)`);
+
+        // 相手が移動アニメーション中の場合は、その手の描画でお邪魔タイルも表示される
+        if (!opponent.ui.isAnimating) {
+            opponent.ui.render();
+            opponent.ui.animateNewTiles();
+        }
+        this.flashBoardStatus(opponent, `💥 お邪魔タイル +${tiles.length}`);
+    }
+
+    /**
+     * 片方の盤面が詰んだ場合の処理（両者とも詰んだら試合終了）
+     */
+    handleBoardEnd(player) {
+        if (this.isFinished) {
+            return;
+        }
+
+        this.updateBoardStatus(player);
+
+        if (this.players.every(candidate => candidate.engine.gameOver)) {
+            this.finish(null);
+        }
+    }
+
+    /**
+     * 試合終了
+     * @param {Object|null} targetWinner - 目標タイルを作ったプレイヤー（両者が詰んだ場合はnull、スコアで判定）
+     */
+    finish(targetWinner) {
+        if (this.isFinished) {
+            return;
+        }
+
+        this.isFinished = true;
+        const [first, second] = this.players;
+        const winner = targetWinner || (first.engine.score === second.engine.score ? null
+            : first.engine.score > second.engine.score ? first : second);
+
+        // 残っている盤面も終了扱いにして操作できないようにする
+        this.players.forEach(player => {
+            player.engine.gameOver = true;
+            this.updateBoardStatus(player, player === winner ? '🏆 勝利！' : winner ? '敗北' : '引き分け');
+        });
+
+        this.saveResult(winner, targetWinner ? 'target' : 'score');
+        this.showOverlay(
+            winner ? `🏆 ${winner.name}の勝ち！` : '🤝 引き分け',
+            targetWinner ? `${targetWinner.engine.targetTile}を先に作りました` : `スコア ${first.engine.score.toLocaleString()} - ${second.engine.score.toLocaleString()}`
+        );
+        console.log(`🏁 対戦終了: ${winner ? winner.name : '引き分け'}`);
+    }
+
+    /**
+     * 同じ難易度・新しいシードで再戦
+     */
+    rematch() {
+        this.seed = SeededRandom.generateSeed();
+        this.junkRandom = new SeededRandom(this.seed);
+        this.isFinished = false;
+        this.isPaused = false;
+        this.startTime = Date.now();
+
+        this.players.forEach(player => {
+            player.junkSent = 0;
+            player.junkReceived = 0;
+            player.engine.resetGame(this.seed);
+            player.ui.render();
+            player.ui.updateDisplay();
+        });
+
+        this.hideOverlay();
+        this.updateSeedDisplay();
+        console.log(`🔄 再戦 (シード: ${this.seed})`);
+    }
+
+    /**
+     * 一時停止の切り替え（両方の盤面を同時に止める）
+     */
+    togglePause() {
+        if (this.isFinished) {
+            return;
+        }
+
+        if (this.isPaused) {
+            this.players.forEach(player => player.engine.resume());
+            this.isPaused = false;
+            this.hideOverlay();
+        } else {
+            // 一時停止前の先行入力は捨てる
+            this.players.forEach(player => {
+                player.engine.pause();
+                player.ui.inputQueue = [];
+            });
+            this.isPaused = true;
+            this.showOverlay('⏸️ 一時停止', 'ESCキーで再開');
+        }
+    }
+
+    /**
+     * 盤面の上の状態表示（操作キー・詰み・勝敗）
+     * @param {string} [text] - 表示する文言（省略時は盤面の状態から決める）
+     */
+    updateBoardStatus(player, text) {
+        if (!player.statusElement) {
+            return;
+        }
+
+        player.statusElement.textContent = text || (player.engine.gameOver ? '💀 詰み（相手の終了待ち）' : player.keyLabel);
+        player.statusElement.classList.toggle('out', player.engine.gameOver && !text);
+    }
+
+    /**
+     * 盤面の上に一時的なメッセージを表示
+     */
+    flashBoardStatus(player, text) {
+        if (!player.statusElement || this.isFinished) {
+            return;
+        }
+
+        player.statusElement.textContent = text;
+        player.statusElement.classList.add('attacked');
+        clearTimeout(player.flashTimer);
+        player.flashTimer = setTimeout(() => {
+            player.statusElement.classList.remove('attacked');
+            if (!this.isFinished) {
+                this.updateBoardStatus(player);
+            }
+        }, 1200);
+    }
+
+    /**
+     * シードの表示
+     */
+    updateSeedDisplay() {
+        if (this.seedElement) {
+            this.seedElement.textContent = this.seed;
+        }
+    }
+
+    /**
+     * 試合結果を保存（対戦結果画面で表示）
+     * @param {Object|null} winner - 勝者（引き分けはnull）
+     * @param {string} reason - 'target'（目標タイルを先に作った）| 'score'（両者詰んでスコアで判定）
+     */
+    saveResult(winner, reason) {
+        const result = {
+            difficulty: this.difficulty,
+            modeLabel: this.players[0].engine.getModeLabel(),
+            seed: this.seed,
+            targetTile: this.players[0].engine.targetTile,
+            winner: winner ? winner.id : null,
+            reason,
+            playTime: Math.floor((Date.now() - this.startTime) / 1000),
+            players: this.players.map(player => ({
+                id: player.id,
+                name: player.name,
+                score: player.engine.score,
+                maxTile: player.engine.maxTile,
+                moves: player.engine.moves,
+                mergeCount: player.engine.mergeCount,
+                junkSent: player.junkSent,
+                junkReceived: player.junkReceived,
+                grid: player.engine.grid.map(row => row.map(tile => tile ? tile.value : 0))
+            })),
+            endTime: Date.now()
+        };
+
+        localStorage.setItem('puzzle2048_versus_result', JSON.stringify(result));
+    }
+
+    /**
+     * 対戦結果画面へ
+     */
+    goToResultPage() {
+        window.location.href = 'versus-result.html';
+    }
+
+    /**
+     * 試合全体のオーバーレイを表示
+     */
+    showOverlay(message, submessage) {
+        this.overlayMessageElement.textContent = message;
+        this.overlaySubmessageElement.textContent = submessage;
+        document.getElementById('view-versus-result').style.display = this.isFinished ? '' : 'none';
+        this.overlayElement.classList.add('show');
+    }
+
+    /**
+     * 試合全体のオーバーレイを非表示
+     */
+    hideOverlay() {
+        this.overlayElement.classList.remove('show');
+    }
+}
+
+/**
+ * プレイヤーの設定（要素IDの接頭辞・移動キー）
+ * プレイヤー1はキーの位置（KeyboardEvent.code）で割り当て、AZERTYなどのキー配列や日本語入力がオンでもWASDの位置で動かせるようにする
+ */
+VersusController.PLAYERS = [
+    {
+        id: 'p1',
+        name: 'プレイヤー1',
+        idPrefix: 'p1-',
+        keyLabel: 'W A S D で移動',
+        keyMap: { KeyW: 'up', KeyA: 'left', KeyS: 'down', KeyD: 'right' }
+    },
+    {
+        id: 'p2',
+        name: 'プレイヤー2',
+        idPrefix: 'p2-',
+        keyLabel: '↑ ↓ ← → で移動',
+        keyMap: { ArrowUp: 'up', ArrowLeft: 'left', ArrowDown: 'down', ArrowRight: 'right' }
+    }
+];
+
+/**
+ * 両プレイヤー共通のキー（移動キーと重ならないよう、設定画面のキー割り当ては使わず固定、英字はキーの位置で割り当て）
+ */
+VersusController.KEY_MAP = { KeyR: 'restart', Escape: 'pause', KeyM: 'mute' };
+
+/**
+ * お邪魔タイルを送る合体の最小値と、1手で送る最大枚数
+ */
+VersusController.ATTACK_THRESHOLD = 128;
+VersusController.MAX_ATTACK = 4;
+
+// グローバルで利用可能にする
+window.VersusController = VersusController;
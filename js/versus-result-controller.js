@@ -0,0 +1,130 @@
+/**
+ * Puzzle2048 対戦結果画面制御
+ *
+ * ローカル対戦の勝敗と、両プレイヤーのスコア・お邪魔タイルの送受信数・最終盤面を表示します。
+ */
+
+class VersusResultController {
+    constructor() {
+        this.result = null;
+
+        // DOM要素の参照
+        this.winnerElement = document.getElementById('versus-winner');
+        this.reasonElement = document.getElementById('versus-reason');
+        this.modeElement = document.getElementById('versus-mode');
+        this.playersElement = document.getElementById('versus-result-players');
+    }
+
+    /**
+     * 初期化処理
+     */
+    initialize() {
+        this.initializeEventListeners();
+
+        try {
+            this.result = JSON.parse(localStorage.getItem('puzzle2048_versus_result'));
+        } catch (error) {
+            console.warn('⚠️ 対戦結果の読み込みに失敗:', error);
+        }
+
+        if (!this.result) {
+            // 対戦していない場合は対戦画面へ
+            window.location.href = 'versus.html';
+            return;
+        }
+
+        this.render();
+    }
+
+    /**
+     * イベントリスナー初期化
+     */
+    initializeEventListeners() {
+        // 同じ難易度で再戦（シードは新しく決める）
+        document.getElementById('rematch').addEventListener('click', () => {
+            window.location.href = `versus.html?difficulty=${this.result ? this.result.difficulty : 'easy'}`;
+        });
+
+        document.getElementById('back-to-game').addEventListener('click', () => {
+            window.location.href = 'index.html';
+        });
+
+        document.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' || event.key === ' ') {
+                document.getElementById('rematch').click();
+            }
+        });
+    }
+
+    /**
+     * 結果を描画
+     */
+    render() {
+        const { result } = this;
+        const winner = result.players.find(player => player.id === result.winner);
+
+        this.winnerElement.textContent = winner ? `🏆 ${winner.name}の勝ち！` : '🤝 引き分け';
+        this.reasonElement.textContent = result.reason === 'target'
+            ? `${result.targetTile}を先に作りました`
+            : '両者が詰んだ時点のスコアで判定';
+        this.modeElement.textContent = `${result.modeLabel}・シード ${result.seed}・${Math.floor(result.playTime / 60)}分${result.playTime % 60}秒`;
+
+        this.playersElement.innerHTML = '';
+        result.players.forEach(player => {
+            this.playersElement.appendChild(this.createPlayerCard(player, player === winner));
+        });
+    }
+
+    /**
+     * プレイヤー1人分の結果カード
+     */
+    createPlayerCard(player, isWinner) {
+        const card = document.createElement('div');
+        card.className = 'versus-result-player';
+        card.classList.toggle('winner', isWinner);
+
+        const name = document.createElement('div');
+        name.className = 'versus-result-name';
+        name.textContent = `${isWinner ? '🏆 ' : ''}${player.name}`;
+        card.appendChild(name);
+
+        [
+            ['スコア', player.score.toLocaleString()],
+            ['最大タイル', player.maxTile],
+            ['手数', player.moves],
+            ['合体回数', player.mergeCount],
+            ['送ったお邪魔', `${player.junkSent}枚`],
+            ['受けたお邪魔', `${player.junkReceived}枚`]
+        ].forEach(([label, value]) => {
+            const stat = document.createElement('div');
+            stat.className = 'versus-result-stat';
+            stat.innerHTML = `<span>${label}</span><span>${value}</span>`;
+            card.appendChild(stat);
+        });
+
+        card.appendChild(this.createFinalGrid(player.grid));
+        return card;
+    }
+
+    /**
+     * 最終盤面の縮小表示
+     */
+    createFinalGrid(grid) {
+        const gridElement = document.createElement('div');
+        gridElement.className = 'versus-final-grid';
+        gridElement.style.gridTemplateColumns = `repeat(${grid.length}, 1fr)`;
+
+        grid.flat().forEach(value => {
+            const cell = document.createElement('div');
+            cell.className = 'versus-final-cell';
+            cell.classList.toggle('filled', value > 0);
+            cell.textContent = value || '';
+            gridElement.appendChild(cell);
+        });
+
+        return gridElement;
+    }
+}
+
+// グローバルで利用可能にする
+window.VersusResultController = VersusResultController;
@@ -20,7 +20,7 @@ export type Direction = 'left' | 'right' | 'up' | 'down';
 /**
  * ゲーム状態の列挙型
  */
-export type GameStatus = 'playing' | 'won' | 'lost' | 'paused';
+export type GameStatus = 'playing' | 'won' | 'lost' | 'paused' | 'time_up' | 'out_of_moves';
 
 /**
  * タイルの値（2の累乗のみ有効）
@@ -45,8 +45,12 @@ export interface Tile {
   isNew: boolean;
   /** このターンで合体したタイルかどうか */
   justMerged: boolean;
+  /** 合体元のタイルID（合体したタイルのみ） */
+  mergedFrom?: string[];
   /** タイルの一意識別ID */
   id: string;
+  /** ロックタイル（隣で合体が起きるまで移動・合体しない） */
+  locked?: boolean;
   /** 前回位置（アニメーション用） */
   previousRow?: number;
   /** 前回位置（アニメーション用） */
@@ -79,6 +83,246 @@ export interface GameState {
   maxTile: TileValue;
   /** 前回の移動が有効だったか */
   lastMoveValid: boolean;
+  /** 乱数シード（同じシードでゲームを再現可能） */
+  seed?: number | null;
+  /** アンドゥ使用回数 */
+  undoCount?: number;
+  /** ヒント使用回数 */
+  hintCount?: number;
+  /** アンドゥ可能か */
+  canUndo?: boolean;
+  /** リドゥ可能か */
+  canRedo?: boolean;
+  /** タイムアタックの残り時間（ミリ秒、それ以外はnull） */
+  remainingTime?: number | null;
+  /** 手数制限の残り手数（それ以外はnull） */
+  remainingMoves?: number | null;
+  /** デイリーチャレンジの日付 YYYY-MM-DD（通常プレイはnull） */
+  dailyDate?: string | null;
+  /** パズルのレベル（パズル以外はnull） */
+  puzzle?: { packId: string; levelId: string; name: string } | null;
+}
+
+/**
+ * デイリーチャレンジの1日分の記録（DailyChallenge.recordResult()で保存、1日1回のみ）
+ */
+export interface DailyResult {
+  finalScore: number;
+  maxTile: TileValue;
+  moves: number;
+  isVictory: boolean;
+  isAssisted: boolean;
+  /** 最終盤面のタイル値（空きマスは0） */
+  grid: number[][];
+  /** 途中のまま終わった挑戦をその時点で記録した場合true（リスタート・日付の変更） */
+  abandoned?: boolean;
+  /** 記録時刻 */
+  endTime: number;
+}
+
+/**
+ * デイリーチャレンジの保存データ（localStorage: puzzle2048_daily）
+ */
+export interface DailyResultsData {
+  /** 日付キー YYYY-MM-DD -> 結果 */
+  results: Record<string, DailyResult>;
+  /** 日付キー -> 記録対象のプレイの途中経過（1手目から保存、記録すると削除） */
+  attempts?: Record<string, Omit<DailyResult, 'endTime' | 'abandoned'> & { updatedAt: number }>;
+}
+
+/**
+ * カスタム難易度の盤面設定（GameEngine.normalizeCustomConfig()で補正済み）
+ */
+export interface CustomGameConfig {
+  /** 盤面サイズ（3-10） */
+  size: number;
+  /** 目標タイル（16以上の2の累乗） */
+  target: number;
+  /** 4が出現する確率（0-1） */
+  fourProbability: number;
+  /** 8が出現する確率（0-0.5） */
+  eightProbability: number;
+  /** 開始時のタイル数 */
+  startTiles: number;
+}
+
+/**
+ * ルールバリアントのID（RuleVariants.variants）
+ */
+export type RuleVariantId = 'classic' | 'fibonacci' | 'triple' | 'negative';
+
+/**
+ * 合体・出現・勝利のルール（GameEngineに options.ruleVariant で指定）
+ */
+export interface RuleVariant {
+  id: RuleVariantId;
+  /** 表示名 */
+  name: string;
+  /** 設定画面の説明文 */
+  description: string;
+  /** 1回の合体に使うタイル数 */
+  mergeSize: 2 | 3;
+  /** 並んだmergeSize枚のタイル値が合体できるか */
+  canMerge(...values: number[]): boolean;
+  /** 合体後の値（0はタイルが消滅） */
+  mergeValue(...values: number[]): number;
+  /** 合体で得られるスコア */
+  scoreFor(merge: { values: number[]; value: number }): number;
+  /** 新しいタイルの値と確率（エンジンの出現率設定を反映） */
+  spawnDistribution(engine: { fourProbability: number; eightProbability: number }): { value: number; chance: number }[];
+  /** 目標達成とみなすタイル値か */
+  isVictory(value: number, targetTile: number): boolean;
+  /** 難易度の目標値をこのルールのタイル値に合わせる */
+  adjustTarget(target: number): number;
+  /** タイルの段階（最小タイルが1） */
+  tileLevel(value: number): number;
+}
+
+/**
+ * タイルの出現ポリシーのID（SpawnPolicies.policies）
+ */
+export type SpawnPolicyId = 'random' | 'evil' | 'kind';
+
+/**
+ * 新しいタイルの位置と値の決め方（GameEngineに options.spawnPolicy で指定）
+ */
+export interface SpawnPolicy {
+  id: SpawnPolicyId;
+  /** 表示名 */
+  name: string;
+  /** 設定画面の説明文 */
+  description: string;
+  /** 出現させるタイル（emptyCellsは読み順の空きマス、1つ以上） */
+  pickSpawn(engine: unknown, emptyCells: { row: number; col: number }[]): { row: number; col: number; value: number };
+}
+
+/**
+ * 障害物の配置パターン名（GameEngine.OBSTACLE_PATTERNS）
+ */
+export type ObstaclePatternName = 'center' | 'corners' | 'diagonal';
+
+/**
+ * 障害物・ロックタイルの配置設定（GameEngine.normalizeObstacleConfig()で補正済み）
+ */
+export interface ObstacleConfig {
+  /** 障害物の配置方法 */
+  mode: 'none' | 'random' | 'pattern';
+  /** ランダム配置の障害物数（盤面の1/4まで） */
+  count: number;
+  /** パターン名、または'#'を障害物とする行文字列の配列 */
+  pattern: ObstaclePatternName | string[] | null;
+  /** 開始時に置くロックタイルの枚数（0-盤面サイズ） */
+  lockedTiles: number;
+}
+
+/**
+ * チャレンジモード（GameEngine.normalizeChallenge()で補正済み）
+ * タイムアタックは制限時間内のスコア、手数制限は目標タイルまでの手数を競う
+ */
+export type ChallengeConfig =
+  | { type: 'timeAttack'; /** 制限時間（分） */ minutes: number }
+  | { type: 'moveLimit'; /** 使える手数 */ moveLimit: number; /** 目標タイル */ target: number };
+
+/**
+ * パズルの目標（movesは手数制限、制限なしはnull）
+ * tile: 目標タイルを作る / clear: タイルを指定枚数以下に減らす / score: 目標スコアに届く
+ */
+export type PuzzleGoal =
+  | { type: 'tile'; value: TileValue; moves: number | null }
+  | { type: 'clear'; tiles: number; moves: number | null }
+  | { type: 'score'; value: number; moves: number | null };
+
+/**
+ * パズルのレベル（PuzzleLevelStore.normalizeLevel()で補正済み）
+ */
+export interface PuzzleLevel {
+  /** レベルパックのID */
+  packId: string;
+  /** パック内のレベルID */
+  id: string;
+  name: string;
+  hint: string;
+  /** 盤面サイズ */
+  size: number;
+  /** 初期配置のタイル値（空きマス・障害物は0） */
+  board: number[][];
+  /** 盤面の'#'から作った障害物設定（障害物なしはnull） */
+  obstacleConfig: { mode: 'pattern'; pattern: string[] } | null;
+  /** 1手ごとの出現 [row, col, value]（nullはその手では出現しない） */
+  spawns: ([number, number, TileValue] | null)[];
+  goal: PuzzleGoal;
+  /** [★2の手数, ★3の手数]（nullはクリアで★3） */
+  stars: [number, number] | null;
+}
+
+/**
+ * レベルパック（levels/*.json、PuzzleLevelStore.normalizePack()で補正済み）
+ */
+export interface PuzzlePack {
+  id: string;
+  name: string;
+  description: string;
+  levels: PuzzleLevel[];
+}
+
+/**
+ * レベルごとのクリア状況（localStorage: puzzle2048_puzzle_progress の levels['パックID/レベルID']）
+ */
+export interface PuzzleProgress {
+  /** 獲得した星の最高数（1-3） */
+  stars: number;
+  bestMoves: number;
+  bestScore: number;
+  /** 初めてクリアした時刻 */
+  clearedAt: number;
+}
+
+/**
+ * サンドボックスの開始局面（GameEngine.parseGrid()の出力にturnを加えたもの）
+ * localStorage: puzzle2048_sandbox_position
+ */
+export interface SandboxPosition {
+  /** タイル値の2次元配列（空きマスは0、障害物は'#'、ロックタイルは { value, locked: true }） */
+  board: (number | '#' | { value: number; locked: true })[][];
+  score: number;
+  /** move: 移動の手番 / spawn: 開始時にタイルを1枚出現させる */
+  turn: 'move' | 'spawn';
+}
+
+/**
+ * 対戦のプレイヤー1人分の結果
+ */
+export interface VersusPlayerResult {
+  id: 'p1' | 'p2';
+  name: string;
+  score: number;
+  maxTile: number;
+  moves: number;
+  mergeCount: number;
+  /** 相手に送ったお邪魔タイルの枚数 */
+  junkSent: number;
+  /** 相手から受けたお邪魔タイルの枚数 */
+  junkReceived: number;
+  /** 最終盤面のタイル値（空きマスは0） */
+  grid: number[][];
+}
+
+/**
+ * ローカル対戦の結果（localStorage: puzzle2048_versus_result）
+ */
+export interface VersusResult {
+  difficulty: string;
+  modeLabel: string;
+  seed: number;
+  targetTile: number;
+  /** 勝者のID（引き分けはnull） */
+  winner: 'p1' | 'p2' | null;
+  /** target: 目標タイルを先に作った / score: 両者が詰んだ時点のスコアで判定 */
+  reason: 'target' | 'score';
+  /** 試合時間（秒） */
+  playTime: number;
+  players: [VersusPlayerResult, VersusPlayerResult];
+  endTime: number;
 }
 
 /**
@@ -93,6 +337,8 @@ export interface GameSettings {
   colorTheme: 'default' | 'dark' | 'colorful';
   /** 振動フィードバック有効/無効 */
   hapticFeedback: boolean;
+  /** キー割り当て */
+  keyBindings?: KeyBindingsConfig;
 }
 
 // =============================================================================
@@ -127,6 +373,20 @@ export interface GameResult {
   isBestScore: boolean;
   /** スコア改善値 */
   scoreImprovement: number;
+  /** 乱数シード（同じシードでゲームを再現可能） */
+  seed?: number | null;
+  /** アンドゥ使用回数 */
+  undoCount?: number;
+  /** ヒント使用回数 */
+  hintCount?: number;
+  /** アンドゥ・ヒントを使用したアシスト付きプレイか */
+  isAssisted?: boolean;
+  /** チャレンジモード（通常モードはnull） */
+  challenge?: ChallengeConfig | null;
+  /** 目標タイル */
+  targetTile?: number;
+  /** 手数制限の残り手数（それ以外はnull） */
+  remainingMoves?: number | null;
 }
 
 /**
@@ -147,6 +407,62 @@ export interface GameHistory {
   bestScoreDate: string;
 }
 
+/**
+ * プレイ履歴に保存する1ゲーム分の記録（GameHistoryStore）
+ */
+export interface GameHistoryEntry {
+  /** 難易度 */
+  difficulty: string;
+  /** 勝利フラグ（目標タイル到達） */
+  isVictory: boolean;
+  /** 到達した最高タイル */
+  maxTile: TileValue;
+  /** 最終スコア */
+  finalScore: number;
+  /** 総移動回数 */
+  moves: number;
+  /** プレイ時間（ミリ秒） */
+  playTimeMs: number;
+  /** 合体回数 */
+  mergeCount: number;
+  /** 効率性（スコア/手数） */
+  efficiency: number;
+  /** ゲーム終了時刻 */
+  endTime: number;
+  /** 乱数シード */
+  seed?: number | null;
+  /** アシスト付きプレイか */
+  isAssisted?: boolean;
+  /** ルールバリアント */
+  ruleVariant?: RuleVariantId;
+  /** 記録キー（GameEngine.getRecordKey） */
+  recordKey?: string;
+  /** 表示用のモード名 */
+  modeLabel?: string | null;
+  /** 難易度どおりの通常のゲームか（falseは難易度別の集計に含めない） */
+  isStandardMode?: boolean;
+}
+
+/**
+ * 統計画面向けの集計結果（GameHistoryStore.getSummary()）
+ */
+export interface GameHistorySummary extends Omit<GameHistory, 'games'> {
+  /** 集計対象の記録（古い順） */
+  games: GameHistoryEntry[];
+  /** 勝率（0-1） */
+  winRate: number;
+  /** 平均プレイ時間（ミリ秒） */
+  averagePlayTime: number;
+  /** 最高スコア */
+  bestScore: number;
+  /** 最高タイル分布（タイル値 -> 回数） */
+  maxTileDistribution: Record<number, number>;
+  /** 現在の連勝数 */
+  currentStreak: number;
+  /** 最高連勝数 */
+  bestStreak: number;
+}
+
 // =============================================================================
 // 音響制御モデル
 // =============================================================================
@@ -255,6 +571,53 @@ export interface UIState {
   touchEnabled: boolean;
 }
 
+/**
+ * 割り当てを変更できるキー操作（game: ゲーム画面、それ以外は設定画面）
+ */
+export type KeyBindingAction =
+  | Direction | 'restart' | 'pause' | 'mute' | 'undo' | 'redo' | 'hint' | 'help'
+  | 'confirm' | 'back' | 'easy' | 'normal' | 'hard' | 'expert' | 'custom';
+
+/**
+ * 移動キーのプロフィール
+ */
+export type KeyProfileId = 'arrows' | 'wasd' | 'vim' | 'numpad';
+
+/**
+ * 保存されるキー割り当て（設定の keyBindings）
+ * キーは KeyboardEvent.key（英字は小文字）、テンキーは KeyboardEvent.code（'Numpad8' など）
+ */
+export interface KeyBindingsConfig {
+  /** 移動キーのプロフィール */
+  profile: KeyProfileId;
+  /** プロフィールから個別に変更した操作 -> キー */
+  overrides: Partial<Record<KeyBindingAction, string>>;
+}
+
+/**
+ * ゲームパッドの操作（GamepadControllerのbuttonMapの値と方向）
+ * ゲーム画面は restart / pause / mute / demo、設定・結果画面は confirm / back
+ */
+export type GamepadAction = Direction | 'restart' | 'pause' | 'mute' | 'demo' | 'confirm' | 'back';
+
+/**
+ * GamepadControllerのオプション
+ */
+export interface GamepadControllerOptions {
+  /** 読み取るコントローラーの番号（省略時は全て） */
+  index?: number | null;
+  /** ボタン番号（標準配置）-> 操作 */
+  buttonMap?: Record<number, GamepadAction>;
+  /** 接続中のコントローラーを表示する要素 */
+  statusElement?: HTMLElement | null;
+  /** スティックを倒したとみなす量（0〜1、デフォルト0.5） */
+  deadzone?: number;
+  /** 押し続けてからリピートが始まるまで（ms、デフォルト300） */
+  repeatDelay?: number;
+  /** リピートの間隔（ms、デフォルト150） */
+  repeatInterval?: number;
+}
+
 /**
  * タッチジェスチャーの情報
  */
@@ -273,6 +636,24 @@ export interface TouchGesture {
   distance: number;
 }
 
+// =============================================================================
+// 乱数ソース
+// =============================================================================
+
+/**
+ * タイル生成に使用する乱数ソース
+ */
+export interface RandomSource {
+  /** 0以上1未満の乱数を返す */
+  next: () => number;
+  /** シード値（シード指定可能なソースのみ） */
+  seed?: number;
+  /** 内部状態の取得 */
+  getState?: () => number;
+  /** 内部状態の復元 */
+  setState?: (state: number) => void;
+}
+
 // =============================================================================
 // ゲームロジック関数型定義
 // =============================================================================
@@ -291,6 +672,8 @@ export interface MoveResult {
   mergeOccurred: boolean;
   /** 合体したタイルのリスト */
   mergedTiles: Tile[];
+  /** 隣で合体が起きて解除されたロックタイル */
+  unlockedTiles?: Tile[];
 }
 
 /**
@@ -333,6 +716,167 @@ export interface StorageData {
   savedAt: number;
 }
 
+/**
+ * AI探索用の高速盤面（FastBoard）
+ * 各マスはタイル値の指数（2→1, 4→2, …, 空き→0）で保持する
+ */
+export type SearchBoard =
+  /** 4×4ビットボード（1マス4bit、hiが0-1行目・loが2-3行目） */
+  | { size: 4; hi: number; lo: number }
+  /** その他のサイズ（行優先の指数配列） */
+  | { size: number; cells: Uint8Array };
+
+/**
+ * FastBoard.simulateMove()の結果
+ */
+export interface SimulatedMove {
+  /** 移動後の盤面（元の盤面は変更されない） */
+  board: SearchBoard;
+  /** 盤面が変化したか */
+  moved: boolean;
+  /** 合体で得たスコア */
+  scoreGain: number;
+}
+
+/**
+ * AIワーカーへの探索依頼（AISearchClient → ai-worker.js）
+ */
+export interface AISearchRequest {
+  type: 'search';
+  /** 応答との対応付け用ID */
+  requestId: number;
+  /** 盤面サイズ */
+  size: number;
+  /** タイル値の2次元配列（空きマスは0） */
+  cells: number[][];
+  /** 移動を遮るマス（障害物・ロックタイル）、ない場合はnull */
+  blocked?: boolean[][] | null;
+  /** 出現タイルの確率分布 */
+  spawns: { value: number; chance: number }[];
+  /** ルールバリアント（通常ルール以外は先読みせず1手先を評価） */
+  ruleVariant?: RuleVariantId;
+  targetTile: number;
+  difficulty: string;
+  strategy: 'corner' | 'aggressive' | 'balanced' | 'expectimax';
+  /** 先読みの最大深さ */
+  searchDepth?: number;
+  /** 探索時間の上限（ミリ秒、0は無制限） */
+  timeBudget: number;
+}
+
+/**
+ * AIワーカーからの応答
+ */
+export type AISearchResponse =
+  | {
+      type: 'result';
+      requestId: number;
+      bestMove: Direction | null;
+      /** 方向別の評価内訳（DemoAI.analyzeMoves()と同じ形式） */
+      evaluations: Record<Direction, { valid: boolean; scoreGain: number; emptyTiles: number; monotonicity: number }>;
+      /** 読み切った探索深さ */
+      depth: number;
+      /** 探索にかかった時間（ミリ秒） */
+      elapsed: number;
+    }
+  | { type: 'error'; requestId: number; message: string };
+
+/**
+ * リプレイ用の手順記録（GameEngine.getReplayData()の出力）
+ */
+export interface ReplayData {
+  /** 記録形式のバージョン */
+  version: 1;
+  /** 難易度 */
+  difficulty: string;
+  /** カスタム難易度の盤面設定（プリセットはnull） */
+  customConfig?: CustomGameConfig | null;
+  /** ルールバリアント（省略時は通常ルール） */
+  ruleVariant?: RuleVariantId;
+  /** 出現ポリシー（省略時はランダム） */
+  spawnPolicy?: SpawnPolicyId;
+  /** 障害物設定（障害物・ロックタイルなしはnull） */
+  obstacleConfig?: ObstacleConfig | null;
+  /** 障害物の位置 [row, col] */
+  obstacles?: [number, number][];
+  /** パズルのレベル（パズル以外はnull） */
+  puzzle?: PuzzleLevel | null;
+  /** サンドボックスの開始局面（サンドボックス以外はnull） */
+  position?: SandboxPosition | null;
+  /** グリッドサイズ */
+  gridSize: number;
+  /** 乱数シード */
+  seed: number | null;
+  /** 初期配置 [row, col, value]（ロックタイルは4番目の要素がtrue） */
+  initialTiles: ([number, number, TileValue] | [number, number, TileValue, true])[];
+  /** 方向の頭文字（L/R/U/D）を連結した文字列 */
+  moves: string;
+  /** 各手の後に出現したタイル [row, col, value] */
+  spawns: ([number, number, TileValue] | null)[];
+}
+
+/**
+ * 中断ゲームの保存データ（GameEngine.serialize()の出力）
+ */
+export interface SavedGameData {
+  /** 保存形式のバージョン */
+  version: 1;
+  /** 難易度 */
+  difficulty: string;
+  /** カスタム難易度の盤面設定（プリセットはnull） */
+  customConfig?: CustomGameConfig | null;
+  /** ルールバリアント（省略時は通常ルール） */
+  ruleVariant?: RuleVariantId;
+  /** 出現ポリシー（省略時はランダム） */
+  spawnPolicy?: SpawnPolicyId;
+  /** 障害物設定（障害物・ロックタイルなしはnull） */
+  obstacleConfig?: ObstacleConfig | null;
+  /** チャレンジモード（通常モードはnull） */
+  challenge?: ChallengeConfig | null;
+  /** デイリーチャレンジの日付（通常プレイはnull） */
+  dailyDate?: string | null;
+  /** ベストスコア等の記録キー（GameEngine.getRecordKey()） */
+  recordKey?: string;
+  /** グリッドサイズ */
+  gridSize: number;
+  /** タイル配置（値とID、ロックタイルはlocked） */
+  grid: ({ value: TileValue; id: string; locked?: true } | null)[][];
+  /** 障害物の位置 [row, col] */
+  obstacles?: [number, number][];
+  /** スコア */
+  score: number;
+  /** 移動回数 */
+  moves: number;
+  /** 合体回数 */
+  mergeCount: number;
+  /** 到達した最高タイル */
+  maxTile: TileValue;
+  /** ゲーム状態（一時停止は保存時にplayingへ戻す） */
+  status: GameStatus;
+  /** ゲーム終了フラグ */
+  gameOver: boolean;
+  /** 保存時点の経過時間（ミリ秒、一時停止中の時間は含めない） */
+  elapsedMs: number;
+  /** 乱数シード */
+  seed: number | null;
+  /** 乱数ソースの内部状態 */
+  randomState: number | null;
+  /** 出現ソースの進行状態（パズルの台本の位置、出現ソースなしはnull） */
+  spawnState?: number | null;
+  /** タイルID採番カウンタ */
+  tileIdCounter: number;
+  /** アンドゥ使用回数 */
+  undoCount: number;
+  /** ヒント使用回数 */
+  hintCount: number;
+  /** 初期配置（リプレイ用） */
+  initialTiles?: ([number, number, TileValue] | [number, number, TileValue, true])[] | null;
+  /** 各手の方向と出現タイル（リプレイ用） */
+  moveLog?: { direction: Direction; spawn: [number, number, TileValue] | null }[];
+  /** 保存日時 */
+  savedAt: number;
+}
+
 /**
  * LocalStorageキーの定数
  */
@@ -340,7 +884,10 @@ export const STORAGE_KEYS = {
   SETTINGS: 'puzzle2048_settings',
   BEST_SCORE: 'puzzle2048_best_score',
   HISTORY: 'puzzle2048_history',
-  LAST_GAME: 'puzzle2048_last_game'
+  /** 中断したゲーム（末尾に _記録キー を付けてモードごとに保存） */
+  LAST_GAME: 'puzzle2048_last_game',
+  LAST_RESULT: 'puzzle2048_last_result',
+  LAST_REPLAY: 'puzzle2048_last_replay'
 } as const;
 
 // =============================================================================
@@ -358,16 +905,45 @@ export type GameEventType =
   | 'score_update'
   | 'best_score_update'
   | 'victory_achieved'
+  | 'junk_received'
   | 'settings_changed';
 
+/**
+ * イベントで渡されるタイル情報
+ */
+export interface GameEventTile {
+  id: string;
+  row: number;
+  col: number;
+  value: number;
+}
+
+/**
+ * イベントの種類ごとのペイロード
+ */
+export interface GameEventPayloadMap {
+  game_start: { difficulty: string; recordKey: string; gridSize: number; targetTile: number; seed: number | null };
+  game_end: { status: GameStatus; result: GameResult };
+  tile_move: { direction: Direction; moves: number; spawnedTile: GameEventTile | null };
+  tile_merge: { direction: Direction; mergedTiles: GameEventTile[]; maxValue: number };
+  /** アンドゥ・リドゥではscoreIncreaseが負になることがある */
+  score_update: { score: number; scoreIncrease: number };
+  best_score_update: { bestScore: number; previousBestScore: number };
+  /** 1ゲームにつき1回（目標達成後に続行しても再発行しない） */
+  victory_achieved: { targetTile: number; maxTile: number; score: number; moves: number };
+  /** 対戦で相手から送られたお邪魔タイル（ロックタイル）を置いた */
+  junk_received: { tiles: GameEventTile[] };
+  settings_changed: { key: string; value: unknown };
+}
+
 /**
  * ゲームイベントのデータ
  */
-export interface GameEvent {
+export interface GameEvent<T extends GameEventType = GameEventType> {
   /** イベントの種類 */
-  type: GameEventType;
+  type: T;
   /** イベントのペイロード */
-  payload: any;
+  payload: GameEventPayloadMap[T];
   /** イベント発生時刻 */
   timestamp: number;
 }
@@ -375,7 +951,17 @@ export interface GameEvent {
 /**
  * イベントリスナーの型
  */
-export type GameEventListener = (event: GameEvent) => void;
+export type GameEventListener<T extends GameEventType = GameEventType> = (event: GameEvent<T>) => void;
+
+/**
+ * GameEngineのイベント購読API
+ */
+export interface GameEventEmitter {
+  /** 購読し、購読解除用の関数を返す */
+  on<T extends GameEventType>(type: T, listener: GameEventListener<T>): () => void;
+  off<T extends GameEventType>(type: T, listener: GameEventListener<T>): void;
+  emit<T extends GameEventType>(type: T, payload: GameEventPayloadMap[T]): void;
+}
 
 // =============================================================================
 // パフォーマンス・デバッグ用